@@ -6,13 +6,38 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const { once } = require('events');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const http = require('http');
-const https = require('https');
 const Busboy = require('busboy');
-const { getJWTToken } = require('../utils/authHub');
+const { pipeline: streamPipeline } = require('stream/promises');
+const { getJWTToken, refreshJWTToken, getTokenCacheStats } = require('../utils/authHub');
+const { authorizeShop, authorizeJob, requireAdmin } = require('../utils/apiAuth');
+const { admitEncode, admitEncodes, holdEncodeReservation, setEncodeShop, getEncodeStats } = require('../utils/encodeQueue');
+const { createJob, setStage, reportProgress, completeJob, failJob, getJob, subscribe } = require('../utils/jobs');
+const { probeMedia, validateVideo } = require('../utils/ffmpeg');
+const { HttpError, UpstreamError } = require('../utils/errors');
+const { request } = require('../utils/httpClient');
+const { uploadToS3Form } = require('../utils/s3');
+const { getCacheStats } = require('../utils/explainerCache');
+const { getExplainerVideoUrl } = require('../utils/supabase');
+const { mergeVideos, prepareExplainer, resolveStrategy, getMergeStats, intermediateProfile } = require('../utils/merge');
+const { UPLOAD_FIELD_PATTERN, parseTimeline, uploadFields, resolveTimeline, describeTimeline } = require('../utils/timeline');
+const { parseLowerThird, lowerThirdFilter, describeLowerThird } = require('../utils/lowerThird');
+const { getShopConfig, getWatermark } = require('../utils/shopConfig');
+const { parseTrim, resolveKeepRanges, describeTrim } = require('../utils/trim');
+const { detectDeadAir, planAutoTrim } = require('../utils/autoTrim');
+const { parseTargetSize } = require('../utils/targetSize');
+const {
+  TUS_VERSION, TUS_EXTENSIONS, MAX_UPLOAD_BYTES, parseUploadMetadata, createUpload, getUpload, authorizeUpload,
+  appendChunk, deleteUpload, claimUploads, restoreUploads
+} = require('../utils/uploads');
+const { expectFileType } = require('../utils/fileType');
+const { PHOTO_FIELD_PATTERN, normalizePhoto } = require('../utils/photos');
+const { parseSlides, renderSlideshow } = require('../utils/slideshow');
+const { ENCODING_PROFILES, FILL_MODES, resolveProfile, describeProfile } = require('../utils/profiles');
 
 // Environment config
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -20,307 +45,754 @@ const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const AUTH_HUB_URL = process.env.AUTH_HUB_URL || 'https://auth-hub.automotiveservicetech.com';
 const TM_API_BASE = process.env.TM_API_BASE || 'https://shop.tekmetric.com';
 
+// Multipart limits (file size is MAX_UPLOAD_MB, shared with resumable uploads)
+const MAX_FORM_FIELDS = parseInt(process.env.MAX_FORM_FIELDS) || 100;
+const MAX_FIELD_BYTES = 1024 * 1024; // Timelines and taskData are small JSON
+const MAX_UPLOAD_FILES = 12; // videoFile plus a full timeline of recordings, a pdfFile, or photos
+const DEFAULT_EXTENSIONS = { video: '.mp4', pdf: '.pdf', image: '.jpg' };
+
+// Tasks of a batch upload processed at once; each runs its own FFmpeg encode
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY) || 2);
+// Per-task fields of a batch upload; everything else is shared by the batch
+const BATCH_TASK_FIELDS = [
+  'taskId', 'file', 'explainerVideoId', 'taskName', 'rating', 'description', 'taskData',
+  'trimStart', 'trimEnd', 'keepRanges', 'autoTrim'
+];
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
 /**
- * Download file from URL to local path
- * Handles redirects (301, 302)
+ * Receive one uploaded file into a temp file with a random name, checking its
+ * content is of the expected kind
+ * @returns {Promise<Object>} - { path, filename, mimeType, format }
+ * @throws {HttpError} - 413 FILE_TOO_LARGE, 415 UNSUPPORTED_MEDIA_TYPE
  */
-function downloadFile(fileUrl, destPath) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(fileUrl);
-    const protocol = urlObj.protocol === 'https:' ? https : http;
-    const file = fs.createWriteStream(destPath);
-
-    protocol.get(fileUrl, (response) => {
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        file.close();
-        fs.unlinkSync(destPath);
-        return downloadFile(response.headers.location, destPath).then(resolve).catch(reject);
-      }
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlinkSync(destPath);
-        return reject(new Error(`Download failed: ${response.statusCode}`));
-      }
-      response.pipe(file);
-      file.on('finish', () => { file.close(); resolve(destPath); });
-    }).on('error', (err) => {
-      file.close();
-      fs.unlink(destPath, () => {});
-      reject(err);
-    });
+async function receiveFile(name, file, info, kind, filePath) {
+  let truncated = false;
+  let format = null;
+  file.on('limit', () => { truncated = true; });
+
+  const out = fs.createWriteStream(filePath);
+  try {
+    await streamPipeline(file, expectFileType(kind, name, (type) => { format = type.format; }), out);
+  } catch (error) {
+    // The file may still be opening; let it close so the caller can delete it
+    if (!out.closed) await once(out, 'close');
+    throw error;
+  }
+
+  if (truncated) {
+    throw new HttpError(413, 'FILE_TOO_LARGE', `${name} is larger than the ${MAX_UPLOAD_BYTES / 1024 / 1024} MB limit`);
+  }
+  return { path: filePath, filename: info.filename, mimeType: info.mimeType, format };
+}
+
+/**
+ * Parse multipart form data using busboy
+ * Extracts fields and files. Accepts videoFile, pdfFile, numbered videoFile<N>
+ * fields (for timeline uploads) and photoFile/photoFile<N>; videoFile is the
+ * videoFile or pdfFile upload.
+ *
+ * Files are sniffed (video fields must hold video, pdfFile a PDF, photo fields
+ * an image) and written
+ * to randomly named temp files. Resolves once every file is on disk; on any
+ * error the files received so far are deleted.
+ *
+ * @throws {HttpError} - 400 INVALID_MULTIPART, 403 SHOP_FORBIDDEN (see apiAuth), 413 FILE_TOO_LARGE,
+ *   TOO_MANY_FILES, TOO_MANY_FIELDS or FIELD_TOO_LARGE, 415 UNSUPPORTED_MEDIA_TYPE
+ */
+function parseMultipart(req) {
+  return readMultipart(req).then((parsed) => {
+    // Runs in the request's context (busboy's events don't), so queued encodes are filed under the shop
+    setEncodeShop(parsed.fields.shopId);
+    return parsed;
   });
 }
 
 /**
- * Run FFmpeg command and return promise
- * Logs progress during encoding
+ * Stream a multipart body to temp files (see parseMultipart())
+ * @returns {Promise<{fields: Object, files: Object, videoFile: Object|null}>}
  */
-function runFFmpeg(args) {
+function readMultipart(req) {
   return new Promise((resolve, reject) => {
-    console.log(`   Running: ffmpeg ${args.slice(0, 5).join(' ')}...`);
-    const ffmpeg = spawn('ffmpeg', args);
-    let stderr = '';
-
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-      const timeMatch = data.toString().match(/time=(\d+:\d+:\d+\.\d+)/);
-      if (timeMatch) console.log(`   Progress: ${timeMatch[1]}`);
+    const fields = {};
+    const files = {};
+    const received = new Set();
+    const tempPaths = [];
+    const writes = [];
+    const incoming = new Set(); // File streams busboy is still feeding
+    let failed = false;
+
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES, fields: MAX_FORM_FIELDS, fieldSize: MAX_FIELD_BYTES }
+      });
+    } catch (error) {
+      // Missing or malformed multipart Content-Type
+      return reject(new HttpError(400, 'INVALID_MULTIPART', error.message));
+    }
+
+    // Stop reading, delete what was received and report the first error
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(busboy);
+      req.resume(); // Drain the rest of the body so the error response can be sent
+      // Busboy won't feed a file it was reading any more, so end its write here
+      // rather than wait for a stream that never finishes
+      for (const file of incoming) {
+        if (!file.readableEnded) file.destroy(error);
+      }
+      Promise.allSettled(writes).then(() => {
+        cleanup(tempPaths);
+        reject(error);
+      });
+    };
+
+    busboy.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        return fail(new HttpError(413, 'FIELD_TOO_LARGE', `Field ${name} is larger than ${MAX_FIELD_BYTES / 1024} KB`));
+      }
+      if (name === 'shopId') {
+        // Refuse a shop the API key isn't scoped to before reading any more of the upload
+        try {
+          authorizeShop(req, value);
+        } catch (error) {
+          return fail(error);
+        }
+      }
+      fields[name] = value;
     });
 
-    ffmpeg.on('close', (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(`FFmpeg failed (code ${code}): ${stderr.slice(-200)}`));
+    busboy.on('file', (name, file, info) => {
+      const kind = name === 'pdfFile' ? 'pdf'
+        : UPLOAD_FIELD_PATTERN.test(name) ? 'video'
+          : PHOTO_FIELD_PATTERN.test(name) ? 'image'
+            : null;
+      // The first file sent for a field wins
+      if (!kind || failed || received.has(name)) return file.resume();
+      received.add(name);
+
+      // Never use the client's filename in the path; keep a plain extension for readability
+      const ext = path.extname(info.filename || '').toLowerCase();
+      const safeExt = /^\.[a-z0-9]{1,8}$/.test(ext) ? ext : DEFAULT_EXTENSIONS[kind];
+      const filePath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}${safeExt}`);
+      tempPaths.push(filePath);
+
+      incoming.add(file);
+      writes.push(receiveFile(name, file, info, kind, filePath)
+        .then((received) => { files[name] = received; }, fail)
+        .finally(() => incoming.delete(file)));
+    });
+
+    busboy.on('filesLimit', () => fail(new HttpError(413, 'TOO_MANY_FILES', `At most ${MAX_UPLOAD_FILES} files may be uploaded`)));
+    busboy.on('fieldsLimit', () => fail(new HttpError(413, 'TOO_MANY_FIELDS', `At most ${MAX_FORM_FIELDS} form fields are allowed`)));
+    busboy.on('error', (error) => fail(new HttpError(400, 'INVALID_MULTIPART', error.message)));
+    req.on('aborted', () => fail(new Error('Client aborted the upload')));
+
+    busboy.on('close', () => {
+      // busboy is done reading; wait for the last file to be flushed to disk
+      Promise.all(writes).then(() => {
+        if (!failed) resolve({ fields, files, videoFile: files.videoFile || files.pdfFile || null });
+      });
     });
 
-    ffmpeg.on('error', reject);
+    req.pipe(busboy);
   });
 }
 
 /**
- * Merge two videos with FFmpeg (3-pass for compatibility)
- * Pass 1: Normalize issue video to intermediate format (MPEG-TS)
- * Pass 2: Normalize explainer video to intermediate format
- * Pass 3: Concatenate the two normalized videos
+ * Probe and validate every uploaded file the timeline uses, attaching the
+ * metadata to each file as `media`
+ * @throws {HttpError} - 400 MISSING_SEGMENT_FILE, or the probe/validation errors
  */
-async function mergeVideos(issueVideoPath, explainerVideoPath, outputPath) {
-  console.log('[video] Starting FFmpeg merge...');
-  console.log(`   Issue video: ${issueVideoPath}`);
-  console.log(`   Explainer: ${explainerVideoPath}`);
-
-  const tempVideo1 = path.join(os.tmpdir(), `temp1-${Date.now()}.ts`);
-  const tempVideo2 = path.join(os.tmpdir(), `temp2-${Date.now()}.ts`);
-
-  try {
-    // Step 1: Convert issue video to intermediate format (MPEG-TS)
-    console.log('   Step 1/3: Converting issue video...');
-    await runFFmpeg([
-      '-y', '-i', issueVideoPath,
-      '-vf', 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1',
-      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
-      '-c:a', 'aac', '-b:a', '128k', '-ar', '44100', '-ac', '2',
-      '-bsf:v', 'h264_mp4toannexb',
-      '-f', 'mpegts', tempVideo1
-    ]);
-
-    // Step 2: Convert explainer video to intermediate format
-    console.log('   Step 2/3: Converting explainer video...');
-    await runFFmpeg([
-      '-y', '-i', explainerVideoPath,
-      '-vf', 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1',
-      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
-      '-c:a', 'aac', '-b:a', '128k', '-ar', '44100', '-ac', '2',
-      '-bsf:v', 'h264_mp4toannexb',
-      '-f', 'mpegts', tempVideo2
-    ]);
-
-    // Step 3: Concat the two normalized videos
-    console.log('   Step 3/3: Concatenating...');
-    await runFFmpeg([
-      '-y',
-      '-i', `concat:${tempVideo1}|${tempVideo2}`,
-      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
-      '-c:a', 'aac', '-b:a', '128k',
-      '-movflags', '+faststart',
-      outputPath
-    ]);
-
-    console.log('[video] FFmpeg merge complete!');
-    return outputPath;
+async function probeTimelineUploads(timeline, files) {
+  for (const field of uploadFields(timeline)) {
+    const file = files[field];
+    if (!file) {
+      throw new HttpError(400, 'MISSING_SEGMENT_FILE', `No file uploaded for segment field ${field}`);
+    }
 
-  } finally {
-    // Cleanup temp files
-    try { fs.unlinkSync(tempVideo1); } catch(e) {}
-    try { fs.unlinkSync(tempVideo2); } catch(e) {}
+    file.media = await probeMedia(file.path);
+    validateVideo(file.media);
+    logMedia(file.media);
   }
 }
 
 /**
- * Parse multipart form data using busboy
- * Extracts fields and file (supports both videoFile and pdfFile field names)
+ * Make HTTP/HTTPS request (proxy to TekMetric API) with the shop's token
+ * Uses x-auth-token header as required by TM API. Transient failures are
+ * retried (see httpClient), and a token TekMetric rejects (401/403) is replaced
+ * once; the final response is returned whatever its status.
+ * @param {string} endpoint - Path on TM_API_BASE
+ * @param {string} method - HTTP method
+ * @param {Object|string|null} body - JSON body
+ * @param {string} shopId - Shop whose Auth Hub token is sent
+ * @returns {Promise<{status: number, headers: Object, body: string, attempts: number}>}
+ * @throws {UpstreamError} - If TekMetric or the Auth Hub can't be reached after retries
  */
-function parseMultipart(req) {
-  return new Promise((resolve, reject) => {
-    const fields = {};
-    let videoFile = null;
+async function proxyToTM(endpoint, method, body, shopId) {
+  const send = (jwtToken) => request(new URL(endpoint, TM_API_BASE), {
+    service: 'TekMetric',
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-auth-token': jwtToken,
+      'accept': 'application/json'
+    },
+    body: body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null
+  });
 
-    const busboy = Busboy({ headers: req.headers });
+  const jwtToken = await getJWTToken(shopId);
+  const result = await send(jwtToken);
+  if (result.status !== 401 && result.status !== 403) return result;
 
-    busboy.on('field', (name, value) => { fields[name] = value; });
+  // The cached token may have been revoked or expired early: get a new one and try once more
+  console.warn(`[video] TekMetric rejected the token for shop ${shopId} (${result.status}), refreshing it...`);
+  return send(await refreshJWTToken(shopId, jwtToken));
+}
 
-    busboy.on('file', (name, file, info) => {
-      // Accept both 'videoFile' and 'pdfFile' field names
-      if (name === 'videoFile' || name === 'pdfFile') {
-        const defaultExt = name === 'pdfFile' ? 'pdf' : 'mp4';
-        const filePath = path.join(os.tmpdir(), `upload-${Date.now()}-${info.filename || `file.${defaultExt}`}`);
-        const writeStream = fs.createWriteStream(filePath);
-        file.pipe(writeStream);
-        writeStream.on('finish', () => {
-          videoFile = { path: filePath, filename: info.filename, mimeType: info.mimeType };
-        });
-      } else {
-        file.resume();
-      }
-    });
+/**
+ * Whether TekMetric accepted a write (it answers task updates with 200 or 204)
+ * @param {Object} result - From proxyToTM()
+ */
+function tmAccepted(result) {
+  return result.status >= 200 && result.status < 300;
+}
 
-    busboy.on('finish', () => {
-      // Small delay to ensure writeStream finish event fires first
-      setTimeout(() => resolve({ fields, videoFile }), 100);
-    });
+// "shopId/roId/inspectionId/taskId" -> tail of that task's externalImages updates
+const taskImageUpdates = new Map();
 
-    busboy.on('error', reject);
-    req.pipe(busboy);
+/**
+ * Run a read-modify-write of a task's externalImages after any already
+ * running for the same task, so concurrent photo uploads don't overwrite
+ * each other's additions
+ * @returns {Promise} - Settles with update()'s result
+ */
+function queueTaskImageUpdate(key, update) {
+  const previous = taskImageUpdates.get(key) || Promise.resolve();
+  const run = previous.then(update);
+  const tail = run.catch(() => {});
+
+  taskImageUpdates.set(key, tail);
+  tail.then(() => {
+    if (taskImageUpdates.get(key) === tail) taskImageUpdates.delete(key);
   });
+  return run;
 }
 
 /**
- * Get explainer video URL from Supabase
+ * Find a task in an RO's inspections, in either of the structures TekMetric
+ * returns (see GET /get-inspections)
+ * @returns {Promise<Object|null>} - The task, or null if the inspection has no such task
+ * @throws {HttpError} - With TekMetric's status if the inspections can't be fetched
  */
-async function getExplainerVideoUrl(explainerId) {
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    console.log('[video] Supabase not configured');
-    return null;
+async function findInspectionTask(shopId, roId, inspectionId, taskId) {
+  const result = await proxyToTM(`/api/shop/${shopId}/repair-orders/${roId}/inspections`, 'GET', null, shopId);
+  if (result.status !== 200) {
+    throw new HttpError(result.status, 'INSPECTIONS_FETCH_FAILED', `TM API returned ${result.status}`);
   }
 
-  try {
-    const url = new URL('/rest/v1/explainer_videos', SUPABASE_URL);
-    url.searchParams.set('id', `eq.${explainerId}`);
-    url.searchParams.set('select', 'file_url,name');
-
-    const response = await new Promise((resolve, reject) => {
-      const req = https.request(url, {
-        method: 'GET',
-        headers: {
-          'apikey': SUPABASE_ANON_KEY,
-          'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }, resolve);
-      req.on('error', reject);
-      req.end();
-    });
+  const raw = JSON.parse(result.body);
+  for (const insp of Array.isArray(raw) ? raw : [raw]) {
+    if (String(insp.id) !== String(inspectionId)) continue;
 
-    let data = '';
-    response.on('data', chunk => data += chunk);
-    await new Promise((resolve) => response.on('end', resolve));
+    const tasks = [...(insp.tasks || []), ...(insp.inspectionTasks || []).flatMap(section => section.tasks || [])];
+    const task = tasks.find(t => String(t.id) === String(taskId));
+    if (task) return task;
+  }
+  return null;
+}
+
+/**
+ * Upload a file to an inspection task through TekMetric's presigned S3 flow
+ * @param {Object} ids - { shopId, roId, inspectionId, taskId }
+ * @param {string} filePath - Local file to upload
+ * @param {string} fileName - Name TekMetric records for it
+ * @param {string} mimeType - e.g. 'video/mp4'
+ * @param {Function} [onProgress] - S3 upload progress (see uploadToS3Form())
+ * @returns {Promise<Object>} - TekMetric's record of the upload (path and so on), without the S3 signing details
+ * @throws {UpstreamError} - If TekMetric issues no upload URL or S3 rejects the file (after retries)
+ */
+async function uploadTaskMedia(ids, filePath, fileName, mimeType, onProgress) {
+  const { shopId, roId, inspectionId, taskId } = ids;
+
+  const presignedResult = await proxyToTM(
+    `/media/create-video-upload-url`,
+    'POST',
+    {
+      files: [{ name: fileName, mimetype: mimeType }],
+      shopId: parseInt(shopId),
+      repairOrderId: parseInt(roId),
+      roInspectionId: parseInt(inspectionId),
+      roInspectionTaskId: parseInt(taskId)
+    },
+    shopId
+  );
+
+  console.log(`   TM API status: ${presignedResult.status}`);
+  if (presignedResult.status !== 200) {
+    throw new UpstreamError('TekMetric',
+      `Failed to get presigned URL (${presignedResult.status}): ${presignedResult.body}`, presignedResult);
+  }
+
+  const presignedData = JSON.parse(presignedResult.body);
+  const fileData = presignedData.data?.[0];
+  if (!fileData || !fileData.s3) {
+    throw new UpstreamError('TekMetric', `Invalid response structure: ${JSON.stringify(presignedData).substring(0, 300)}`, presignedResult);
+  }
+
+  console.log(`   S3 bucket: ${fileData.s3.url}`);
+  console.log(`   S3 key: ${fileData.path}`);
+  await uploadToS3Form(fileData.s3.url, fileData.s3.fields, fileData.path, filePath, mimeType, onProgress);
+
+  const { s3, ...media } = fileData;
+  return media;
+}
+
+/**
+ * Describe an RO's vehicle from whichever fields TekMetric returned
+ * @returns {string|null}
+ */
+function describeVehicle(ro) {
+  if (ro.vehicle) {
+    return ro.vehicle.description || ro.vehicle.shortDescription || `${ro.vehicle.year || ''} ${ro.vehicle.make || ''} ${ro.vehicle.model || ''}`.trim() || null;
+  }
+  return ro.vehicleDescription || ro.vehicleName || null;
+}
 
-    const videos = JSON.parse(data);
-    return videos && videos.length > 0 ? videos[0] : null;
+/**
+ * Fill in a lower-third's RO number and vehicle from TekMetric when the app
+ * didn't send them. Best-effort: on failure the overlay shows what is known.
+ */
+async function fillLowerThirdFromRO(lowerThird, shopId, roId) {
+  if (lowerThird.roNumber && lowerThird.vehicle) return;
+
+  try {
+    const roResult = await proxyToTM(`/api/shop/${shopId}/repair-orders/${roId}`, 'GET', null, shopId);
+    if (roResult.status !== 200) throw new Error(`TM API returned ${roResult.status}`);
+
+    const ro = JSON.parse(roResult.body);
+    lowerThird.roNumber = lowerThird.roNumber || ro.repairOrderNumber || null;
+    lowerThird.vehicle = lowerThird.vehicle || describeVehicle(ro);
   } catch (error) {
-    console.error('[video] Error fetching explainer:', error.message);
-    return null;
+    console.warn(`[video] RO lookup for lower-third failed: ${error.message}`);
   }
 }
 
 /**
- * Upload file to S3 via multipart form POST
+ * Choose the encoding profile for a request: the `profile` and `fillMode`
+ * fields, else the shop's configured defaults, else the global defaults.
+ *
+ * fillMode 'vertical' switches to the vertical (720x1280) profile when every
+ * uploaded recording is portrait, fitting explainers and other clips into it
+ * over a blur; otherwise it behaves like 'blur'.
+ *
+ * @param {Object} fields - Parsed multipart fields
+ * @param {Object[]} recordings - Probed media of the uploaded recordings
+ * @throws {HttpError} - 400 INVALID_PROFILE or INVALID_FILL_MODE for an unknown requested value
  */
-function uploadToS3Form(s3Url, s3Fields, s3Key, filePath, contentType) {
-  return new Promise((resolve, reject) => {
-    const fileSize = fs.statSync(filePath).size;
-    const boundary = `----FormBoundary${Date.now()}`;
-    const urlObj = new URL(s3Url);
+function chooseProfile(fields, recordings) {
+  const shopConfig = getShopConfig(fields.shopId);
+  const fillModes = [...FILL_MODES, 'vertical'];
+
+  if (fields.fillMode && !fillModes.includes(fields.fillMode)) {
+    throw new HttpError(400, 'INVALID_FILL_MODE', `fillMode must be one of: ${fillModes.join(', ')}`);
+  }
+
+  // Shop defaults fill in what the request didn't ask for. A typo in the shop
+  // config is logged rather than failing the shop's uploads.
+  let profileName = fields.profile;
+  if (!profileName && shopConfig.encodingProfile) {
+    if (ENCODING_PROFILES[shopConfig.encodingProfile]) profileName = shopConfig.encodingProfile;
+    else console.error(`[shop-config] Encoding profile ${shopConfig.encodingProfile} for shop ${fields.shopId} ignored`);
+  }
+
+  let fillMode = fields.fillMode;
+  if (!fillMode && shopConfig.fillMode) {
+    if (fillModes.includes(shopConfig.fillMode)) fillMode = shopConfig.fillMode;
+    else console.error(`[shop-config] Fill mode ${shopConfig.fillMode} for shop ${fields.shopId} ignored`);
+  }
+
+  if (fillMode === 'vertical') {
+    const allPortrait = recordings.length > 0 &&
+      recordings.every(media => media.video.displayHeight > media.video.displayWidth);
+    if (allPortrait) return resolveProfile('vertical', 'blur');
+    fillMode = 'blur';
+  }
 
-    console.log(`[video] Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB to S3...`);
+  return resolveProfile(profileName, fillMode);
+}
+
+/**
+ * Burn a lower-third into the timeline's issue recordings
+ * @returns {boolean} - Whether there was anything to draw
+ */
+function applyLowerThird(segments, lowerThird, profile) {
+  const videoFilter = lowerThirdFilter(lowerThird, Math.min(profile.width, profile.height));
+  if (!videoFilter) return false;
 
-    // Build multipart form data manually
-    let formParts = [];
+  for (const segment of segments) {
+    if (segment.source === 'upload' && segment.role === 'issue') segment.videoFilter = videoFilter;
+  }
+  return true;
+}
 
-    // Add all S3 signature fields first
-    for (const [key, value] of Object.entries(s3Fields)) {
-      formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`);
+/**
+ * Overlay a shop's logo on the issue and/or explainer segments, as its
+ * watermark config's apply setting says
+ * @returns {boolean} - Whether any segment got the watermark
+ */
+function applyWatermark(segments, watermark) {
+  let applied = false;
+
+  for (const segment of segments) {
+    const target = segment.role === 'issue' || segment.role === 'explainer' ? segment.role : null;
+    if (target && (watermark.apply === 'both' || watermark.apply === target)) {
+      segment.watermark = watermark;
+      applied = true;
     }
+  }
+  return applied;
+}
 
-    // Add key
-    formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="key"\r\n\r\n${s3Key}\r\n`);
+/**
+ * Check requested trims against the probed issue video (the videoFile upload)
+ * @param {Object|null} trim - Result of parseTrim()
+ * @returns {Object|null} - { request, keep, duration } where keep is null if nothing is cut
+ *   (yet - autoTrimIssue() may add cuts), or null if no trim was requested
+ * @throws {HttpError} - 400 INVALID_TRIM
+ */
+function resolveIssueTrim(trim, timeline, files) {
+  if (!trim) return null;
+  if (!uploadFields(timeline).includes('videoFile')) {
+    throw new HttpError(400, 'INVALID_TRIM', 'Trims apply to videoFile, which is not in the timeline');
+  }
 
-    // Add content-type
-    formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="Content-Type"\r\n\r\n${contentType}\r\n`);
+  const { duration } = files.videoFile.media;
+  return { request: trim, keep: resolveKeepRanges(trim, duration), duration };
+}
 
-    // File header (file content added separately)
-    const fileHeader = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="video.mp4"\r\nContent-Type: ${contentType}\r\n\r\n`;
-    const fileFooter = `\r\n--${boundary}--\r\n`;
+/**
+ * Cut dead air from the start and end of the issue video, inside any manual
+ * trimStart/trimEnd. Skipped when keepRanges picks the sections by hand.
+ *
+ * @param {Object} trim - Result of resolveIssueTrim(), with request.auto set
+ * @param {Object} file - The videoFile upload, with its probed media
+ * @returns {Promise<Object>} - Report for the response: { applied, removed, removedDuration, skipped, detected }.
+ *   trim.keep is updated when something is cut.
+ */
+async function autoTrimIssue(trim, file) {
+  const { request, duration } = trim;
+  if (request.ranges) {
+    return { applied: false, removed: [], removedDuration: 0, skipped: 'keepRanges was given', detected: [] };
+  }
 
-    const preFileBuffer = Buffer.from(formParts.join('') + fileHeader);
-    const postFileBuffer = Buffer.from(fileFooter);
-    const totalLength = preFileBuffer.length + fileSize + postFileBuffer.length;
+  console.log('[video] Detecting dead air...');
+  const detected = await detectDeadAir(file.path, file.media);
+  const plan = planAutoTrim(detected, { start: request.start ?? 0, end: Math.min(request.end ?? duration, duration) });
 
-    const req = https.request({
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': totalLength
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 204 || res.statusCode === 200 || res.statusCode === 201) {
-          console.log('[video] S3 upload complete!');
-          resolve({ success: true });
-        } else {
-          reject(new Error(`S3 upload failed: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+  const applied = plan.removed.length > 0;
+  if (applied) trim.keep = resolveKeepRanges({ start: plan.start, end: plan.end, ranges: null }, duration);
 
-    req.on('error', reject);
+  console.log(applied
+    ? `   Auto-trim removed ${plan.removedDuration}s (${plan.removed.map(s => `${s.edge}: ${s.reasons.join('/')}`).join(', ')})`
+    : `   Auto-trim: ${plan.skipped || 'no dead air found'}`);
 
-    // Write form data before file
-    req.write(preFileBuffer);
+  return { applied, removed: plan.removed, removedDuration: plan.removedDuration, skipped: plan.skipped, detected };
+}
 
-    // Stream file content
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.on('data', chunk => req.write(chunk));
-    fileStream.on('end', () => {
-      req.write(postFileBuffer);
-      req.end();
-    });
-    fileStream.on('error', reject);
-  });
+/**
+ * Cut the issue video (videoFile) down to the trimmed ranges
+ * @returns {boolean} - Whether a segment was trimmed
+ */
+function applyTrim(segments, trim) {
+  if (!trim.keep) return false;
+  let applied = false;
+
+  for (const segment of segments) {
+    if (segment.source === 'upload' && segment.field === 'videoFile') {
+      segment.keep = trim.keep;
+      applied = true;
+    }
+  }
+  return applied;
 }
 
 /**
- * Make HTTP/HTTPS request (proxy to TekMetric API)
- * Uses x-auth-token header as required by TM API
+ * Replace the audio of the tech's recordings with silence (shop noise),
+ * keeping explainer and branding audio
+ * @returns {boolean} - Whether any segment was muted
  */
-function proxyToTM(endpoint, method, body, jwtToken) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(endpoint, TM_API_BASE);
-    const isHttps = url.protocol === 'https:';
-    const transport = isHttps ? https : http;
-
-    const options = {
-      hostname: url.hostname,
-      port: isHttps ? 443 : 80,
-      path: url.pathname + url.search,
-      method: method,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-auth-token': jwtToken,
-        'accept': 'application/json'
+function muteTechAudio(segments) {
+  let muted = false;
+
+  for (const segment of segments) {
+    if (segment.source === 'upload' && segment.role === 'issue') {
+      segment.mute = true;
+      muted = true;
+    }
+  }
+  return muted;
+}
+
+/**
+ * Run the merge-and-upload pipeline for an already-parsed upload:
+ * resolve the timeline (downloading explainers), merge, upload to S3 and
+ * update the TekMetric task. Reports each stage on the given job and cleans
+ * up all temp files.
+ *
+ * Used by POST /merge-and-upload in both blocking and async (?async=true) mode.
+ *
+ * @param {Object} options
+ * @param {Object} options.profile - Encoding profile from chooseProfile()
+ * @param {Object} options.task - The task as the client sent it in taskData, from parseTaskData()
+ * @param {Object} [options.lowerThird] - Overlay from parseLowerThird() to burn into the issue video
+ * @param {boolean} [options.muteAudio] - Silence the tech's recordings
+ * @param {Object} [options.trim] - Ranges of the issue video to keep, from resolveIssueTrim()
+ *   (dead air is detected and cut here if autoTrim was requested)
+ * @param {number} [options.targetSize] - Maximum output size in bytes, from parseTargetSize()
+ */
+async function processMergeAndUpload(fields, files, timeline, job, options) {
+  const { shopId, roId, inspectionId, taskId, taskName, rating, description, mergeStrategy } = fields;
+  const { profile, task, lowerThird, muteAudio, trim, targetSize } = options;
+
+  let needsCleanup = Object.values(files).map(file => file.path);
+  let resolved = null;
+  let mergeResult = null;
+  let lowerThirdApplied = false;
+  let watermarkApplied = false;
+  let audioMuted = false;
+  let trimApplied = false;
+  let autoTrim = null;
+
+  try {
+    if (trim?.request.auto) {
+      setStage(job, 'analyzing');
+      autoTrim = await autoTrimIssue(trim, files.videoFile);
+    }
+
+    // Resolve segments - explainers that no longer exist are skipped, as before
+    console.log('[video] Resolving timeline...');
+    setStage(job, 'downloading_explainer');
+    resolved = await resolveTimeline(timeline, files, { skipMissingExplainers: true });
+    const { segments } = resolved;
+
+    let finalVideoPath = segments[0].path;
+
+    if (lowerThird) {
+      await fillLowerThirdFromRO(lowerThird, shopId, roId);
+      lowerThirdApplied = applyLowerThird(segments, lowerThird, profile);
+    }
+
+    // Shops without a logo configured get no watermark
+    const watermark = getWatermark(shopId);
+    if (watermark) watermarkApplied = applyWatermark(segments, watermark);
+
+    if (muteAudio) audioMuted = muteTechAudio(segments);
+    if (trim) trimApplied = applyTrim(segments, trim);
+
+    // Encode if there is more than the tech's recording, an overlay, cut or muting to apply,
+    // or the recording is over the target size
+    const overTargetSize = targetSize && fs.statSync(segments[0].path).size > targetSize;
+    if (segments.length > 1 || lowerThirdApplied || watermarkApplied || audioMuted || trimApplied || overTargetSize) {
+      const mergedPath = path.join(os.tmpdir(), `merged-${Date.now()}.mp4`);
+      needsCleanup.push(mergedPath);
+
+      setStage(job, 'encoding');
+      mergeResult = await mergeVideos(segments, mergedPath, {
+        strategy: mergeStrategy,
+        profile,
+        targetSize,
+        onProgress: (progress) => reportProgress(job, progress)
+      });
+      finalVideoPath = mergedPath;
+
+      console.log(`   Merged video: ${(fs.statSync(mergedPath).size / 1024 / 1024).toFixed(2)} MB`);
+    } else if (timeline.length > 1) {
+      console.log('[video] Explainer not found, uploading original');
+    }
+
+    setStage(job, 'uploading');
+
+    console.log('[video] Uploading to TekMetric...');
+    const ids = { shopId, roId, inspectionId, taskId };
+    const { path: s3Key } = await uploadTaskMedia(ids, finalVideoPath, `inspection-${Date.now()}.mp4`, 'video/mp4',
+      (progress) => reportProgress(job, progress));
+
+    // Update inspection task in TekMetric
+    const ratingMap = { 'GOOD': 1, 'MAYRQRATTN': 2, 'RQRSATTN': 3 };
+    const ratingId = ratingMap[rating] || 3;
+
+    console.log('[video] Updating inspection task...');
+    setStage(job, 'updating_task');
+    const taskUpdate = {
+      id: parseInt(taskId),
+      name: taskName || task?.name || 'Inspection Item',
+      inspectionRating: {
+        id: ratingId,
+        code: rating || 'RQRSATTN',
+        name: ratingId === 1 ? 'Good' : ratingId === 2 ? 'May Require Attention' : 'Requires Immediate Attention'
+      },
+      finding: description || '',
+      inspectionGroup: task?.group || '',
+      groupSortOrder: task?.groupSortOrder || 0,
+      reported: true,
+      externalImages: task?.externalImages || [],
+      inspectionTaskId: task?.inspectionTaskId
+    };
+
+    const taskUpdateResult = await proxyToTM(
+      `/api/shop/${shopId}/repair-orders/${roId}/inspections/${inspectionId}/tasks/${taskId}`,
+      'PUT',
+      taskUpdate,
+      shopId
+    );
+
+    if (!tmAccepted(taskUpdateResult)) {
+      throw new UpstreamError('TekMetric',
+        `Video uploaded as ${s3Key} but the task update failed (${taskUpdateResult.status}): ${taskUpdateResult.body}`, taskUpdateResult);
+    }
+
+    console.log('[video] Upload complete!');
+    return {
+      success: true,
+      message: 'Video uploaded successfully',
+      merged: segments.length > 1,
+      media: files[uploadFields(timeline)[0]].media || null,
+      timeline: describeTimeline(resolved.segments),
+      lowerThird: lowerThirdApplied ? describeLowerThird(lowerThird) : null,
+      trim: trimApplied ? describeTrim(trim.keep, trim.duration) : null,
+      autoTrim,
+      targetSize: mergeResult?.targetSize || null,
+      watermark: watermarkApplied ? { file: watermark.file, position: watermark.position, apply: watermark.apply } : null,
+      profile: describeProfile(profile),
+      audio: mergeResult && { loudness: profile.audio.loudness, mutedTechAudio: audioMuted },
+      encode: mergeResult && {
+        strategy: mergeResult.strategy,
+        profile: mergeResult.profile,
+        durationMs: mergeResult.durationMs
       }
     };
 
-    const req = transport.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
-    });
+  } finally {
+    // Cleanup temp files (cached explainers and assets are shared, so just release them)
+    cleanup(needsCleanup);
+    if (resolved) resolved.release();
+  }
+}
+
+/**
+ * Parse the tasks field of a batch upload
+ *
+ * @param {string} tasksField - JSON array of { taskId, file, ...per-task fields }
+ * @param {Object} files - Parsed multipart files
+ * @returns {Object[]} - { taskId, file, fields } with fields as form field strings
+ * @throws {HttpError} - 400 INVALID_BATCH
+ */
+function parseBatchTasks(tasksField, files) {
+  const invalid = (message) => { throw new HttpError(400, 'INVALID_BATCH', message); };
+
+  let raw;
+  try {
+    raw = JSON.parse(tasksField);
+  } catch (e) {
+    invalid(tasksField ? `tasks is not valid JSON: ${e.message}` : 'tasks is required');
+  }
+  if (!Array.isArray(raw) || raw.length === 0) invalid('tasks must be a non-empty array');
+  if (raw.length > MAX_UPLOAD_FILES) invalid(`A batch may contain at most ${MAX_UPLOAD_FILES} tasks`);
+
+  const taskIds = new Set();
+  const fileFields = new Set();
+
+  return raw.map((task, i) => {
+    if (!task || typeof task !== 'object' || Array.isArray(task)) invalid(`tasks[${i}] must be an object`);
 
-    req.on('error', reject);
-    if (body) req.write(typeof body === 'string' ? body : JSON.stringify(body));
-    req.end();
+    const unknown = Object.keys(task).filter(name => !BATCH_TASK_FIELDS.includes(name));
+    if (unknown.length > 0) {
+      invalid(`tasks[${i}] has unsupported fields: ${unknown.join(', ')} (allowed: ${BATCH_TASK_FIELDS.join(', ')})`);
+    }
+
+    const { file, ...rest } = task;
+    const fields = toFormFields(rest);
+    if (!fields.taskId) invalid(`tasks[${i}].taskId is required`);
+    if (taskIds.has(fields.taskId)) invalid(`Task ${fields.taskId} appears more than once`);
+    if (!file || !files[file]) invalid(`tasks[${i}].file must name an uploaded file field (got ${file || 'nothing'})`);
+    if (fileFields.has(file)) invalid(`${file} is used by more than one task`);
+
+    taskIds.add(fields.taskId);
+    fileFields.add(file);
+    return { taskId: fields.taskId, file, fields };
   });
 }
 
-// getJWTToken is imported from ../utils/authHub.js
+/**
+ * Run an async worker over items, at most `limit` at a time
+ * @returns {Promise<Array>} - The worker's results, in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const drain = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, drain));
+  return results;
+}
+
+/**
+ * Merge and upload one task of a batch. The task's recording is processed
+ * as its videoFile, so trims and the default timeline apply to it. Never
+ * throws: failures are reported in the result.
+ *
+ * @param {Object} task - From parseBatchTasks(), with its job
+ * @param {Object} sharedFields - Fields that apply to every task (shopId, roId, profile...)
+ * @param {Object} file - The task's uploaded recording
+ * @returns {Promise<Object>} - { taskId, file, jobId, status, result } or, on failure,
+ *   { taskId, file, jobId, status, stage, error, retryable }
+ */
+async function runBatchTask(task, sharedFields, file) {
+  const { job } = task;
+  const fields = { ...sharedFields, ...task.fields };
+  const files = { videoFile: file };
+  const outcome = { taskId: task.taskId, file: task.file, jobId: job.id };
+  let pipelineStarted = false;
+
+  console.log(`[video] Batch task ${task.taskId}: ${file.filename} (${(fs.statSync(file.path).size / 1024 / 1024).toFixed(2)} MB)`);
+
+  try {
+    const { timeline, options } = await prepareMergeAndUpload(fields, files, job);
+    pipelineStarted = true;
+    const result = await processMergeAndUpload(fields, files, timeline, job, options);
+
+    completeJob(job, result);
+    return { ...outcome, status: 'succeeded', result };
+
+  } catch (error) {
+    console.error(`[video] Batch task ${task.taskId} failed:`, error.message);
+    failJob(job, error);
+    if (!pipelineStarted) cleanup([file.path]);
+
+    // A bad recording or field fails again as sent; TekMetric, S3 and encoder failures may not
+    const isHttpError = error instanceof HttpError;
+    return {
+      ...outcome,
+      status: 'failed',
+      stage: job.error.stage,
+      error: isHttpError ? error.toJSON() : { error: 'Video processing failed', message: error.message },
+      retryable: !isHttpError || error.status >= 500 || error.status === 429
+    };
+  }
+}
 
 // ============================================================================
 // Routes
@@ -340,17 +812,12 @@ router.get('/debug-inspections', async (req, res) => {
   }
 
   try {
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) {
-      return res.status(401).json({ error: 'NO_TOKEN' });
-    }
-
     // Search for RO
     const searchResult = await proxyToTM(
       `/api/shop/${shopId}/repair-orders?search=${encodeURIComponent(roNumber)}&size=10`,
       'GET',
       null,
-      jwtToken
+      shopId
     );
 
     const searchData = JSON.parse(searchResult.body);
@@ -366,7 +833,7 @@ router.get('/debug-inspections', async (req, res) => {
       `/api/shop/${shopId}/repair-orders/${ro.id}/inspections`,
       'GET',
       null,
-      jwtToken
+      shopId
     );
 
     const inspectionsRaw = JSON.parse(inspResult.body);
@@ -415,19 +882,13 @@ router.get('/get-inspections', async (req, res) => {
   }
 
   try {
-    // Get JWT token from AUTH-HUB
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) {
-      return res.status(401).json({ error: 'NO_TOKEN', details: 'No JWT token available for this shop' });
-    }
-
     // Search for RO by number
     console.log(`[inspections] Searching TM API for RO ${roNumber}...`);
     const searchResult = await proxyToTM(
       `/api/shop/${shopId}/repair-orders?search=${encodeURIComponent(roNumber)}&size=10`,
       'GET',
       null,
-      jwtToken
+      shopId
     );
 
     if (searchResult.status !== 200) {
@@ -467,7 +928,7 @@ router.get('/get-inspections', async (req, res) => {
       `/api/shop/${shopId}/repair-orders/${ro.id}/inspections`,
       'GET',
       null,
-      jwtToken
+      shopId
     );
 
     if (inspResult.status !== 200) {
@@ -533,7 +994,6 @@ router.get('/get-inspections', async (req, res) => {
     // TekMetric search results include customerId/vehicleId but not full objects
     // Try multiple field patterns
     let customer = 'Unknown';
-    let vehicle = 'Unknown';
 
     // Customer: check various possible field names
     if (ro.customer) {
@@ -544,14 +1004,8 @@ router.get('/get-inspections', async (req, res) => {
       customer = ro.customerFullName;
     }
 
-    // Vehicle: check various possible field names  
-    if (ro.vehicle) {
-      vehicle = ro.vehicle.description || ro.vehicle.shortDescription || `${ro.vehicle.year || ''} ${ro.vehicle.make || ''} ${ro.vehicle.model || ''}`.trim() || 'Unknown';
-    } else if (ro.vehicleDescription) {
-      vehicle = ro.vehicleDescription;
-    } else if (ro.vehicleName) {
-      vehicle = ro.vehicleName;
-    }
+    // Vehicle: check various possible field names
+    const vehicle = describeVehicle(ro) || 'Unknown';
 
     console.log(`[inspections] Returning ${tasks.length} tasks for RO ${roNumber} (customer: ${customer}, vehicle: ${vehicle})`);
 
@@ -565,6 +1019,11 @@ router.get('/get-inspections', async (req, res) => {
 
   } catch (error) {
     console.error(`[inspections] Error:`, error.message);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
       error: 'INTERNAL_ERROR',
       details: error.message
@@ -585,156 +1044,809 @@ router.get('/get-inspections', async (req, res) => {
  * - rating: GOOD, MAYRQRATTN, or RQRSATTN (optional)
  * - description: Finding description (optional)
  * - explainerVideoId: Supabase explainer video ID (optional)
- * - taskData: JSON string with additional task data (optional)
+ * - taskData: JSON object with additional task data (optional); anything else is rejected
+ *   with 400 INVALID_TASK_DATA before processing
+ * - mergeStrategy: parallel, concat-filter or sequential (optional, default MERGE_STRATEGY env or parallel)
+ * - profile: Encoding profile - hd720, hd1080, sms-480p, vertical or archive (optional, default the
+ *   shop's encodingProfile in the shop config, then ENCODING_PROFILE env, then hd720)
+ * - fillMode: How clips that don't match the output's aspect ratio are fitted (optional, default
+ *   the shop's fillMode, then FILL_MODE env, then pad): pad (black bars), blur (blurred copy of the
+ *   clip behind it) or vertical (vertical profile when every recording is portrait, else blur)
+ * - segments: JSON array describing the full timeline in playback order (optional), e.g.
+ *   [{ "source": "asset", "name": "shop-12-preroll.mp4" },
+ *    { "source": "upload", "field": "videoFile" },
+ *    { "source": "upload", "field": "videoFile2" },
+ *    { "source": "explainer", "id": "<explainer id>" },
+ *    { "source": "asset", "name": "shop-12-cta.mp4", "role": "outro" }]
+ *   Sources are upload (a videoFile<N> field), explainer (Supabase ID) or asset
+ *   (file in ASSETS_DIR); at least one must be an upload. Without segments, videoFile +
+ *   explainerVideoId is the timeline.
+ * - videoFile2, videoFile3...: Additional recordings referenced by segments (optional)
+ * - lowerThird: 'true' to burn shop, RO, vehicle, task and rating into the issue video (optional)
+ *   Text comes from shopName, roNumber, vehicle, taskName, rating (or taskData); a missing RO
+ *   number or vehicle is looked up in TekMetric. Styling: lowerThirdPosition (bottom or top),
+ *   lowerThirdFontSize (12-72).
+ * - muteTechAudio: 'true' to replace the audio of the tech's recordings with silence, keeping
+ *   the explainer narration (optional)
+ * - trimStart, trimEnd: Seconds into videoFile to start and stop it at (optional)
+ * - keepRanges: JSON array of sections of videoFile to keep, e.g. [{ "start": 1.5, "end": 6 }] (optional)
+ *   Trims beyond the video's duration are rejected with 400 INVALID_TRIM.
+ * - autoTrim: 'true' to cut silent, black or frozen stretches from the start and end of
+ *   videoFile (optional). Never removes more than AUTO_TRIM_MAX_FRACTION of the clip; the
+ *   response's autoTrim reports what was detected and cut.
+ * - maxSizeMB: Maximum size of the uploaded video in MB (optional). The merge is re-encoded in
+ *   two passes at the bitrate that fits, at a lower resolution if needed; targetSize in the
+ *   response has the achieved size and bitrate. Too small for the duration: 422 TARGET_SIZE_TOO_SMALL.
+ *
+ * Merged segments are normalized to the profile's loudness target (EBU R128),
+ * and recordings without an audio stream get a silent track.
+ *
+ * Shops with a logo watermark in the shop config (SHOP_CONFIG_FILE) get it
+ * overlaid on the issue and/or explainer segments.
+ *
+ * Query params:
+ * - async: 'true' to return 202 with a jobId as soon as the upload is received,
+ *   instead of holding the connection open until processing finishes (optional)
+ *
+ * Headers:
+ * - X-Job-Id: Client-generated UUID to use as the job ID (optional). Lets a
+ *   blocking request be followed on GET /jobs/:id/events while it runs. The job
+ *   belongs to the API key that created it; ignored if the ID is already in use.
+ *
+ * If explainerVideoId (or a multi-segment timeline) is provided, fetches explainers
+ * from Supabase and merges the segments before uploading to TekMetric.
+ *
+ * The upload is inspected with ffprobe first; unusable files are rejected with
+ * a 4xx (EMPTY_FILE, INVALID_MEDIA, NO_VIDEO_STREAM or INVALID_DURATION). The probed metadata is returned as `media`,
+ * and the encoding profile as `profile`.
  *
- * If explainerVideoId is provided, fetches explainer from Supabase and merges
- * with the issue video before uploading to TekMetric.
+ * In async mode, poll GET /jobs/:id for the stage and final result, or
+ * stream it from GET /jobs/:id/events.
  */
-router.post('/merge-and-upload', async (req, res) => {
-  console.log('[video] Processing merge-and-upload request...');
+router.post('/merge-and-upload', admitEncode, (req, res) => {
+  return handleMergeAndUpload(req, res, {
+    load: () => parseMultipart(req),
+    discard: (files) => cleanup(filePaths(files))
+  });
+});
 
-  let needsCleanup = [];
+/**
+ * Validate a merge-and-upload request and run (or start) its pipeline.
+ * Shared by POST /merge-and-upload and POST /uploads/merge-and-upload, which
+ * differ only in where the fields and files come from.
+ *
+ * @param {Object} source
+ * @param {Function} source.load - async (job) => { fields, files }
+ * @param {Function} source.discard - Called with the files if the request is rejected before processing starts
+ * @param {Function} [source.render] - async (fields, files, job) => { fields, files }, run as the job's
+ *   first step to turn the upload into the recordings its timeline uses (it owns the files it is given)
+ */
+async function handleMergeAndUpload(req, res, source) {
+  const isAsync = req.query.async === 'true';
+  console.log(`[video] Processing merge-and-upload request${isAsync ? ' (async)' : ''}...`);
+
+  const job = createJob('merge-and-upload', {}, { requestedId: req.get('X-Job-Id'), owner: req.apiKey?.id });
+  let files = {};
+  let pipelineStarted = false;
 
   try {
-    // Parse multipart form data
-    const { fields, videoFile } = await parseMultipart(req);
-    const { shopId, roId, inspectionId, taskId, taskName, rating, description, explainerVideoId, taskData } = fields;
+    setStage(job, 'parsing');
+    const parsed = await source.load(job);
+    const { fields } = parsed;
+    files = parsed.files;
+    const { shopId, roId, inspectionId, taskId } = fields;
 
     // Validate required fields
-    if (!videoFile) {
+    if (Object.keys(files).length === 0) {
+      failJob(job, new Error('No video file uploaded'));
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
-    needsCleanup.push(videoFile.path);
-
     if (!shopId || !roId || !inspectionId || !taskId) {
-      cleanup(needsCleanup);
+      source.discard(files);
+      failJob(job, new Error('Missing required fields'));
       return res.status(400).json({ error: 'Missing required fields: shopId, roId, inspectionId, taskId' });
     }
 
+    job.meta = { shopId, roId, inspectionId, taskId };
     console.log(`   Shop: ${shopId}, RO: ${roId}, Task: ${taskId}`);
-    console.log(`   Video: ${videoFile.filename} (${(fs.statSync(videoFile.path).size / 1024 / 1024).toFixed(2)} MB)`);
-    console.log(`   Explainer ID: ${explainerVideoId || 'none'}`);
-
-    let finalVideoPath = videoFile.path;
-
-    // If explainer selected, merge videos
-    if (explainerVideoId) {
-      console.log('[video] Fetching explainer video info...');
-      const explainer = await getExplainerVideoUrl(explainerVideoId);
+    for (const [field, file] of Object.entries(files)) {
+      console.log(`   ${field}: ${file.filename} (${(fs.statSync(file.path).size / 1024 / 1024).toFixed(2)} MB)`);
+    }
 
-      if (explainer && explainer.file_url) {
-        console.log(`   Explainer: ${explainer.name}`);
+    // Known before the 202 only when there is nothing to render first
+    let described = null;
+    let pipeline;
+    if (source.render) {
+      // Still reject bad fields before responding
+      parseMergeFields(fields);
+      pipeline = renderThenMerge(source, fields, files, job);
+    } else {
+      const { timeline, options } = await prepareMergeAndUpload(fields, files, job);
+      // The first recording's probe, echoed in the response (timelines always have one)
+      described = { profile: options.profile.name, media: files[uploadFields(timeline)[0]].media };
 
-        const explainerPath = path.join(os.tmpdir(), `explainer-${Date.now()}.mp4`);
-        needsCleanup.push(explainerPath);
+      // processMergeAndUpload owns temp file cleanup from here on
+      pipeline = processMergeAndUpload(fields, files, timeline, job, options);
+    }
+    pipelineStarted = true;
+
+    if (isAsync) {
+      // Respond now; the client polls GET /jobs/:id for the outcome. The job
+      // keeps the request's place in the encode queue until it finishes.
+      const releasePlace = holdEncodeReservation();
+      pipeline
+        .finally(releasePlace)
+        .then((result) => {
+          completeJob(job, result);
+          console.log(`[video] Job ${job.id} complete`);
+        })
+        .catch((error) => {
+          console.error(`[video] Job ${job.id} failed:`, error.message);
+          failJob(job, error);
+        });
 
-        console.log('[video] Downloading explainer video...');
-        await downloadFile(explainer.file_url, explainerPath);
-        console.log(`   Downloaded: ${(fs.statSync(explainerPath).size / 1024 / 1024).toFixed(2)} MB`);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        ...described
+      });
+    }
 
-        const mergedPath = path.join(os.tmpdir(), `merged-${Date.now()}.mp4`);
-        needsCleanup.push(mergedPath);
+    const result = await pipeline;
+    completeJob(job, result);
+    return res.json({ ...result, jobId: job.id });
 
-        await mergeVideos(videoFile.path, explainerPath, mergedPath);
-        finalVideoPath = mergedPath;
+  } catch (error) {
+    console.error('[video] Error:', error.message);
+    failJob(job, error);
+    if (!pipelineStarted) source.discard(files);
 
-        console.log(`   Merged video: ${(fs.statSync(mergedPath).size / 1024 / 1024).toFixed(2)} MB`);
-      } else {
-        console.log('[video] Explainer not found, uploading original');
-      }
+    if (error instanceof HttpError) {
+      if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+      return res.status(error.status).json(error.toJSON());
     }
 
-    // Get JWT token from AUTH-HUB
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) throw new Error('No JWT token available');
-
-    // Get presigned upload URL from TekMetric
-    console.log('[video] Getting presigned upload URL...');
-    const presignedResult = await proxyToTM(
-      `/media/create-video-upload-url`,
-      'POST',
-      {
-        files: [{ name: `inspection-${Date.now()}.mp4`, mimetype: 'video/mp4' }],
-        shopId: parseInt(shopId),
-        repairOrderId: parseInt(roId),
-        roInspectionId: parseInt(inspectionId),
-        roInspectionTaskId: parseInt(taskId)
-      },
-      jwtToken
-    );
+    return res.status(500).json({
+      error: 'Video processing failed',
+      message: error.message
+    });
+  }
+}
 
-    console.log(`   TM API status: ${presignedResult.status}`);
+/**
+ * Run a request whose recording is rendered by the job itself (see
+ * handleMergeAndUpload's source.render), then merge and upload it
+ *
+ * @returns {Promise<Object>} - processMergeAndUpload()'s result
+ */
+async function renderThenMerge(source, fields, files, job) {
+  const rendered = await source.render(fields, files, job);
 
-    if (presignedResult.status !== 200) {
-      throw new Error(`Failed to get presigned URL (${presignedResult.status}): ${presignedResult.body}`);
-    }
+  let prepared;
+  try {
+    prepared = await prepareMergeAndUpload(rendered.fields, rendered.files, job);
+  } catch (error) {
+    source.discard(rendered.files);
+    throw error;
+  }
+  return processMergeAndUpload(rendered.fields, rendered.files, prepared.timeline, job, prepared.options);
+}
 
-    const presignedData = JSON.parse(presignedResult.body);
-    const videoData = presignedData.data?.[0];
-    if (!videoData || !videoData.s3) {
-      throw new Error(`Invalid response structure: ${JSON.stringify(presignedData).substring(0, 300)}`);
-    }
+/**
+ * Parse the taskData field: the task as the client read it from TekMetric,
+ * whose group, sort order and images the task update keeps
+ *
+ * @returns {Object} - The task ({} if taskData wasn't sent)
+ * @throws {HttpError} - 400 INVALID_TASK_DATA if it isn't a JSON object
+ */
+function parseTaskData(fields) {
+  if (!fields.taskData) return {};
 
-    const s3Url = videoData.s3.url;
-    const s3Fields = videoData.s3.fields;
-    const s3Key = videoData.path;
+  let task;
+  try {
+    task = JSON.parse(fields.taskData);
+  } catch (e) {
+    throw new HttpError(400, 'INVALID_TASK_DATA', `taskData is not valid JSON: ${e.message}`);
+  }
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    throw new HttpError(400, 'INVALID_TASK_DATA', 'taskData must be a JSON object');
+  }
+  return task;
+}
 
-    console.log(`   S3 bucket: ${s3Url}`);
-    console.log(`   S3 key: ${s3Key}`);
+/**
+ * Parse the merge-and-upload fields that don't depend on the uploads
+ *
+ * @returns {Object} - { timeline, task, lowerThird, trim, targetSize } (trim as requested)
+ * @throws {HttpError} - 400 for invalid fields
+ */
+function parseMergeFields(fields) {
+  resolveStrategy(fields.mergeStrategy);
+  return {
+    timeline: parseTimeline(fields),
+    task: parseTaskData(fields),
+    lowerThird: parseLowerThird(fields),
+    trim: parseTrim(fields),
+    targetSize: parseTargetSize(fields)
+  };
+}
 
-    // Upload to S3 via multipart form POST
-    await uploadToS3Form(s3Url, s3Fields, s3Key, finalVideoPath, 'video/mp4');
+/**
+ * Check a merge-and-upload request's options and probe the uploads its
+ * timeline uses, before any processing starts
+ *
+ * @returns {Promise<Object>} - { timeline, options } for processMergeAndUpload()
+ * @throws {HttpError} - 4xx for invalid fields or unusable uploads
+ */
+async function prepareMergeAndUpload(fields, files, job) {
+  const { timeline, task, lowerThird, trim: requestedTrim, targetSize } = parseMergeFields(fields);
+  console.log(`   Timeline: ${timeline.map(segment => segment.id ? `${segment.role} (${segment.id})` : segment.role).join(' + ')}`);
+
+  // Reject unusable uploads before doing any work
+  setStage(job, 'probing');
+  await probeTimelineUploads(timeline, files);
+  const trim = resolveIssueTrim(requestedTrim, timeline, files);
+
+  const profile = chooseProfile(fields, uploadFields(timeline).map(field => files[field].media));
+  console.log(`   Profile: ${profile.name} (${profile.width}x${profile.height}, fill ${profile.fillMode})`);
+
+  return {
+    timeline,
+    options: { profile, task, lowerThird, trim, targetSize, muteAudio: fields.muteTechAudio === 'true' }
+  };
+}
 
-    // Update inspection task in TekMetric
-    const task = taskData ? JSON.parse(taskData) : {};
-    const ratingMap = { 'GOOD': 1, 'MAYRQRATTN': 2, 'RQRSATTN': 3 };
-    const ratingId = ratingMap[rating] || 3;
+/**
+ * POST /merge-and-upload/batch
+ *
+ * Merges and uploads recordings for several tasks of one inspection in a
+ * single request, BATCH_CONCURRENCY (default 2) at a time, with a shared
+ * TekMetric token.
+ *
+ * Accepts multipart form with:
+ * - shopId, roId, inspectionId: Shared by every task (required)
+ * - videoFile, videoFile2, videoFile3...: One recording per task (required)
+ * - tasks: JSON array with one entry per task (required, at most 12), e.g.
+ *   [{ "taskId": 101, "file": "videoFile", "explainerVideoId": "<id>", "rating": "RQRSATTN",
+ *      "description": "Front pads at 2mm" },
+ *    { "taskId": 102, "file": "videoFile2", "rating": "MAYRQRATTN" }]
+ *   Each entry has taskId and file (the field its recording was sent in), and optionally
+ *   explainerVideoId, taskName, rating, description, taskData, trimStart, trimEnd, keepRanges
+ *   and autoTrim, as for /merge-and-upload.
+ * - Any other /merge-and-upload field (profile, fillMode, mergeStrategy, lowerThird,
+ *   muteTechAudio, maxSizeMB...) applies to every task. segments is not supported.
+ *
+ * Query params:
+ * - async: 'true' to return 202 with the batch and per-task job IDs as soon as the
+ *   upload is received (optional)
+ *
+ * Headers:
+ * - X-Job-Id: Client-generated UUID to use as the batch job ID (optional)
+ *
+ * Returns results[] in task order, each { taskId, file, jobId, status } plus the task's
+ * /merge-and-upload response as `result`, or `error`, the `stage` it failed at and whether
+ * it is `retryable` (false when the recording or fields must be fixed first). One task
+ * failing doesn't stop the others; retry just the failed ones. Status is 200 when every
+ * task succeeded, 207 otherwise. A malformed batch is rejected with 400 INVALID_BATCH, and
+ * a shop whose token can't be fetched with 502 TOKEN_UNAVAILABLE, before any processing.
+ *
+ * Each task also gets its own job, so GET /jobs/:id/events can follow it; the batch
+ * job reports { completed, total, percent } progress and ends with the batch result.
+ * Running BATCH_CONCURRENCY encodes at once, a batch takes that many places in the
+ * encode queue (503 ENCODER_BUSY when they aren't free).
+ */
+router.post('/merge-and-upload/batch', admitEncodes(BATCH_CONCURRENCY), async (req, res) => {
+  const isAsync = req.query.async === 'true';
+  console.log(`[video] Processing batch merge-and-upload request${isAsync ? ' (async)' : ''}...`);
 
-    console.log('[video] Updating inspection task...');
-    const taskUpdate = {
-      id: parseInt(taskId),
-      name: taskName || task?.name || 'Inspection Item',
-      inspectionRating: {
-        id: ratingId,
-        code: rating || 'RQRSATTN',
-        name: ratingId === 1 ? 'Good' : ratingId === 2 ? 'May Require Attention' : 'Requires Immediate Attention'
-      },
-      finding: description || '',
-      inspectionGroup: task?.group || '',
-      groupSortOrder: task?.groupSortOrder || 0,
-      reported: true,
-      externalImages: task?.externalImages || [],
-      inspectionTaskId: task?.inspectionTaskId
-    };
+  const batchJob = createJob('merge-and-upload-batch', {}, { requestedId: req.get('X-Job-Id'), owner: req.apiKey?.id });
+  let files = {};
+  let tasksStarted = false;
 
-    await proxyToTM(
-      `/api/shop/${shopId}/repair-orders/${roId}/inspections/${inspectionId}/tasks/${taskId}`,
-      'PUT',
-      taskUpdate,
-      jwtToken
-    );
+  try {
+    setStage(batchJob, 'parsing');
+    const parsed = await parseMultipart(req);
+    files = parsed.files;
+    const { tasks: tasksField, ...sharedFields } = parsed.fields;
+    const { shopId, roId, inspectionId } = sharedFields;
+
+    if (!shopId || !roId || !inspectionId) {
+      throw new HttpError(400, 'MISSING_FIELDS', 'Missing required fields: shopId, roId, inspectionId');
+    }
+    if (sharedFields.segments) {
+      throw new HttpError(400, 'INVALID_BATCH', 'segments is not supported in batches; each task is its recording plus an optional explainer');
+    }
 
-    // Cleanup temp files
-    cleanup(needsCleanup);
+    const tasks = parseBatchTasks(tasksField, files);
+    batchJob.meta = { shopId, roId, inspectionId, taskIds: tasks.map(task => task.taskId) };
+    console.log(`   Shop: ${shopId}, RO: ${roId}, Inspection: ${inspectionId}, ${tasks.length} tasks (${BATCH_CONCURRENCY} at a time)`);
 
-    console.log('[video] Upload complete!');
-    return res.json({
-      success: true,
-      message: 'Video uploaded successfully',
-      merged: !!explainerVideoId
+    // Recordings no task refers to
+    const usedFields = new Set(tasks.map(task => task.file));
+    cleanup(Object.entries(files).filter(([field]) => !usedFields.has(field)).map(([, file]) => file.path));
+
+    // Fetch the token once up front: every task shares it, and a shop that can't
+    // authenticate fails here instead of after each task's encode
+    setStage(batchJob, 'authenticating');
+    try {
+      await getJWTToken(shopId);
+    } catch (error) {
+      throw new HttpError(502, 'TOKEN_UNAVAILABLE', `Could not get a TekMetric token for shop ${shopId}: ${error.message}`, error.extra);
+    }
+
+    for (const task of tasks) {
+      task.job = createJob('merge-and-upload', { shopId, roId, inspectionId, taskId: task.taskId, batchJobId: batchJob.id },
+        { owner: batchJob.owner });
+    }
+
+    setStage(batchJob, 'processing');
+    let completed = 0;
+    const run = mapWithConcurrency(tasks, BATCH_CONCURRENCY, async (task) => {
+      const outcome = await runBatchTask(task, sharedFields, files[task.file]);
+      completed++;
+      reportProgress(batchJob, { completed, total: tasks.length, percent: Math.round((completed / tasks.length) * 100) });
+      return outcome;
+    }).then((results) => {
+      const failed = results.filter(outcome => outcome.status === 'failed').length;
+      console.log(`[video] Batch ${batchJob.id} done: ${results.length - failed} of ${results.length} tasks succeeded`);
+      return {
+        success: failed === 0,
+        summary: { total: results.length, succeeded: results.length - failed, failed },
+        results
+      };
     });
+    tasksStarted = true;
+
+    if (isAsync) {
+      run.finally(holdEncodeReservation())
+        .then(result => completeJob(batchJob, result), error => failJob(batchJob, error));
+
+      return res.status(202).json({
+        success: true,
+        jobId: batchJob.id,
+        status: batchJob.status,
+        statusUrl: `${req.baseUrl}/jobs/${batchJob.id}`,
+        tasks: tasks.map(task => ({
+          taskId: task.taskId,
+          file: task.file,
+          jobId: task.job.id,
+          statusUrl: `${req.baseUrl}/jobs/${task.job.id}`
+        }))
+      });
+    }
+
+    const result = await run;
+    completeJob(batchJob, result);
+    return res.status(result.success ? 200 : 207).json({ ...result, jobId: batchJob.id });
 
   } catch (error) {
-    console.error('[video] Error:', error.message);
-    cleanup(needsCleanup);
+    console.error('[video] Batch error:', error.message);
+    failJob(batchJob, error);
+    if (!tasksStarted) cleanup(filePaths(files));
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
-      error: 'Video processing failed',
+      error: 'Batch processing failed',
       message: error.message
     });
   }
 });
 
+/**
+ * Check a slideshow request's fields and photos
+ *
+ * @returns {Object[]} - The slides, from parseSlides()
+ * @throws {HttpError} - 400 for missing fields or bad slides
+ */
+function parseSlideshowRequest(fields, files) {
+  const { shopId, roId, inspectionId, taskId } = fields;
+  if (!shopId || !roId || !inspectionId || !taskId) {
+    throw new HttpError(400, 'MISSING_FIELDS', 'Missing required fields: shopId, roId, inspectionId, taskId');
+  }
+  if (fields.segments) {
+    throw new HttpError(400, 'INVALID_SLIDES', 'segments is not supported; the slideshow plays first, then explainerVideoId');
+  }
+  return parseSlides(fields, files);
+}
+
+/**
+ * Render a slideshow request's photos into the video that stands in for its
+ * videoFile upload
+ *
+ * @param {Object[]} slides - From parseSlideshowRequest()
+ * @param {string[]} tempPaths - Converted photos are added here, for the caller to delete
+ * @returns {Promise<Object>} - { fields, files } with files.videoFile the rendered clip
+ * @throws {HttpError} - 422 INVALID_IMAGE, or an encoding error
+ */
+async function renderSlideshowUpload(slides, fields, files, job, tempPaths) {
+  setStage(job, 'rendering_slideshow');
+
+  // Upright, downsized copies of each photo used (a photo may be shown more than once)
+  const photos = {};
+  for (const field of new Set(slides.map(slide => slide.field))) {
+    const jpegPath = path.join(os.tmpdir(), `photo-${crypto.randomUUID()}.jpg`);
+    tempPaths.push(jpegPath);
+    photos[field] = { path: jpegPath, ...await normalizePhoto(files[field].path, jpegPath, files[field].format) };
+  }
+
+  // The profile fits the photos the way it would fit recordings of the same shape
+  const profile = chooseProfile(fields, Object.values(photos).map(photo => ({
+    video: { displayWidth: photo.width, displayHeight: photo.height }
+  })));
+
+  const videoPath = path.join(os.tmpdir(), `slideshow-${crypto.randomUUID()}.mp4`);
+  try {
+    await renderSlideshow(
+      slides.map(slide => ({ path: photos[slide.field].path, duration: slide.duration, caption: slide.caption })),
+      videoPath,
+      profile,
+      { onProgress: (progress) => reportProgress(job, progress) }
+    );
+  } catch (error) {
+    cleanup([videoPath]);
+    throw error;
+  }
+
+  return {
+    fields,
+    files: { videoFile: { path: videoPath, filename: 'slideshow.mp4', mimeType: 'video/mp4', format: 'mp4' } }
+  };
+}
+
+/**
+ * Set the tus headers describing an upload session
+ */
+function setUploadHeaders(res, session) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.length);
+  res.setHeader('Upload-Expires', new Date(session.expiresAt).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+/**
+ * Respond to a failed upload request with the error's status, echoing the
+ * current offset when the client needs to resync
+ */
+function sendUploadError(res, error, session) {
+  if (res.headersSent) return;
+  if (session) setUploadHeaders(res, session);
+  else res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (error instanceof HttpError) {
+    if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+    return res.status(error.status).json(error.toJSON());
+  }
+  return res.status(500).json({ error: 'Upload failed', message: error.message });
+}
+
+/**
+ * ID of the API key making a request, which upload sessions are bound to
+ * @returns {string|null} - null with API_AUTH_DISABLED
+ */
+function uploadOwner(req) {
+  return req.apiKey?.id ?? null;
+}
+
+/**
+ * Reject requests from tus clients speaking another protocol version
+ * @returns {boolean} - Whether the request was rejected
+ */
+function rejectTusVersion(req, res) {
+  const version = req.get('Tus-Resumable');
+  if (!version || version === TUS_VERSION) return false;
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.status(412).json({ error: 'UNSUPPORTED_TUS_VERSION', details: `Only tus ${TUS_VERSION} is supported` });
+  return true;
+}
+
+/**
+ * OPTIONS /uploads
+ *
+ * tus discovery: supported version, extensions and maximum size.
+ */
+router.options('/uploads', (req, res) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+  res.setHeader('Tus-Max-Size', MAX_UPLOAD_BYTES);
+  res.status(204).end();
+});
+
+/**
+ * POST /uploads
+ *
+ * Starts a resumable upload of one recording (tus creation). Send the file
+ * with PATCH /uploads/:id, then process it with POST /uploads/merge-and-upload.
+ *
+ * Headers:
+ * - Upload-Length: Size of the file in bytes (required)
+ * - Upload-Metadata: tus metadata; filename and filetype are used (optional)
+ *
+ * Returns 201 with Location, Upload-Offset (0) and Upload-Expires headers, and
+ * { uploadId, location, expiresAt }. Sessions not written to before they
+ * expire (UPLOAD_SESSION_TTL_MINUTES) are deleted. An API key with
+ * UPLOAD_MAX_SESSIONS sessions open gets 429 TOO_MANY_UPLOADS, and one whose
+ * open sessions would declare more than UPLOAD_QUOTA_MB gets 413 UPLOAD_QUOTA_EXCEEDED.
+ */
+router.post('/uploads', (req, res) => {
+  if (rejectTusVersion(req, res)) return;
+
+  try {
+    const length = Number(req.get('Upload-Length'));
+    const session = createUpload(length, parseUploadMetadata(req.get('Upload-Metadata')), uploadOwner(req));
+    const location = `${req.baseUrl}/uploads/${session.id}`;
+
+    setUploadHeaders(res, session);
+    res.setHeader('Location', location);
+    return res.status(201).json({ uploadId: session.id, location, expiresAt: new Date(session.expiresAt).toISOString() });
+
+  } catch (error) {
+    console.error('[uploads] Error:', error.message);
+    return sendUploadError(res, error);
+  }
+});
+
+/**
+ * HEAD /uploads/:id
+ *
+ * Current offset of an upload (Upload-Offset header), to resume after a
+ * dropped connection. 404 if the session is unknown or expired, 403 if it was
+ * started with another API key.
+ */
+router.head('/uploads/:id', (req, res) => {
+  const session = getUpload(req.params.id);
+  if (!session) {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    return res.status(404).end();
+  }
+
+  try {
+    authorizeUpload(session, uploadOwner(req));
+  } catch (error) {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    return res.status(error.status).end();
+  }
+
+  setUploadHeaders(res, session);
+  return res.status(200).end();
+});
+
+/**
+ * PATCH /uploads/:id
+ *
+ * Appends a chunk to an upload.
+ *
+ * Headers:
+ * - Content-Type: application/offset+octet-stream (required)
+ * - Upload-Offset: Byte offset the chunk starts at; must equal the current offset (required)
+ *
+ * Returns 204 with the new Upload-Offset. 409 OFFSET_MISMATCH (with the
+ * current offset) if the client is out of sync, 413 if the chunk goes past
+ * Upload-Length, 403 UPLOAD_FORBIDDEN if the upload was started with another API key.
+ * Once the first bytes are in, an upload that isn't a video (by its content, as for
+ * multipart uploads) is deleted with 415 UNSUPPORTED_MEDIA_TYPE.
+ */
+router.patch('/uploads/:id', async (req, res) => {
+  if (rejectTusVersion(req, res)) return;
+
+  const session = getUpload(req.params.id);
+  if (!session) {
+    return sendUploadError(res, new HttpError(404, 'UPLOAD_NOT_FOUND', `Upload ${req.params.id} not found or expired`));
+  }
+
+  try {
+    authorizeUpload(session, uploadOwner(req));
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      throw new HttpError(415, 'INVALID_CONTENT_TYPE', 'Chunks must be sent as application/offset+octet-stream');
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      throw new HttpError(400, 'INVALID_UPLOAD_OFFSET', 'Upload-Offset must be a byte offset');
+    }
+
+    await appendChunk(session, offset, req);
+    setUploadHeaders(res, session);
+    return res.status(204).end();
+
+  } catch (error) {
+    console.error(`[uploads] Session ${session.id} chunk failed at ${session.offset}:`, error.message);
+    return sendUploadError(res, error, session);
+  }
+});
+
+/**
+ * DELETE /uploads/:id
+ *
+ * Abandons an upload and deletes what was received (tus termination). Only
+ * the API key that started it may (403 UPLOAD_FORBIDDEN).
+ */
+router.delete('/uploads/:id', (req, res) => {
+  const session = getUpload(req.params.id);
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  if (!session) return res.status(404).end();
+
+  try {
+    authorizeUpload(session, uploadOwner(req));
+  } catch (error) {
+    return res.status(error.status).json(error.toJSON());
+  }
+
+  deleteUpload(session);
+  return res.status(204).end();
+});
+
+/**
+ * POST /uploads/merge-and-upload
+ *
+ * Processes completed resumable uploads exactly like /merge-and-upload
+ * processes a multipart upload (same fields, query params, headers and
+ * responses).
+ *
+ * Accepts JSON with:
+ * - uploads: Upload IDs keyed by file field, e.g. { "videoFile": "<id>", "videoFile2": "<id>" } (required)
+ * - shopId, roId, inspectionId, taskId and every other /merge-and-upload field. Objects and
+ *   arrays (segments, taskData, keepRanges) may be sent as JSON values instead of strings.
+ *
+ * Uploads that aren't complete are rejected with 409 UPLOAD_INCOMPLETE, and ones
+ * started with another API key with 403 UPLOAD_FORBIDDEN. A
+ * request rejected before processing starts leaves its uploads in place, so
+ * it can be retried; once processing starts the upload sessions are consumed.
+ */
+router.post('/uploads/merge-and-upload', admitEncode, (req, res) => {
+  const body = req.body || {};
+
+  return handleMergeAndUpload(req, res, {
+    load: async () => {
+      const { uploads, ...rest } = body;
+      if (!uploads || typeof uploads !== 'object' || Array.isArray(uploads)) {
+        throw new HttpError(400, 'INVALID_UPLOADS', 'uploads must map file fields to upload IDs, e.g. { "videoFile": "<id>" }');
+      }
+      for (const field of Object.keys(uploads)) {
+        if (!UPLOAD_FIELD_PATTERN.test(field)) {
+          throw new HttpError(400, 'INVALID_UPLOADS', `uploads.${field} is not a videoFile or videoFile<N> field`);
+        }
+      }
+
+      return { fields: toFormFields(rest), files: claimUploads(uploads, uploadOwner(req)) };
+    },
+    discard: restoreUploads
+  });
+});
+
+/**
+ * GET /jobs/:id
+ *
+ * Returns the status of a processing job started by /merge-and-upload or
+ * /merge-and-upload/batch (one job per task, plus one for the batch).
+ *
+ * Returns:
+ * - id, type, status (pending, running, succeeded, failed)
+ * - stage: current stage (parsing, rendering_slideshow, probing, analyzing, downloading_explainer, encoding,
+ *   uploading, updating_task;
+ *   batches: parsing, authenticating, processing)
+ * - stages[]: { stage, startedAt, finishedAt } history
+ * - result (on success) or error (on failure)
+ *
+ * Only the API key that started the job may see it until its shop is known
+ * (403 JOB_FORBIDDEN); after that, any key scoped to the shop may.
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'JOB_NOT_FOUND', details: `No job with ID ${req.params.id}` });
+  }
+
+  try {
+    authorizeJob(req, job);
+  } catch (error) {
+    return res.status(error.status).json(error.toJSON());
+  }
+
+  return res.json(job);
+});
+
+/**
+ * GET /jobs/:id/events
+ *
+ * Server-Sent Events stream of a job's progress. The job may be subscribed to
+ * before it starts (see X-Job-Id on /merge-and-upload). Access is as for
+ * GET /jobs/:id; a stream that loses it gets an error event and closes.
+ *
+ * Events:
+ * - snapshot: current job state, sent on connect and when the job is created
+ * - stage: { stage, startedAt } when the job moves to a new stage
+ * - progress: { stage, pass, passes, label, percent } while encoding,
+ *   { stage, bytesSent, totalBytes, percent } while uploading to S3
+ * - done: { status, result, error }, then the stream closes
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const jobId = req.params.id;
+
+  // A job this key may not see is refused, whether it exists now or is created
+  // while waiting. Checked on every event, since the shop is only known once parsed.
+  const forbidden = (job) => {
+    try {
+      authorizeJob(req, job);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  const existing = getJob(jobId);
+  const refusal = existing && forbidden(existing);
+  if (refusal) {
+    return res.status(refusal.status).json(refusal.toJSON());
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let waitTimeout = null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(waitTimeout);
+    unsubscribe();
+    res.end();
+  };
+
+  const job = getJob(jobId);
+  if (job && job.finishedAt) {
+    send('snapshot', job);
+    send('done', { status: job.status, result: job.result, error: job.error });
+    return close();
+  }
+
+  if (job) {
+    send('snapshot', job);
+  } else {
+    // Give the client a window to start the upload that creates this job
+    waitTimeout = setTimeout(() => {
+      if (!getJob(jobId)) {
+        send('error', { error: 'JOB_NOT_FOUND', details: `No job with ID ${jobId}` });
+        close();
+      }
+    }, 30000);
+  }
+
+  unsubscribe = subscribe(jobId, ({ type, data }) => {
+    const error = forbidden(getJob(jobId));
+    if (error) {
+      send('error', error.toJSON());
+      return close();
+    }
+
+    if (type === 'created') {
+      clearTimeout(waitTimeout);
+      send('snapshot', data);
+      return;
+    }
+
+    send(type, data);
+    if (type === 'done') close();
+  });
+
+  req.on('close', close);
+});
+
 /**
  * POST /merge-only
  *
@@ -743,50 +1855,82 @@ router.post('/merge-and-upload', async (req, res) => {
  *
  * Accepts multipart form with:
  * - videoFile: The primary video (required)
- * - explainerVideoId: Supabase explainer video ID (required)
+ * - explainerVideoId: Supabase explainer video ID (required unless segments is given)
+ * - segments: JSON timeline, same as /merge-and-upload (optional)
+ * - videoFile2, videoFile3...: Additional recordings referenced by segments (optional)
+ * - lowerThird, shopName, roNumber, vehicle, taskName, rating: lower-third overlay, same as
+ *   /merge-and-upload but without the TekMetric lookup (optional)
+ * - shopId: Applies the shop's logo watermark and default encoding profile, if configured (optional)
+ * - profile, fillMode: Encoding profile and fill mode, same as /merge-and-upload (optional)
+ * - muteTechAudio: 'true' to silence the tech's recordings, same as /merge-and-upload (optional)
+ * - trimStart, trimEnd, keepRanges, autoTrim: Trim videoFile, same as /merge-and-upload (optional)
+ * - maxSizeMB: Maximum output size, same as /merge-and-upload (optional)
+ * - mergeStrategy: parallel, concat-filter or sequential (optional)
  *
- * Returns the merged video file.
+ * Returns the merged video file, with the strategy used and time spent encoding
+ * in the X-Merge-Strategy, X-Encoding-Profile and X-Encode-Duration-Ms headers
+ * (and X-Auto-Trim-Removed-Seconds with autoTrim, X-Output-Size-Bytes, X-Output-Bitrate-Kbps
+ * and X-Output-Resolution with maxSizeMB).
  */
-router.post('/merge-only', async (req, res) => {
+router.post('/merge-only', admitEncode, async (req, res) => {
   console.log('[video] Processing merge-only request...');
 
   let needsCleanup = [];
 
   try {
-    const { fields, videoFile } = await parseMultipart(req);
-    const { explainerVideoId } = fields;
+    const { fields, files } = await parseMultipart(req);
+    const { mergeStrategy } = fields;
 
-    if (!videoFile) {
+    if (Object.keys(files).length === 0) {
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
-    needsCleanup.push(videoFile.path);
+    needsCleanup.push(...filePaths(files));
 
-    if (!explainerVideoId) {
+    const timeline = parseTimeline(fields);
+    if (timeline.length < 2) {
       cleanup(needsCleanup);
-      return res.status(400).json({ error: 'explainerVideoId is required for merge-only' });
+      return res.status(400).json({ error: 'explainerVideoId (or at least two segments) is required for merge-only' });
     }
 
-    console.log('[video] Fetching explainer video...');
-    const explainer = await getExplainerVideoUrl(explainerVideoId);
+    resolveStrategy(mergeStrategy);
+    const lowerThird = parseLowerThird(fields);
+    const requestedTrim = parseTrim(fields);
+    const targetSize = parseTargetSize(fields);
+    await probeTimelineUploads(timeline, files);
+    const trim = resolveIssueTrim(requestedTrim, timeline, files);
+    const profile = chooseProfile(fields, uploadFields(timeline).map(field => files[field].media));
+    const autoTrim = trim?.request.auto ? await autoTrimIssue(trim, files.videoFile) : null;
 
-    if (!explainer || !explainer.file_url) {
-      cleanup(needsCleanup);
-      return res.status(404).json({ error: 'Explainer video not found' });
-    }
-
-    const explainerPath = path.join(os.tmpdir(), `explainer-${Date.now()}.mp4`);
-    needsCleanup.push(explainerPath);
+    console.log('[video] Resolving timeline...');
+    const resolved = await resolveTimeline(timeline, files);
+    if (lowerThird) applyLowerThird(resolved.segments, lowerThird, profile);
 
-    console.log('[video] Downloading explainer video...');
-    await downloadFile(explainer.file_url, explainerPath);
+    const watermark = getWatermark(fields.shopId);
+    if (watermark) applyWatermark(resolved.segments, watermark);
+    if (fields.muteTechAudio === 'true') muteTechAudio(resolved.segments);
+    if (trim) applyTrim(resolved.segments, trim);
 
     const mergedPath = path.join(os.tmpdir(), `merged-${Date.now()}.mp4`);
     needsCleanup.push(mergedPath);
 
-    await mergeVideos(videoFile.path, explainerPath, mergedPath);
+    let mergeResult;
+    try {
+      mergeResult = await mergeVideos(resolved.segments, mergedPath, { strategy: mergeStrategy, profile, targetSize });
+    } finally {
+      resolved.release();
+    }
 
     // Send merged video file
+    res.setHeader('X-Merge-Strategy', mergeResult.strategy);
+    res.setHeader('X-Encoding-Profile', mergeResult.profile);
+    res.setHeader('X-Encode-Duration-Ms', mergeResult.durationMs);
+    if (autoTrim) res.setHeader('X-Auto-Trim-Removed-Seconds', autoTrim.removedDuration);
+    if (mergeResult.targetSize) {
+      res.setHeader('X-Output-Size-Bytes', mergeResult.targetSize.bytes);
+      res.setHeader('X-Output-Bitrate-Kbps', mergeResult.targetSize.bitrate);
+      res.setHeader('X-Output-Resolution', `${mergeResult.targetSize.width}x${mergeResult.targetSize.height}`);
+    }
     res.setHeader('Content-Type', 'video/mp4');
     res.setHeader('Content-Disposition', 'attachment; filename="merged-video.mp4"');
 
@@ -800,6 +1944,12 @@ router.post('/merge-only', async (req, res) => {
   } catch (error) {
     console.error('[video] Error:', error.message);
     cleanup(needsCleanup);
+
+    if (error instanceof HttpError) {
+      if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
       error: 'Video merge failed',
       message: error.message
@@ -807,6 +1957,118 @@ router.post('/merge-only', async (req, res) => {
   }
 });
 
+/**
+ * POST /explainers/:id/prewarm
+ *
+ * Downloads an explainer into the cache and builds its normalized intermediate,
+ * so the first merge with a newly added explainer skips that encode pass.
+ *
+ * Query params:
+ * - profile: Encoding profile to build the intermediate for (optional, default ENCODING_PROFILE env or hd720)
+ *
+ * Returns:
+ * - explainerId, name, profile (the intermediate's cache profile)
+ * - cache: 'hit', 'revalidated', 'stale', 'updated' or 'miss' for the download
+ * - intermediateCache: 'hit' or 'miss' for the normalized intermediate
+ * - durationMs: time taken
+ */
+router.post('/explainers/:id/prewarm', admitEncode, async (req, res) => {
+  const explainerId = req.params.id;
+  const startedAt = Date.now();
+
+  console.log(`[explainer] Pre-warming explainer ${explainerId}...`);
+
+  try {
+    const profile = resolveProfile(req.query.profile);
+    const explainer = await getExplainerVideoUrl(explainerId);
+    if (!explainer || !explainer.file_url) {
+      return res.status(404).json({ error: 'EXPLAINER_NOT_FOUND', details: `Explainer ${explainerId} not found` });
+    }
+
+    const explainerFile = await prepareExplainer(explainerId, explainer.file_url);
+    try {
+      await explainerFile.getNormalized(profile);
+    } finally {
+      explainerFile.release();
+    }
+
+    console.log(`[explainer] Explainer ${explainerId} ready (cache ${explainerFile.cache}, intermediate ${explainerFile.intermediateCache})`);
+    return res.json({
+      success: true,
+      explainerId,
+      name: explainer.name,
+      profile: intermediateProfile(profile),
+      cache: explainerFile.cache,
+      intermediateCache: explainerFile.intermediateCache,
+      durationMs: Date.now() - startedAt
+    });
+
+  } catch (error) {
+    console.error(`[explainer] Pre-warm failed:`, error.message);
+
+    if (error instanceof HttpError) {
+      if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    return res.status(500).json({
+      error: 'PREWARM_FAILED',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /probe
+ *
+ * Inspects a recording with ffprobe without processing it, so the app can
+ * pre-check a file before uploading it to /merge-and-upload.
+ *
+ * Accepts multipart form with:
+ * - videoFile: The recorded issue video (required)
+ *
+ * Returns:
+ * - 200 { success, media } where media has duration, size, format, bitRate,
+ *   video { codec, width, height, displayWidth, displayHeight, rotation, frameRate },
+ *   audio { codec, sampleRate, channels }, hasAudio
+ * - 4xx { error, details, media } if the file is unusable
+ */
+router.post('/probe', async (req, res) => {
+  console.log('[probe] Processing probe request...');
+
+  let files = {};
+
+  try {
+    const parsed = await parseMultipart(req);
+    files = parsed.files;
+    const { videoFile } = parsed;
+
+    if (!videoFile) {
+      return res.status(400).json({ error: 'No video file uploaded' });
+    }
+
+    const media = await probeMedia(videoFile.path);
+    validateVideo(media);
+    logMedia(media);
+
+    return res.json({ success: true, media });
+
+  } catch (error) {
+    console.error('[probe] Error:', error.message);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    return res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  } finally {
+    cleanup(filePaths(files));
+  }
+});
+
 /**
  * POST /complete-inspection
  *
@@ -829,12 +2091,6 @@ router.post('/complete-inspection', async (req, res) => {
   }
 
   try {
-    // Get JWT token from AUTH-HUB
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) {
-      return res.status(401).json({ error: 'NO_TOKEN', details: 'No JWT token available for this shop' });
-    }
-
     // Update inspection status to complete
     // According to TM API, PUT to inspection endpoint with status: 'COMPLETE'
     const updateResult = await proxyToTM(
@@ -844,7 +2100,7 @@ router.post('/complete-inspection', async (req, res) => {
         id: parseInt(inspectionId),
         status: 'COMPLETE'
       },
-      jwtToken
+      shopId
     );
 
     if (updateResult.status === 200 || updateResult.status === 204) {
@@ -861,6 +2117,11 @@ router.post('/complete-inspection', async (req, res) => {
 
   } catch (error) {
     console.error(`[inspection] Error completing inspection:`, error.message);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
       error: 'INTERNAL_ERROR',
       details: error.message
@@ -893,24 +2154,21 @@ router.post('/complete-inspection', async (req, res) => {
 router.post('/upload-pdf', async (req, res) => {
   console.log('[pdf] Processing PDF upload request...');
 
-  let needsCleanup = [];
+  // Every file received, including any other fields sent along; deleted when done
+  let files = {};
 
   try {
     // Parse multipart form data
-    const { fields, videoFile: pdfFile } = await parseMultipart(req);
-    const { shopId, roId, inspectionId, taskId, description } = fields;
+    const parsed = await parseMultipart(req);
+    files = parsed.files;
+    const pdfFile = files.pdfFile; // A videoFile sent here is not a PDF
+    const { shopId, roId, inspectionId, taskId, description } = parsed.fields;
 
-    // Note: parseMultipart looks for 'videoFile' field name, but we're using 'pdfFile'
-    // Let's handle both by checking the actual file in the request
     if (!pdfFile) {
-      // Try parsing again with different approach for pdfFile
       return res.status(400).json({ error: 'No PDF file uploaded', details: 'pdfFile field is required' });
     }
 
-    needsCleanup.push(pdfFile.path);
-
     if (!shopId || !roId || !inspectionId || !taskId) {
-      cleanup(needsCleanup);
       return res.status(400).json({ error: 'Missing required fields: shopId, roId, inspectionId, taskId' });
     }
 
@@ -918,57 +2176,9 @@ router.post('/upload-pdf', async (req, res) => {
     console.log(`   Shop: ${shopId}, RO: ${roId}, Inspection: ${inspectionId}, Task: ${taskId}`);
     console.log(`   PDF: ${pdfFile.filename} (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
 
-    // Get JWT token from AUTH-HUB
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) {
-      cleanup(needsCleanup);
-      return res.status(401).json({ error: 'NO_TOKEN', details: 'No JWT token available for this shop' });
-    }
-
-    // Get presigned upload URL from TekMetric
-    console.log('[pdf] Getting presigned upload URL...');
-    const presignedResult = await proxyToTM(
-      `/media/create-video-upload-url`,
-      'POST',
-      {
-        files: [{ name: pdfFile.filename || `report-${Date.now()}.pdf`, mimetype: 'application/pdf' }],
-        shopId: parseInt(shopId),
-        repairOrderId: parseInt(roId),
-        roInspectionId: parseInt(inspectionId),
-        roInspectionTaskId: parseInt(taskId)
-      },
-      jwtToken
-    );
-
-    console.log(`   TM API status: ${presignedResult.status}`);
-
-    if (presignedResult.status !== 200) {
-      cleanup(needsCleanup);
-      return res.status(presignedResult.status).json({
-        error: 'UPLOAD_FAILED',
-        details: `Failed to get presigned URL (${presignedResult.status}): ${presignedResult.body}`
-      });
-    }
-
-    const presignedData = JSON.parse(presignedResult.body);
-    const fileData = presignedData.data?.[0];
-    if (!fileData || !fileData.s3) {
-      cleanup(needsCleanup);
-      return res.status(500).json({
-        error: 'UPLOAD_FAILED',
-        details: `Invalid response structure: ${JSON.stringify(presignedData).substring(0, 300)}`
-      });
-    }
-
-    const s3Url = fileData.s3.url;
-    const s3Fields = fileData.s3.fields;
-    const s3Key = fileData.path;
-
-    console.log(`   S3 bucket: ${s3Url}`);
-    console.log(`   S3 key: ${s3Key}`);
-
-    // Upload to S3 via multipart form POST
-    await uploadToS3Form(s3Url, s3Fields, s3Key, pdfFile.path, 'application/pdf');
+    console.log('[pdf] Uploading to TekMetric...');
+    const ids = { shopId, roId, inspectionId, taskId };
+    const { path: s3Key } = await uploadTaskMedia(ids, pdfFile.path, pdfFile.filename || `report-${Date.now()}.pdf`, 'application/pdf');
 
     // Update task description if provided
     if (description && description.trim()) {
@@ -980,19 +2190,16 @@ router.post('/upload-pdf', async (req, res) => {
           id: parseInt(taskId),
           finding: description
         },
-        jwtToken
+        shopId
       );
 
-      if (taskUpdateResult.status !== 200) {
+      if (!tmAccepted(taskUpdateResult)) {
         console.warn(`[pdf] Task description update returned ${taskUpdateResult.status}, but PDF was uploaded successfully`);
       } else {
         console.log('[pdf] Task description updated');
       }
     }
 
-    // Cleanup temp files
-    cleanup(needsCleanup);
-
     console.log('[pdf] Upload complete!');
     return res.json({
       success: true,
@@ -1002,14 +2209,191 @@ router.post('/upload-pdf', async (req, res) => {
 
   } catch (error) {
     console.error('[pdf] Error:', error.message);
-    cleanup(needsCleanup);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
       error: 'UPLOAD_FAILED',
       details: error.message
     });
+  } finally {
+    cleanup(filePaths(files));
   }
 });
 
+/**
+ * POST /upload-photo
+ *
+ * Attaches still photos to an inspection task.
+ *
+ * Accepts multipart form with:
+ * - photoFile: The photo (required); photoFile2, photoFile3... for more (up to 12)
+ *   JPEG, PNG, HEIC, WebP or anything else the container's FFmpeg can decode.
+ * - shopId: TekMetric shop ID (required)
+ * - roId: Repair order ID (required)
+ * - inspectionId: Inspection ID (required)
+ * - taskId: Task ID (required)
+ *
+ * Each photo is turned upright (EXIF orientation), scaled down to
+ * PHOTO_MAX_DIMENSION pixels on its longest side (default 2048), converted to
+ * JPEG and stripped of EXIF metadata (GPS position, device details) before
+ * it is uploaded through the TekMetric presigned flow. The uploads are added
+ * to the task's existing externalImages; nothing already there is replaced.
+ *
+ * Returns images[] ({ field, filename, media, originalFormat, orientation, width,
+ * height, bytes, resized }, where media is TekMetric's record of the upload) and
+ * the task's externalImages count. Unreadable photos are rejected with 422
+ * INVALID_IMAGE and an unknown task with 404 TASK_NOT_FOUND, both before anything is uploaded.
+ */
+router.post('/upload-photo', admitEncode, async (req, res) => {
+  console.log('[photo] Processing photo upload request...');
+
+  let needsCleanup = [];
+
+  try {
+    const { fields, files } = await parseMultipart(req);
+    needsCleanup = filePaths(files);
+    const { shopId, roId, inspectionId, taskId } = fields;
+
+    // photoFile, photoFile2, photoFile3... in that order
+    const photoNumber = (field) => parseInt(field.slice('photoFile'.length)) || 1;
+    const photoFields = Object.keys(files)
+      .filter(field => PHOTO_FIELD_PATTERN.test(field))
+      .sort((a, b) => photoNumber(a) - photoNumber(b));
+    if (photoFields.length === 0) {
+      throw new HttpError(400, 'NO_PHOTO', 'photoFile field is required');
+    }
+    if (!shopId || !roId || !inspectionId || !taskId) {
+      throw new HttpError(400, 'MISSING_FIELDS', 'Missing required fields: shopId, roId, inspectionId, taskId');
+    }
+
+    console.log(`   Shop: ${shopId}, RO: ${roId}, Inspection: ${inspectionId}, Task: ${taskId}, ${photoFields.length} photo(s)`);
+
+    // Check the task exists before anything is uploaded to S3 for it
+    const taskNotFound = () => new HttpError(404, 'TASK_NOT_FOUND', `Task ${taskId} is not in inspection ${inspectionId} of RO ${roId}`);
+    if (!await findInspectionTask(shopId, roId, inspectionId, taskId)) throw taskNotFound();
+
+    // Convert every photo before uploading any, so a bad one fails the request cleanly
+    const photos = [];
+    for (const field of photoFields) {
+      const file = files[field];
+      const jpegPath = path.join(os.tmpdir(), `photo-${crypto.randomUUID()}.jpg`);
+      needsCleanup.push(jpegPath);
+
+      const photo = await normalizePhoto(file.path, jpegPath, file.format);
+      console.log(`   ${field}: ${photo.originalFormat} ${photo.originalWidth}x${photo.originalHeight} -> ` +
+        `jpeg ${photo.width}x${photo.height} (${(photo.bytes / 1024).toFixed(0)} KB)`);
+      photos.push({ field, file, jpegPath, photo });
+    }
+
+    const ids = { shopId, roId, inspectionId, taskId };
+    const images = [];
+    for (const { field, file, jpegPath, photo } of photos) {
+      console.log(`[photo] Uploading ${field}...`);
+      const baseName = path.parse(file.filename || '').name || `photo-${Date.now()}`;
+      const media = await uploadTaskMedia(ids, jpegPath, `${baseName}.jpg`, 'image/jpeg');
+      images.push({ field, filename: file.filename, media, ...photo });
+    }
+
+    // Re-read the task's images right before writing so photos added meanwhile are kept
+    console.log('[photo] Adding photos to task...');
+    const externalImages = await queueTaskImageUpdate(`${shopId}/${roId}/${inspectionId}/${taskId}`, async () => {
+      const task = await findInspectionTask(shopId, roId, inspectionId, taskId);
+      if (!task) throw taskNotFound();
+
+      const updated = [...(task.externalImages || []), ...images.map(image => image.media)];
+      const updateResult = await proxyToTM(
+        `/api/shop/${shopId}/repair-orders/${roId}/inspections/${inspectionId}/tasks/${taskId}`,
+        'PUT',
+        { id: parseInt(taskId), externalImages: updated },
+        shopId
+      );
+      if (!tmAccepted(updateResult)) {
+        throw new UpstreamError('TekMetric',
+          `Photos uploaded but the task update failed (${updateResult.status}): ${updateResult.body}`, updateResult);
+      }
+      return updated;
+    });
+
+    console.log(`[photo] Upload complete! Task ${taskId} has ${externalImages.length} image(s)`);
+    return res.json({
+      success: true,
+      message: `${images.length} photo(s) uploaded successfully`,
+      images,
+      externalImages: externalImages.length
+    });
+
+  } catch (error) {
+    console.error('[photo] Error:', error.message);
+
+    if (error instanceof HttpError) {
+      if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    return res.status(500).json({
+      error: 'UPLOAD_FAILED',
+      details: error.message
+    });
+  } finally {
+    cleanup(needsCleanup);
+  }
+});
+
+/**
+ * POST /slideshow-and-upload
+ *
+ * For findings with only photos: renders them into a video with a slow Ken
+ * Burns pan or zoom on each and optional captions, then merges it with the
+ * explainer and uploads it to the task exactly like /merge-and-upload.
+ *
+ * Accepts multipart form with:
+ * - photoFile, photoFile2, photoFile3...: The photos (at least one, up to 12), in any format
+ *   /upload-photo accepts. They are turned upright (EXIF orientation) before rendering.
+ * - slides: JSON array giving the order, duration and caption of each slide (optional), e.g.
+ *   [{ "file": "photoFile2", "duration": 5, "caption": "Front pads at 2mm" },
+ *    { "file": "photoFile", "duration": 3 }]
+ *   duration is 1-15 seconds (default 4); captions over 60 characters are shortened. A photo
+ *   may appear more than once. Without slides, photoFile, photoFile2... play in order for 4s each.
+ * - shopId, roId, inspectionId, taskId (required), explainerVideoId and every other
+ *   /merge-and-upload field except segments: the slideshow takes videoFile's place.
+ *
+ * Photos shaped differently from the output are fitted with the fill mode (fillMode=vertical
+ * gives a vertical video when every photo is portrait). The slideshow has no audio; merges
+ * give it a silent track.
+ *
+ * Query params and headers are those of /merge-and-upload. The job passes through a
+ * rendering_slideshow stage first. With async=true the 202 is returned as soon as the
+ * photos are received and the fields checked, so it has no profile or media; the job's
+ * result has both.
+ */
+router.post('/slideshow-and-upload', admitEncode, (req, res) => {
+  let slides;
+  return handleMergeAndUpload(req, res, {
+    load: async () => {
+      const { fields, files } = await parseMultipart(req);
+      try {
+        slides = parseSlideshowRequest(fields, files);
+      } catch (error) {
+        cleanup(filePaths(files));
+        throw error;
+      }
+      return { fields, files };
+    },
+    render: async (fields, files, job) => {
+      const tempPaths = filePaths(files);
+      try {
+        return await renderSlideshowUpload(slides, fields, files, job, tempPaths);
+      } finally {
+        cleanup(tempPaths);
+      }
+    },
+    discard: (files) => cleanup(filePaths(files))
+  });
+});
+
 /**
  * POST /update-task-description
  *
@@ -1032,12 +2416,6 @@ router.post('/update-task-description', async (req, res) => {
   }
 
   try {
-    // Get JWT token from AUTH-HUB
-    const jwtToken = await getJWTToken(shopId);
-    if (!jwtToken) {
-      return res.status(401).json({ error: 'NO_TOKEN', details: 'No JWT token available for this shop' });
-    }
-
     // Update task description
     const updateResult = await proxyToTM(
       `/api/shop/${shopId}/repair-orders/${roId}/inspections/${inspectionId}/tasks/${taskId}`,
@@ -1046,7 +2424,7 @@ router.post('/update-task-description', async (req, res) => {
         id: parseInt(taskId),
         finding: description
       },
-      jwtToken
+      shopId
     );
 
     if (updateResult.status === 200 || updateResult.status === 204) {
@@ -1063,6 +2441,11 @@ router.post('/update-task-description', async (req, res) => {
 
   } catch (error) {
     console.error(`[task] Error updating description:`, error.message);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     return res.status(500).json({
       error: 'INTERNAL_ERROR',
       details: error.message
@@ -1070,6 +2453,15 @@ router.post('/update-task-description', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/token-cache
+ * Admin API keys only. Lists the shops with a cached TekMetric token and when each expires, and the
+ * shops the Auth Hub had no token for. Token values are never included.
+ */
+router.get('/admin/token-cache', requireAdmin, (req, res) => {
+  res.json(getTokenCacheStats());
+});
+
 /**
  * GET /health
  * Health check for video processing route
@@ -1098,7 +2490,10 @@ router.get('/health', async (req, res) => {
     route: 'video',
     ffmpeg_available: ffmpegAvailable,
     supabase_configured: !!(SUPABASE_URL && SUPABASE_ANON_KEY),
-    temp_dir: os.tmpdir()
+    temp_dir: os.tmpdir(),
+    explainer_cache: getCacheStats(),
+    merge: getMergeStats(),
+    encoder: getEncodeStats()
   });
 });
 
@@ -1106,6 +2501,37 @@ router.get('/health', async (req, res) => {
 // Utility Functions
 // ============================================================================
 
+/**
+ * Log a one-line summary of probed media
+ */
+function logMedia(media) {
+  const { video, audio } = media;
+  console.log(`   Media: ${media.duration.toFixed(1)}s, ${video.codec} ${video.displayWidth}x${video.displayHeight}` +
+    `${video.rotation ? ` (rotated ${video.rotation})` : ''} @ ${video.frameRate} fps, ` +
+    `audio: ${audio ? `${audio.codec} ${audio.channels}ch` : 'none'}`);
+}
+
+/**
+ * Temp paths of all uploaded files from parseMultipart
+ */
+function filePaths(files) {
+  return Object.values(files).map(file => file.path);
+}
+
+/**
+ * Convert JSON values to the strings multipart form fields would hold, so
+ * objects and arrays (segments, taskData, keepRanges) can be sent as JSON.
+ * null and undefined values are dropped.
+ */
+function toFormFields(values) {
+  const fields = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === undefined) continue;
+    fields[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return fields;
+}
+
 /**
  * Cleanup temporary files
  */
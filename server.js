@@ -4,18 +4,29 @@ const { spawn } = require('child_process');
 
 // Import routes
 const videoRoutes = require('./routes/video');
+const { authenticate, logAuthConfig } = require('./utils/apiAuth');
+const { trackEncodeRequest } = require('./utils/encodeQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-// CORS configuration - allow all origins for now
-app.use(cors());
+// Browser origins allowed to call the API, comma-separated (CORS_ORIGINS); "*" allows any.
+// None by default: server-to-server clients don't need CORS.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
-// JSON body parser (for non-multipart routes)
-app.use(express.json());
+// CORS configuration. Browsers only let scripts read these response headers
+// if they're listed (resumable upload protocol).
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
+}));
 
-// Mount video routes at /api
-app.use('/api', videoRoutes);
+// JSON body parser (for non-multipart routes). Keeps the raw body for signed requests.
+app.use(express.json({ verify: (req, res, body) => { req.rawBody = body; } }));
+
+// Mount video routes at /api, behind API key authentication. Encodes are
+// queued per shop (see utils/encodeQueue.js).
+app.use('/api', authenticate, trackEncodeRequest, videoRoutes);
 
 // Health endpoint
 app.get('/health', async (req, res) => {
@@ -50,9 +61,21 @@ app.get('/health', async (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`[video-processor] Server started on port ${PORT}`);
+  console.log(`[video-processor] CORS origins: ${corsOrigins.length ? corsOrigins.join(', ') : 'none'}`);
+  logAuthConfig();
   console.log(`[video-processor] Health check available at http://localhost:${PORT}/health`);
   console.log(`[video-processor] API endpoints:`);
-  console.log(`   POST /api/merge-and-upload - Merge video with explainer and upload to TekMetric`);
+  console.log(`   POST /api/merge-and-upload - Merge video with explainer and upload to TekMetric (?async=true for background job)`);
+  console.log(`   POST /api/merge-and-upload/batch - Merge and upload recordings for several tasks of one inspection`);
+  console.log(`   POST /api/uploads - Start a resumable (tus) upload; PATCH/HEAD/DELETE /api/uploads/:id`);
+  console.log(`   POST /api/uploads/merge-and-upload - Merge and upload completed resumable uploads`);
+  console.log(`   GET  /api/jobs/:id - Background job status`);
+  console.log(`   GET  /api/jobs/:id/events - Job progress stream (Server-Sent Events)`);
+  console.log(`   POST /api/explainers/:id/prewarm - Cache an explainer and its normalized intermediate`);
+  console.log(`   POST /api/upload-photo - Attach photos to an inspection task (upright, downsized, EXIF stripped)`);
+  console.log(`   POST /api/slideshow-and-upload - Turn photos into a Ken Burns video, merge with explainer and upload`);
+  console.log(`   POST /api/probe - Inspect a recording with ffprobe`);
   console.log(`   POST /api/merge-only - Merge video with explainer (returns merged file)`);
+  console.log(`   GET  /api/admin/token-cache - Shops with cached TekMetric tokens and their expiry`);
   console.log(`   GET  /api/health - Video route health check`);
 });
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const SECRETS = { 'shop-1': 'a'.repeat(20), 'shop-2': 'b'.repeat(20), ops: 'o'.repeat(20) };
+
+delete process.env.API_KEYS_FILE;
+delete process.env.API_AUTH_DISABLED;
+process.env.API_KEYS = JSON.stringify({
+  'shop-1': { secret: SECRETS['shop-1'], shops: ['1'] },
+  'shop-2': { secret: SECRETS['shop-2'], shops: ['2'] },
+  ops: { secret: SECRETS.ops, shops: '*', admin: true }
+});
+
+const { authenticate, authorizeJob, requireAdmin } = require('../utils/apiAuth');
+
+/**
+ * A minimal Express request
+ */
+function request({ method = 'GET', url = '/api/jobs', headers = {}, body, rawBody } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const [path, search = ''] = url.replace(/^\/api/, '').split('?');
+  return {
+    method,
+    originalUrl: url,
+    path,
+    query: Object.fromEntries(new URLSearchParams(search)),
+    body,
+    rawBody,
+    get: name => lower[name.toLowerCase()]
+  };
+}
+
+/**
+ * Run a middleware and record how it answered
+ * @returns {Object} - { passed, status, body, headers, req }
+ */
+function run(middleware, req) {
+  const result = { passed: false, status: null, body: null, headers: {}, req };
+  const res = {
+    set(name, value) { result.headers[name] = value; return res; },
+    status(status) { result.status = status; return res; },
+    json(body) { result.body = body; return res; }
+  };
+  middleware(req, res, (error) => {
+    if (error) throw error;
+    result.passed = true;
+  });
+  return result;
+}
+
+/**
+ * Headers of a request signed with a key's secret
+ */
+function signed(keyId, { method = 'GET', url = '/api/jobs', rawBody = '', timestamp, nonce } = {}) {
+  timestamp = String(timestamp ?? Math.floor(Date.now() / 1000));
+  nonce = nonce ?? crypto.randomBytes(16).toString('hex');
+  const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+  const signature = crypto.createHmac('sha256', SECRETS[keyId] || 'x'.repeat(20))
+    .update(`${timestamp}\n${nonce}\n${method}\n${url}\n${bodyHash}`)
+    .digest('hex');
+  return { 'X-API-Key-Id': keyId, 'X-Timestamp': timestamp, 'X-Nonce': nonce, 'X-Signature': signature };
+}
+
+/**
+ * Assert a middleware refused the request
+ */
+function assertRefused(result, status, code) {
+  assert.equal(result.passed, false);
+  assert.equal(result.status, status);
+  assert.equal(result.body.error, code);
+}
+
+test('health checks need no key', () => {
+  assert.equal(run(authenticate, request({ url: '/api/health' })).passed, true);
+});
+
+test('requests without credentials are refused', () => {
+  const result = run(authenticate, request());
+  assertRefused(result, 401, 'AUTH_REQUIRED');
+  assert.match(result.headers['WWW-Authenticate'], /^Bearer/);
+});
+
+test('API keys are accepted as a bearer token or X-API-Key', () => {
+  const bearer = run(authenticate, request({ headers: { Authorization: `Bearer ${SECRETS['shop-1']}` } }));
+  assert.equal(bearer.passed, true);
+  assert.equal(bearer.req.apiKey.id, 'shop-1');
+
+  const header = run(authenticate, request({ headers: { 'X-API-Key': SECRETS['shop-2'] } }));
+  assert.equal(header.passed, true);
+  assert.equal(header.req.apiKey.id, 'shop-2');
+
+  assertRefused(run(authenticate, request({ headers: { 'X-API-Key': 'x'.repeat(20) } })), 401, 'INVALID_API_KEY');
+});
+
+test('keys may only act for their shops', () => {
+  const headers = { 'X-API-Key': SECRETS['shop-1'] };
+  assert.equal(run(authenticate, request({ url: '/api/jobs?shopId=1', headers })).passed, true);
+  assertRefused(run(authenticate, request({ url: '/api/jobs?shopId=2', headers })), 403, 'SHOP_FORBIDDEN');
+  assertRefused(run(authenticate, request({ method: 'POST', headers, body: { shopId: 2 } })), 403, 'SHOP_FORBIDDEN');
+  assert.equal(run(authenticate, request({ url: '/api/jobs?shopId=2', headers: { 'X-API-Key': SECRETS.ops } })).passed, true);
+});
+
+test('signed requests are accepted, including a signed JSON body', () => {
+  const get = run(authenticate, request({ headers: signed('shop-1') }));
+  assert.equal(get.passed, true);
+  assert.equal(get.req.apiKey.id, 'shop-1');
+
+  const rawBody = JSON.stringify({ shopId: '1' });
+  const url = '/api/jobs/batch';
+  const post = run(authenticate, request({
+    method: 'POST',
+    url,
+    body: JSON.parse(rawBody),
+    rawBody,
+    headers: { ...signed('shop-1', { method: 'POST', url, rawBody }), 'Content-Length': String(rawBody.length) }
+  }));
+  assert.equal(post.passed, true);
+});
+
+test('signed requests with a bad signature, stale timestamp or missing nonce are refused', () => {
+  const headers = signed('shop-1');
+  assertRefused(run(authenticate, request({ url: '/api/jobs?shopId=1', headers })), 401, 'INVALID_SIGNATURE');
+  assertRefused(run(authenticate, request({ headers: { ...headers, 'X-Signature': 'f'.repeat(64) } })), 401, 'INVALID_SIGNATURE');
+  assertRefused(run(authenticate, request({ headers: { ...signed('shop-1'), 'X-API-Key-Id': 'shop-2' } })), 401, 'INVALID_SIGNATURE');
+
+  const stale = signed('shop-1', { timestamp: Math.floor(Date.now() / 1000) - 600 });
+  assertRefused(run(authenticate, request({ headers: stale })), 401, 'INVALID_SIGNATURE');
+
+  const { 'X-Nonce': _nonce, ...withoutNonce } = signed('shop-1', { nonce: '' });
+  assertRefused(run(authenticate, request({ headers: withoutNonce })), 401, 'INVALID_SIGNATURE');
+
+  assertRefused(run(authenticate, request({ headers: signed('unknown') })), 401, 'INVALID_API_KEY');
+});
+
+test('a signed request cannot be replayed', () => {
+  const headers = signed('shop-2');
+  assert.equal(run(authenticate, request({ headers })).passed, true);
+  const replay = run(authenticate, request({ headers }));
+  assertRefused(replay, 401, 'INVALID_SIGNATURE');
+  assert.match(replay.body.details, /already used/);
+});
+
+test('signed requests with a body the signature cannot cover are refused', () => {
+  const url = '/api/upload-video';
+  const multipart = request({
+    method: 'POST',
+    url,
+    headers: { ...signed('shop-1', { method: 'POST', url }), 'Content-Length': '1000', 'Content-Type': 'multipart/form-data; boundary=x' }
+  });
+  const result = run(authenticate, multipart);
+  assertRefused(result, 401, 'INVALID_SIGNATURE');
+  assert.match(result.body.details, /Only JSON bodies can be signed/);
+});
+
+test('authorizeJob lets the owner and keys scoped to the job\'s shop see it', () => {
+  const as = keyId => run(authenticate, request({ headers: { 'X-API-Key': SECRETS[keyId] } })).req;
+  const job = { id: 'job-1', owner: 'shop-1', meta: {} };
+
+  assert.doesNotThrow(() => authorizeJob(as('shop-1'), job));
+  assert.doesNotThrow(() => authorizeJob({}, job)); // Auth disabled
+  assert.throws(() => authorizeJob(as('shop-2'), job), { status: 403, code: 'JOB_FORBIDDEN' });
+  assert.throws(() => authorizeJob(as('ops'), job), { status: 403, code: 'JOB_FORBIDDEN' });
+
+  job.meta.shopId = '1';
+  assert.throws(() => authorizeJob(as('shop-2'), job), { status: 403, code: 'SHOP_FORBIDDEN' });
+  assert.doesNotThrow(() => authorizeJob(as('ops'), job));
+});
+
+test('requireAdmin only lets admin keys through', () => {
+  assert.equal(run(requireAdmin, { apiKey: { id: 'ops', admin: true } }).passed, true);
+  assertRefused(run(requireAdmin, { apiKey: { id: 'shop-1', admin: false } }), 403, 'ADMIN_REQUIRED');
+});
@@ -0,0 +1,133 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_HUB_URL = 'http://hub.test';
+process.env.AUTH_HUB_APP_KEY = 'app-key';
+process.env.AUTH_HUB_NEGATIVE_TTL_SECONDS = '1';
+
+// authHub.js takes request from httpClient when it loads, so stub it first
+const httpClient = require('../utils/httpClient');
+const hubRequests = [];
+let respond;
+httpClient.request = async (url, options) => {
+  hubRequests.push({ url, options });
+  return respond(url);
+};
+
+const {
+  getJWTToken, refreshJWTToken, clearCache, getTokenCacheStats, createFileStore
+} = require('../utils/authHub');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-hub-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let issued = 0;
+const issueToken = () => ({ status: 200, body: JSON.stringify({ jwt_token: `token-${++issued}` }) });
+const later = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  clearCache();
+  hubRequests.length = 0;
+  respond = issueToken;
+});
+
+test('getJWTToken asks the Auth Hub once and caches the token', async () => {
+  const token = await getJWTToken('1');
+  assert.equal(await getJWTToken('1'), token);
+  assert.equal(hubRequests.length, 1);
+  assert.equal(hubRequests[0].url, 'http://hub.test/token/1');
+  assert.equal(hubRequests[0].options.headers['x-app-key'], 'app-key');
+});
+
+test('concurrent getJWTToken calls for a shop share one Auth Hub request', async () => {
+  respond = async () => { await later(20); return issueToken(); };
+  const tokens = await Promise.all([getJWTToken('2'), getJWTToken('2'), getJWTToken('2')]);
+  assert.equal(new Set(tokens).size, 1);
+  assert.equal(hubRequests.length, 1);
+
+  // A failure is shared the same way, and the next call asks again
+  clearCache('2');
+  respond = async () => { await later(20); return { status: 500, body: 'down' }; };
+  const failures = await Promise.allSettled([getJWTToken('2'), getJWTToken('2')]);
+  assert.deepEqual(failures.map(result => result.reason?.code), ['UPSTREAM_FAILED', 'UPSTREAM_FAILED']);
+  assert.equal(hubRequests.length, 2);
+});
+
+test('a shop without a token is not asked about again until the negative cache expires', async () => {
+  respond = () => ({ status: 404, body: '' });
+  await assert.rejects(getJWTToken('3'), { status: 502, code: 'NO_TOKEN' });
+  await assert.rejects(getJWTToken('3'), { status: 502, code: 'NO_TOKEN' });
+  assert.equal(hubRequests.length, 1);
+  assert.deepEqual(getTokenCacheStats().noToken.map(missing => missing.shopId), ['3']);
+
+  await later(1100);
+  respond = issueToken;
+  assert.match(await getJWTToken('3'), /^token-/);
+  assert.equal(hubRequests.length, 2);
+});
+
+test('Auth Hub outages are not negatively cached', async () => {
+  respond = () => ({ status: 503, body: 'down' });
+  await assert.rejects(getJWTToken('4'), { code: 'UPSTREAM_FAILED' });
+  respond = issueToken;
+  assert.match(await getJWTToken('4'), /^token-/);
+  assert.equal(hubRequests.length, 2);
+});
+
+test('refreshJWTToken replaces a rejected token once, however many requests saw it rejected', async () => {
+  const rejected = await getJWTToken('5');
+  respond = async () => { await later(20); return issueToken(); };
+
+  const [fresh, alsoFresh] = await Promise.all([refreshJWTToken('5', rejected), refreshJWTToken('5', rejected)]);
+  assert.notEqual(fresh, rejected);
+  assert.equal(alsoFresh, fresh);
+  assert.equal(hubRequests.length, 2);
+
+  // A request that saw the old token rejected after the refresh gets the new one
+  assert.equal(await refreshJWTToken('5', rejected), fresh);
+  assert.equal(hubRequests.length, 2);
+});
+
+test('the file store keeps tokens encrypted and readable by replicas with the key', () => {
+  const filePath = path.join(dir, 'tokens.enc');
+  const entry = { token: 'secret-token', cacheExpiresAt: Date.now() + 60000, tokenExpiresAt: null };
+
+  const store = createFileStore(filePath, 'key');
+  store.set('6', entry);
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('secret-token'));
+  assert.equal((fs.statSync(filePath).mode & 0o777).toString(8), '600');
+
+  const replica = createFileStore(filePath, 'key');
+  assert.deepEqual(replica.get('6'), entry);
+
+  // Changes on disk are picked up on the next read
+  store.set('7', { ...entry, token: 'other-token' });
+  assert.equal(replica.get('7').token, 'other-token');
+  store.delete('6');
+  assert.equal(replica.get('6'), undefined);
+});
+
+test('the file store starts empty with the wrong key or a tampered file', () => {
+  const filePath = path.join(dir, 'tampered.enc');
+  createFileStore(filePath, 'key').set('8', { token: 't', cacheExpiresAt: Date.now() + 60000, tokenExpiresAt: null });
+
+  assert.equal(createFileStore(filePath, 'wrong key').get('8'), undefined);
+
+  const sealed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const data = Buffer.from(sealed.data, 'base64');
+  data[0] ^= 1;
+  fs.writeFileSync(filePath, JSON.stringify({ ...sealed, data: data.toString('base64') }));
+  assert.equal(createFileStore(filePath, 'key').get('8'), undefined);
+});
+
+test('the file store drops expired entries when it writes', () => {
+  const filePath = path.join(dir, 'expiry.enc');
+  const store = createFileStore(filePath, 'key');
+  store.set('9', { token: 'old', cacheExpiresAt: Date.now() - 1, tokenExpiresAt: null });
+  store.set('10', { token: 'new', cacheExpiresAt: Date.now() + 60000, tokenExpiresAt: null });
+
+  assert.deepEqual(createFileStore(filePath, 'key').entries().map(([shopId]) => shopId), ['10']);
+});
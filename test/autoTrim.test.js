@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDetections, planAutoTrim } = require('../utils/autoTrim');
+
+test('parseDetections reads black, silence and freeze stretches from the FFmpeg log', () => {
+  const log = [
+    '[blackdetect @ 0x1] black_start:0 black_end:1.5 black_duration:1.5',
+    '[silencedetect @ 0x2] silence_start: -0.01',
+    '[silencedetect @ 0x2] silence_end: 2.3454 | silence_duration: 2.35',
+    '[freezedetect @ 0x3] lavfi.freezedetect.freeze_start: 17.5'
+  ].join('\n');
+
+  assert.deepEqual(parseDetections(log, 20), [
+    { type: 'black', start: 0, end: 1.5 },
+    { type: 'silence', start: 0, end: 2.345 },
+    // Still frozen when the file ended
+    { type: 'freeze', start: 17.5, end: 20 }
+  ]);
+  assert.deepEqual(parseDetections('no detections here', 20), []);
+});
+
+test('planAutoTrim leaves a clip without dead air alone', () => {
+  assert.deepEqual(planAutoTrim([], { start: 0, end: 20 }), { start: 0, end: 20, removed: [], removedDuration: 0, skipped: null });
+  // A pause in the middle is part of the recording
+  assert.deepEqual(planAutoTrim([{ type: 'silence', start: 8, end: 11 }], { start: 0, end: 20 }).removed, []);
+});
+
+test('planAutoTrim cuts back-to-back dead air at both ends, keeping some padding', () => {
+  const detections = [
+    { type: 'silence', start: 0, end: 3 },
+    { type: 'black', start: 3.05, end: 4 },
+    { type: 'freeze', start: 18, end: 20 }
+  ];
+
+  assert.deepEqual(planAutoTrim(detections, { start: 0, end: 20 }), {
+    start: 3.75,
+    end: 18.25,
+    removed: [
+      { edge: 'start', start: 0, end: 3.75, reasons: ['silence', 'black'] },
+      { edge: 'end', start: 18.25, end: 20, reasons: ['freeze'] }
+    ],
+    removedDuration: 5.5,
+    skipped: null
+  });
+});
+
+test('planAutoTrim works within a manually trimmed window', () => {
+  const plan = planAutoTrim([{ type: 'black', start: 2, end: 7 }], { start: 5, end: 15 });
+  assert.equal(plan.start, 6.75);
+  assert.equal(plan.end, 15);
+  assert.deepEqual(plan.removed, [{ edge: 'start', start: 5, end: 6.75, reasons: ['black'] }]);
+});
+
+test('planAutoTrim cuts nothing when the dead air is too much of the clip', () => {
+  const tooLong = planAutoTrim([{ type: 'silence', start: 0, end: 10 }], { start: 0, end: 20 });
+  assert.deepEqual(tooLong.removed, []);
+  assert.equal(tooLong.start, 0);
+  assert.equal(tooLong.end, 20);
+  assert.match(tooLong.skipped, /more than the 40% auto-trim limit/);
+
+  const allDead = planAutoTrim([{ type: 'black', start: 0, end: 20 }], { start: 0, end: 20 });
+  assert.deepEqual(allDead.removed, []);
+  assert.equal(allDead.skipped, 'The whole clip looks like dead air');
+});
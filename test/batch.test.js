@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const router = require('../routes/video');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api', router);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+/**
+ * Post a batch with the shared fields, the given tasks field and one recording per file field
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function postBatch(tasks, fileFields = ['videoFile1'], extra = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries({ shopId: '1', roId: '2', inspectionId: '3', ...extra })) {
+    form.append(name, value);
+  }
+  if (tasks !== undefined) form.append('tasks', typeof tasks === 'string' ? tasks : JSON.stringify(tasks));
+  for (const field of fileFields) {
+    form.append(field, new Blob([Buffer.from('\0\0\0\x14ftypisom\0\0\x02\0isom', 'latin1')]), `${field}.mp4`);
+  }
+  const response = await fetch(`${baseUrl}/merge-and-upload/batch`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a batch without a usable tasks list is rejected before any task runs', async () => {
+  for (const tasks of [undefined, 'not json', [], { taskId: '1', file: 'videoFile1' }]) {
+    const { status, body } = await postBatch(tasks);
+    assert.equal(status, 400, JSON.stringify(tasks));
+    assert.equal(body.error, 'INVALID_BATCH');
+  }
+});
+
+test('each task must name its own uploaded recording and a unique taskId', async () => {
+  const invalid = [
+    [{ file: 'videoFile1' }],
+    [{ taskId: '1', file: 'videoFile9' }],
+    [{ taskId: '1', file: 'videoFile1', colour: 'red' }],
+    [{ taskId: '1', file: 'videoFile1' }, { taskId: '1', file: 'videoFile2' }],
+    [{ taskId: '1', file: 'videoFile1' }, { taskId: '2', file: 'videoFile1' }]
+  ];
+  for (const tasks of invalid) {
+    const { status, body } = await postBatch(tasks, ['videoFile1', 'videoFile2']);
+    assert.equal(status, 400, JSON.stringify(tasks));
+    assert.equal(body.error, 'INVALID_BATCH');
+  }
+});
+
+test('a batch needs the shared fields and takes no segments', async () => {
+  const tasks = [{ taskId: '1', file: 'videoFile1' }];
+  assert.equal((await postBatch(tasks, ['videoFile1'], { roId: '' })).body.error, 'MISSING_FIELDS');
+  assert.equal((await postBatch(tasks, ['videoFile1'], { segments: '[]' })).body.error, 'INVALID_BATCH');
+});
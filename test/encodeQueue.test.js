@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+process.env.FFMPEG_MAX_CONCURRENT = '1';
+process.env.FFMPEG_MAX_QUEUE = '3';
+
+const {
+  trackEncodeRequest,
+  acquireEncodeSlot,
+  admitEncode,
+  admitEncodes,
+  holdEncodeReservation,
+  getEncodeStats
+} = require('../utils/encodeQueue');
+
+/**
+ * Run fn in a request context for a shop, as trackEncodeRequest() sets up
+ */
+function inShop(shopId, fn) {
+  return new Promise(resolve => trackEncodeRequest({ query: { shopId } }, {}, () => resolve(fn())));
+}
+
+/**
+ * A minimal Express response that emits 'close' when told to
+ */
+function response() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+/**
+ * Send a request for a shop through trackEncodeRequest() and an admission
+ * middleware; then(), if admitted, runs in the request's context
+ * @returns {Object} - { res, admitted, result }: result is what then() returned
+ */
+function admit(middleware, shopId, then = () => {}) {
+  const req = { method: 'POST', originalUrl: '/api/merge-only', query: { shopId } };
+  const res = response();
+  const request = { res, admitted: false, result: null };
+  trackEncodeRequest(req, res, () => middleware(req, res, () => {
+    request.admitted = true;
+    request.result = then();
+  }));
+  return request;
+}
+
+test('waiting encodes start round-robin across shops', async () => {
+  const order = [];
+  const encode = (label, shopId) => inShop(shopId, async () => {
+    const release = await acquireEncodeSlot();
+    order.push(label);
+    await new Promise(resolve => setImmediate(resolve)); // Let the rest queue up
+    release();
+  });
+
+  await Promise.all([
+    encode('A1', 'A'),
+    encode('A2', 'A'),
+    encode('A3', 'A'),
+    encode('B1', 'B'),
+    encode('C1', 'C'),
+    encode('A4', 'A'),
+    encode('B2', 'B')
+  ]);
+
+  // A1 runs straight away; then each shop with waiters gets a turn
+  assert.deepEqual(order, ['A1', 'A2', 'B1', 'C1', 'A3', 'B2', 'A4']);
+  assert.equal(getEncodeStats().activeEncodes, 0);
+  assert.deepEqual(getEncodeStats().queuedByShop, {});
+});
+
+test('admission reserves places and refuses requests beyond them', () => {
+  // One encoder and three queue places: four places in all
+  const batch = admit(admitEncodes(3), 'A');
+  const single = admit(admitEncode, 'B');
+  assert.equal(batch.admitted, true);
+  assert.equal(single.admitted, true);
+  assert.equal(getEncodeStats().admittedRequests, 4);
+
+  const refused = admit(admitEncode, 'C');
+  assert.equal(refused.admitted, false);
+  assert.equal(refused.res.statusCode, 503);
+  assert.equal(refused.res.body.error, 'ENCODER_BUSY');
+  assert.match(refused.res.headers['Retry-After'], /^\d+$/);
+
+  batch.res.emit('close');
+  single.res.emit('close');
+  assert.equal(getEncodeStats().admittedRequests, 0);
+
+  // A request may never need more places than there are
+  const huge = admit(admitEncodes(100), 'D');
+  assert.equal(huge.admitted, true);
+  assert.equal(getEncodeStats().admittedRequests, 4);
+  huge.res.emit('close');
+  assert.equal(getEncodeStats().admittedRequests, 0);
+});
+
+test('a held reservation outlives the response until every holder releases it', () => {
+  const job = admit(admitEncodes(2), 'A', () => [holdEncodeReservation(), holdEncodeReservation()]);
+  const [releaseUpload, releaseTasks] = job.result;
+
+  job.res.emit('close');
+  assert.equal(getEncodeStats().admittedRequests, 2);
+
+  releaseUpload();
+  releaseUpload(); // Releasing twice changes nothing
+  assert.equal(getEncodeStats().admittedRequests, 2);
+
+  releaseTasks();
+  assert.equal(getEncodeStats().admittedRequests, 0);
+});
+
+test('admitted requests queue for an encoder even when every place is taken', async () => {
+  const running = await acquireEncodeSlot();
+  const admitted = admit(admitEncodes(4), 'A', () => acquireEncodeSlot());
+
+  // Without a reservation the queue is full
+  await assert.rejects(acquireEncodeSlot(), { status: 503, code: 'ENCODER_BUSY' });
+  assert.equal(getEncodeStats().queuedEncodes, 1);
+
+  running();
+  const release = await admitted.result;
+  assert.equal(getEncodeStats().activeEncodes, 1);
+  release();
+  admitted.res.emit('close');
+  assert.equal(getEncodeStats().admittedRequests, 0);
+});
@@ -0,0 +1,185 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'explainer-cache-test-'));
+process.env.EXPLAINER_CACHE_DIR = cacheDir;
+process.env.HTTP_MAX_ATTEMPTS = '1';
+
+const { acquireExplainer, acquireIntermediate, getCacheStats } = require('../utils/explainerCache');
+
+// What the origin serves for each path: { body, etag }, or { down: true } to drop the connection
+const files = {};
+const requests = [];
+let origin;
+
+before(async () => {
+  origin = http.createServer((req, res) => {
+    requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+    const file = files[req.url];
+    if (file.down) return req.socket.destroy();
+    if (file.etag && req.headers['if-none-match'] === file.etag) {
+      res.writeHead(304);
+      return res.end();
+    }
+    res.writeHead(200, file.etag ? { ETag: file.etag } : {});
+    res.end(file.body);
+  });
+  await new Promise(resolve => origin.listen(0, resolve));
+});
+
+after(() => {
+  origin.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+const urlFor = name => `http://localhost:${origin.address().port}/${name}`;
+const read = handle => fs.readFileSync(handle.path, 'utf8');
+
+// Move the clock past the revalidation window, so the next acquire asks the origin again
+let clockOffset = 0;
+const realNow = Date.now;
+Date.now = () => realNow() + clockOffset;
+const expire = () => { clockOffset += 10 * 60 * 1000; };
+
+/**
+ * Build an intermediate by copying the source with a prefix, counting builds
+ */
+function intermediateOf(source, builds) {
+  return acquireIntermediate(source, 'hd720', async (outputPath) => {
+    builds.push(read(source));
+    fs.writeFileSync(outputPath, `normalized ${read(source)}`);
+  });
+}
+
+test('concurrent requests share one download, and later ones hit the cache', async () => {
+  files['/shared.mp4'] = { body: 'shared v1', etag: '"1"' };
+  const [first, second] = await Promise.all([
+    acquireExplainer('shared', urlFor('shared.mp4')),
+    acquireExplainer('shared', urlFor('shared.mp4'))
+  ]);
+  const third = await acquireExplainer('shared', urlFor('shared.mp4'));
+
+  assert.equal(requests.filter(r => r.url === '/shared.mp4').length, 1);
+  assert.deepEqual([first.cache, second.cache, third.cache], ['miss', 'miss', 'hit']);
+  assert.equal(read(third), 'shared v1');
+  [first, second, third].forEach(handle => handle.release());
+});
+
+test('an unchanged explainer is revalidated with its ETag', async () => {
+  files['/etag.mp4'] = { body: 'etag v1', etag: '"a"' };
+  const first = await acquireExplainer('etag', urlFor('etag.mp4'));
+  expire();
+  first.release();
+
+  const second = await acquireExplainer('etag', urlFor('etag.mp4'));
+  assert.equal(second.cache, 'revalidated');
+  assert.equal(second.path, first.path);
+  assert.equal(requests.filter(r => r.url === '/etag.mp4').at(-1).ifNoneMatch, '"a"');
+  second.release();
+});
+
+test('without validators, the same contents keep their file and intermediate', async () => {
+  files['/plain.mp4'] = { body: 'plain v1' };
+  const builds = [];
+
+  const first = await acquireExplainer('plain', urlFor('plain.mp4'));
+  (await intermediateOf(first, builds)).release();
+  expire();
+  first.release();
+
+  const second = await acquireExplainer('plain', urlFor('plain.mp4'));
+  assert.equal(second.cache, 'revalidated');
+  assert.equal(second.path, first.path);
+  const intermediate = await intermediateOf(second, builds);
+  assert.equal(intermediate.cache, 'hit');
+  assert.deepEqual(builds, ['plain v1']);
+  intermediate.release();
+  second.release();
+});
+
+test('a changed explainer gets a new file; merges holding the old one keep it until they release it', async () => {
+  files['/changing.mp4'] = { body: 'changing v1' };
+  const builds = [];
+
+  const old = await acquireExplainer('changing', urlFor('changing.mp4'));
+  expire();
+  files['/changing.mp4'] = { body: 'changing v2' };
+  const current = await acquireExplainer('changing', urlFor('changing.mp4'));
+
+  assert.equal(current.cache, 'updated');
+  assert.notEqual(current.path, old.path);
+  assert.equal(read(old), 'changing v1');
+  assert.equal(read(current), 'changing v2');
+  assert.equal(getCacheStats().retiredVersions, 1);
+
+  // Each holder's intermediate is built from, and cached for, its own version
+  const oldIntermediate = await intermediateOf(old, builds);
+  const currentIntermediate = await intermediateOf(current, builds);
+  assert.equal(fs.readFileSync(oldIntermediate.path, 'utf8'), 'normalized changing v1');
+  assert.equal(fs.readFileSync(currentIntermediate.path, 'utf8'), 'normalized changing v2');
+
+  oldIntermediate.release();
+  old.release();
+  assert.equal(fs.existsSync(old.path), false);
+  assert.equal(getCacheStats().retiredVersions, 0);
+  assert.equal(read(current), 'changing v2');
+  currentIntermediate.release();
+  current.release();
+});
+
+test('intermediates are built once per profile, even when requested together', async () => {
+  files['/profiles.mp4'] = { body: 'profiles v1', etag: '"p"' };
+  const source = await acquireExplainer('profiles', urlFor('profiles.mp4'));
+  let builds = 0;
+  const build = profile => async (outputPath) => {
+    builds++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    fs.writeFileSync(outputPath, `${profile} ${read(source)}`);
+  };
+
+  const [first, second] = await Promise.all([
+    acquireIntermediate(source, 'hd720', build('hd720')),
+    acquireIntermediate(source, 'hd720', build('hd720'))
+  ]);
+  const other = await acquireIntermediate(source, 'sms-480p', build('sms-480p'));
+
+  assert.equal(builds, 2);
+  assert.equal(first.path, second.path);
+  assert.equal(fs.readFileSync(first.path, 'utf8'), 'hd720 profiles v1');
+  assert.equal(fs.readFileSync(other.path, 'utf8'), 'sms-480p profiles v1');
+  [first, second, other, source].forEach(handle => handle.release());
+});
+
+test('a failed intermediate build is not cached', async () => {
+  files['/broken.mp4'] = { body: 'broken v1', etag: '"b"' };
+  const source = await acquireExplainer('broken', urlFor('broken.mp4'));
+
+  await assert.rejects(acquireIntermediate(source, 'hd720', async () => { throw new Error('FFmpeg failed'); }),
+    { message: 'FFmpeg failed' });
+  const intermediate = await acquireIntermediate(source, 'hd720', async (outputPath) => {
+    fs.writeFileSync(outputPath, 'normalized');
+  });
+  assert.equal(intermediate.cache, 'miss');
+  assert.ok(!fs.readdirSync(cacheDir).some(name => name.endsWith('.part')));
+  intermediate.release();
+  source.release();
+});
+
+test('a cached copy is served when the origin is unreachable', async () => {
+  files['/flaky.mp4'] = { body: 'flaky v1', etag: '"f"' };
+  const first = await acquireExplainer('flaky', urlFor('flaky.mp4'));
+  expire();
+  first.release();
+
+  files['/flaky.mp4'] = { down: true };
+  const second = await acquireExplainer('flaky', urlFor('flaky.mp4'));
+  assert.equal(second.cache, 'stale');
+  assert.equal(read(second), 'flaky v1');
+  second.release();
+
+  await assert.rejects(acquireExplainer('missing', urlFor('flaky.mp4')), { status: 502, code: 'UPSTREAM_FAILED' });
+});
@@ -0,0 +1,131 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A stand-in ffmpeg on the PATH whose behavior is picked by its first argument
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-test-'));
+fs.writeFileSync(path.join(binDir, 'ffmpeg'), `#!/bin/sh
+case "$1" in
+  progress) printf 'frame=1 time=00:00:01.50 bitrate=1k\\n' >&2; exit 0 ;;
+  chatty) i=0; while [ $i -lt 3000 ]; do printf 'detected at %04d %0100d\\n' $i 0 >&2; i=$((i+1)); done; exit 0 ;;
+  fail) printf 'Invalid data found when processing input\\n' >&2; exit 1 ;;
+  stall) exec sleep 30 ;;
+esac
+`, { mode: 0o755 });
+// And an ffprobe that prints PROBE_OUTPUT, or fails if it is unset
+fs.writeFileSync(path.join(binDir, 'ffprobe'), `#!/bin/sh
+[ -n "$PROBE_OUTPUT" ] || { printf 'Invalid data found when processing input\\n' >&2; exit 1; }
+printf '%s' "$PROBE_OUTPUT"
+`, { mode: 0o755 });
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+process.env.FFMPEG_STALL_SECONDS = '1';
+
+const { parseTimestamp, runFFmpeg, probeMedia, validateVideo } = require('../utils/ffmpeg');
+const { getEncodeStats } = require('../utils/encodeQueue');
+
+const mediaPath = path.join(binDir, 'clip.mp4');
+fs.writeFileSync(mediaPath, 'not really a video');
+fs.writeFileSync(path.join(binDir, 'empty.mp4'), '');
+
+after(() => fs.rmSync(binDir, { recursive: true, force: true }));
+
+/**
+ * Probe mediaPath with the stand-in ffprobe reporting the given streams
+ */
+function probe(streams, format = { duration: '12.5', format_name: 'mov,mp4', bit_rate: '800000' }) {
+  process.env.PROBE_OUTPUT = JSON.stringify({ streams, format });
+  return probeMedia(mediaPath);
+}
+
+test('parseTimestamp converts FFmpeg timestamps to seconds', () => {
+  assert.equal(parseTimestamp('00:01:23.45'), 83.45);
+  assert.equal(parseTimestamp('01:00:00.00'), 3600);
+});
+
+test('runFFmpeg reports progress against the expected duration', async () => {
+  const progress = [];
+  await runFFmpeg(['progress'], { duration: 3, onProgress: p => progress.push(p) });
+  assert.deepEqual(progress, [{ time: 1.5, percent: 50 }]);
+});
+
+test('runFFmpeg keeps only the tail of a long log unless asked for all of it', async () => {
+  const tail = await runFFmpeg(['chatty']);
+  assert.ok(tail.length <= 64 * 1024);
+  assert.match(tail, /detected at 2999/);
+  assert.doesNotMatch(tail, /detected at 0000/);
+
+  const full = await runFFmpeg(['chatty'], { fullLog: true });
+  assert.match(full, /^detected at 0000/);
+  assert.match(full, /detected at 2999/);
+});
+
+test('runFFmpeg rejects with the end of the log when FFmpeg fails', async () => {
+  await assert.rejects(runFFmpeg(['fail']), { message: /FFmpeg failed \(code 1\): Invalid data found/ });
+  assert.equal(getEncodeStats().activeEncodes, 0);
+});
+
+test('runFFmpeg kills a stalled FFmpeg and frees its encoder', async () => {
+  const startedAt = Date.now();
+  await assert.rejects(runFFmpeg(['stall']), { status: 504, code: 'ENCODE_TIMEOUT' });
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.equal(getEncodeStats().activeEncodes, 0);
+});
+
+test('probeMedia describes the video and audio streams', async () => {
+  const media = await probe([
+    { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, avg_frame_rate: '30000/1001' },
+    { codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2 }
+  ]);
+  assert.deepEqual(media, {
+    duration: 12.5,
+    size: fs.statSync(mediaPath).size,
+    format: 'mov,mp4',
+    bitRate: 800000,
+    video: { codec: 'h264', width: 1920, height: 1080, displayWidth: 1920, displayHeight: 1080, rotation: 0, frameRate: 29.97 },
+    audio: { codec: 'aac', sampleRate: 48000, channels: 2 },
+    hasAudio: true
+  });
+});
+
+test('probeMedia swaps the display size of rotated phone video', async () => {
+  const { video } = await probe([
+    { codec_type: 'video', codec_name: 'hevc', width: 1920, height: 1080, side_data_list: [{ rotation: -90 }] }
+  ]);
+  assert.equal(video.rotation, 270);
+  assert.equal(video.displayWidth, 1080);
+  assert.equal(video.displayHeight, 1920);
+
+  const legacy = await probe([{ codec_type: 'video', width: 640, height: 480, tags: { rotate: '90' } }]);
+  assert.equal(legacy.video.rotation, 90);
+});
+
+test('probeMedia ignores cover art and reports missing audio', async () => {
+  const media = await probe([
+    { codec_type: 'video', codec_name: 'mjpeg', width: 300, height: 300, disposition: { attached_pic: 1 } },
+    { codec_type: 'audio', codec_name: 'mp3', sample_rate: '44100', channels: 2 }
+  ]);
+  assert.equal(media.video, null);
+
+  const silent = await probe([{ codec_type: 'video', codec_name: 'h264', width: 640, height: 480 }]);
+  assert.equal(silent.audio, null);
+  assert.equal(silent.hasAudio, false);
+});
+
+test('probeMedia rejects empty and unreadable files', async () => {
+  await assert.rejects(probeMedia(path.join(binDir, 'empty.mp4')), { status: 400, code: 'EMPTY_FILE' });
+
+  delete process.env.PROBE_OUTPUT;
+  await assert.rejects(probeMedia(mediaPath), { status: 422, code: 'INVALID_MEDIA' });
+});
+
+test('validateVideo rejects media without a usable video stream', () => {
+  const video = { width: 1280, height: 720 };
+  validateVideo({ duration: 3, video });
+
+  assert.throws(() => validateVideo({ duration: 3, video: null }), { status: 422, code: 'NO_VIDEO_STREAM' });
+  assert.throws(() => validateVideo({ duration: 3, video: { width: 0, height: 0 } }), { status: 422, code: 'INVALID_MEDIA' });
+  assert.throws(() => validateVideo({ duration: 0.2, video }), { status: 422, code: 'INVALID_DURATION' });
+  assert.throws(() => validateVideo({ duration: null, video }), { status: 422, code: 'INVALID_DURATION' });
+});
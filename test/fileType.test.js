@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const { sniffFileType, checkFileType, expectFileType } = require('../utils/fileType');
+
+/**
+ * The first bytes of a file: an ISO base media ftyp box, or the given text
+ */
+const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}\0\0\0\0`, 'latin1')]);
+const head = (text) => Buffer.from(text.padEnd(16, '\0'), 'latin1');
+
+test('sniffFileType tells videos, images and PDFs apart by their first bytes', () => {
+  const cases = [
+    [ftyp('isom'), { kind: 'video', format: 'mp4' }],
+    [ftyp('qt  '), { kind: 'video', format: 'mov' }],
+    [ftyp('3gp5'), { kind: 'video', format: '3gp' }],
+    [ftyp('heic'), { kind: 'image', format: 'heic' }],
+    [ftyp('avif'), { kind: 'image', format: 'avif' }],
+    [Buffer.concat([Buffer.from([0, 0, 0, 8]), head('moov')]), { kind: 'video', format: 'mov' }],
+    [Buffer.from('1a45dfa3a3428681' + '0'.repeat(16), 'hex'), { kind: 'video', format: 'webm' }],
+    [head('RIFF\0\0\0\0AVI '), { kind: 'video', format: 'avi' }],
+    [Buffer.from('ffd8ffe0' + '0'.repeat(24), 'hex'), { kind: 'image', format: 'jpeg' }],
+    [Buffer.from('89504e470d0a1a0a' + '0'.repeat(16), 'hex'), { kind: 'image', format: 'png' }],
+    [head('RIFF\0\0\0\0WEBPVP8 '), { kind: 'image', format: 'webp' }],
+    [head('%PDF-1.7'), { kind: 'pdf', format: 'pdf' }]
+  ];
+  for (const [bytes, type] of cases) assert.deepEqual(sniffFileType(bytes), type, type.format);
+
+  assert.equal(sniffFileType(head('#!/bin/sh')), null);
+});
+
+test('checkFileType rejects the wrong kind with 415', () => {
+  assert.deepEqual(checkFileType(ftyp('isom'), 'video', 'videoFile'), { kind: 'video', format: 'mp4' });
+  assert.throws(() => checkFileType(head('%PDF-1.7'), 'video', 'videoFile'),
+    { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: 'videoFile must be a video file (got pdf)' });
+  assert.throws(() => checkFileType(head('plain text'), 'image', 'photoFile'),
+    { status: 415, message: 'photoFile must be an image file' });
+});
+
+/**
+ * Stream chunks through expectFileType()
+ * @returns {Promise<Object>} - { data, type } with everything that came out
+ */
+async function sniff(chunks, kind) {
+  const out = [];
+  let type = null;
+  await pipeline(
+    Readable.from(chunks),
+    expectFileType(kind, 'upload', (sniffed) => { type = sniffed; }),
+    new Writable({ write(chunk, encoding, callback) { out.push(chunk); callback(); } })
+  );
+  return { data: Buffer.concat(out), type };
+}
+
+test('expectFileType passes a file through unchanged once its first bytes match', async () => {
+  const file = Buffer.concat([ftyp('isom'), Buffer.from('rest of the video')]);
+  // Arriving a few bytes at a time
+  const chunks = [file.subarray(0, 3), file.subarray(3, 10), file.subarray(10)];
+  const { data, type } = await sniff(chunks, 'video');
+  assert.deepEqual(data, file);
+  assert.deepEqual(type, { kind: 'video', format: 'mp4' });
+});
+
+test('expectFileType fails the stream for the wrong kind, and lets empty files through', async () => {
+  await assert.rejects(sniff([head('%PDF-1.7 and more')], 'video'), { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+  await assert.rejects(sniff([Buffer.from('tiny')], 'video'), { status: 415 });
+  assert.equal((await sniff([], 'video')).data.length, 0);
+});
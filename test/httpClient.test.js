@@ -0,0 +1,167 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.HTTP_MAX_ATTEMPTS = '3';
+process.env.HTTP_RETRY_BASE_MS = '1';
+process.env.HTTP_RETRY_MAX_MS = '5';
+
+const { request } = require('../utils/httpClient');
+
+// Requests the server received, and how it answers the next one
+let received;
+let handle;
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, body, contentType: req.headers['content-type'] });
+      handle(req, res, received.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  received = [];
+});
+
+/**
+ * Answer with a status, and an optional body and headers
+ */
+const reply = (status, body = '', headers = {}) => (req, res) => {
+  res.writeHead(status, headers);
+  res.end(body);
+};
+const drop = (req) => req.socket.destroy();
+
+test('a response is returned whatever its status', async () => {
+  handle = reply(404, 'nope');
+  const response = await request(`${base}/missing`);
+  assert.equal(response.status, 404);
+  assert.equal(response.body, 'nope');
+  assert.equal(response.attempts, 1);
+});
+
+test('retryable statuses are retried until they succeed or attempts run out', async () => {
+  handle = (req, res, count) => reply(count < 2 ? 503 : 200, 'ok')(req, res);
+  const recovered = await request(`${base}/flaky`, { service: 'Test' });
+  assert.equal(recovered.status, 200);
+  assert.equal(recovered.attempts, 2);
+
+  received = [];
+  handle = reply(500, 'still broken');
+  const failed = await request(`${base}/broken`);
+  assert.equal(failed.status, 500);
+  assert.equal(failed.attempts, 3);
+  assert.equal(received.length, 3);
+});
+
+test('Retry-After is honored, and a wait over 30 seconds ends the retries', async () => {
+  handle = (req, res, count) => reply(count < 2 ? 429 : 200, '', { 'Retry-After': '1' })(req, res);
+  const startedAt = Date.now();
+  const waited = await request(`${base}/slow-down`);
+  assert.equal(waited.attempts, 2);
+  assert.ok(Date.now() - startedAt >= 900, 'waited for Retry-After');
+
+  received = [];
+  handle = reply(503, '', { 'Retry-After': '120' });
+  const refused = await request(`${base}/come-back-later`);
+  assert.equal(refused.status, 503);
+  assert.equal(refused.attempts, 1);
+});
+
+test('a body function is called again for each attempt', async () => {
+  let calls = 0;
+  handle = (req, res, count) => reply(count < 3 ? 502 : 200)(req, res);
+  await request(`${base}/upload`, { method: 'PUT', body: () => `attempt ${++calls}` });
+  assert.deepEqual(received.map(r => r.body), ['attempt 1', 'attempt 2', 'attempt 3']);
+});
+
+test('dropped connections are retried for GET but not for POST unless it is idempotent', async () => {
+  handle = (req, res, count) => (count < 2 ? drop(req) : reply(200)(req, res));
+  assert.equal((await request(`${base}/get`)).attempts, 2);
+
+  received = [];
+  handle = drop;
+  await assert.rejects(request(`${base}/post`, { service: 'Test', method: 'POST', body: '{}' }), (error) => {
+    assert.equal(error.code, 'UPSTREAM_FAILED');
+    assert.deepEqual(error.extra, { service: 'Test', attempts: 1, cause: { code: 'ECONNRESET' } });
+    return true;
+  });
+  assert.equal(received.length, 1);
+
+  received = [];
+  handle = (req, res, count) => (count < 2 ? drop(req) : reply(200)(req, res));
+  assert.equal((await request(`${base}/post`, { method: 'POST', body: '{}', idempotent: true })).attempts, 2);
+});
+
+test('a POST to a server that refuses connections is retried', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(request(`http://localhost:${port}/post`, { method: 'POST', body: '{}' }), (error) => {
+    assert.equal(error.extra.attempts, 3);
+    assert.equal(error.extra.cause.code, 'ECONNREFUSED');
+    return true;
+  });
+});
+
+test('an attempt with no activity times out', async () => {
+  handle = () => {}; // Never answer
+  await assert.rejects(request(`${base}/hang`, { timeoutMs: 50, maxAttempts: 1 }), (error) => {
+    assert.equal(error.extra.cause.code, 'ETIMEDOUT');
+    return true;
+  });
+});
+
+test('redirects are followed only when asked, keeping or dropping the method as browsers do', async () => {
+  handle = (req, res) => (req.url === '/target' ? reply(200, 'arrived')(req, res) : reply(Number(req.url.slice(1)), '', { Location: '/target' })(req, res));
+  const post = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"a":1}', followRedirects: true };
+
+  assert.equal((await request(`${base}/302`, { ...post, followRedirects: false })).status, 302);
+
+  for (const status of [303, 302, 301]) {
+    received = [];
+    const response = await request(`${base}/${status}`, post);
+    assert.equal(response.body, 'arrived');
+    assert.deepEqual(received[1], { method: 'GET', url: '/target', body: '', contentType: undefined }, `${status} after POST`);
+  }
+
+  for (const status of [307, 308]) {
+    received = [];
+    await request(`${base}/${status}`, post);
+    assert.deepEqual(received[1], { method: 'POST', url: '/target', body: '{"a":1}', contentType: 'application/json' }, `${status} after POST`);
+  }
+
+  received = [];
+  await request(`${base}/301`, { method: 'PUT', body: 'x', followRedirects: true });
+  assert.equal(received[1].method, 'PUT');
+
+  handle = reply(302, '', { Location: '/loop' });
+  await assert.rejects(request(`${base}/loop`, { followRedirects: true }), { code: 'UPSTREAM_FAILED', message: /redirected more than 5 times/ });
+});
+
+test('a 200 response can be downloaded to a file', async () => {
+  const dest = path.join(os.tmpdir(), `http-client-test-${process.pid}`);
+  try {
+    handle = reply(200, 'file contents');
+    const response = await request(`${base}/file`, { download: dest });
+    assert.equal(response.body, '');
+    assert.equal(fs.readFileSync(dest, 'utf8'), 'file contents');
+  } finally {
+    fs.rmSync(dest, { force: true });
+  }
+});
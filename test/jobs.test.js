@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  createJob, setStage, reportProgress, completeJob, failJob, getJob, subscribe
+} = require('../utils/jobs');
+
+test('a job records each stage it passes through and its result', () => {
+  const job = createJob('merge-and-upload', { shopId: '1' });
+  assert.equal(job.status, 'pending');
+  assert.equal(getJob(job.id), job);
+
+  setStage(job, 'encoding');
+  setStage(job, 'uploading');
+  assert.equal(job.status, 'running');
+  assert.equal(job.stage, 'uploading');
+  assert.deepEqual(job.stages.map(stage => stage.stage), ['encoding', 'uploading']);
+  assert.ok(job.stages[0].finishedAt);
+  assert.equal(job.stages[1].finishedAt, null);
+
+  completeJob(job, { success: true });
+  assert.equal(job.status, 'succeeded');
+  assert.deepEqual(job.result, { success: true });
+  assert.ok(job.stages[1].finishedAt);
+  assert.ok(job.finishedAt);
+});
+
+test('a failed job keeps the stage it failed at', () => {
+  const job = createJob('merge-and-upload');
+  setStage(job, 'downloading_explainer');
+  failJob(job, new Error('Explainer download failed'));
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error.message, 'Explainer download failed');
+  assert.equal(job.error.stage, 'downloading_explainer');
+});
+
+test('getJob returns null for unknown jobs', () => {
+  assert.equal(getJob(crypto.randomUUID()), null);
+});
+
+test('subscribers receive a job\'s events, even when subscribed before it is created', () => {
+  const id = crypto.randomUUID();
+  const events = [];
+  const unsubscribe = subscribe(id, event => events.push(event));
+
+  const job = createJob('merge-and-upload', {}, { requestedId: id });
+  assert.equal(job.id, id);
+  setStage(job, 'encoding');
+  reportProgress(job, { pass: 1, passes: 2, percent: 40 });
+  completeJob(job, { success: true });
+  unsubscribe();
+  setStage(job, 'late');
+
+  assert.deepEqual(events.map(event => event.type), ['created', 'stage', 'progress', 'done']);
+  assert.deepEqual(events[2].data, { stage: 'encoding', pass: 1, passes: 2, percent: 40 });
+  assert.deepEqual(events[3].data, { status: 'succeeded', result: { success: true }, error: null });
+});
+
+test('requested job IDs are used only when they are unused UUIDs', () => {
+  const id = crypto.randomUUID();
+  assert.equal(createJob('merge-and-upload', {}, { requestedId: id }).id, id);
+  assert.notEqual(createJob('merge-and-upload', {}, { requestedId: id }).id, id);
+  assert.notEqual(createJob('merge-and-upload', {}, { requestedId: 'not-a-uuid' }).id, 'not-a-uuid');
+});
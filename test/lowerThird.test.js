@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLowerThird, lowerThirdFilter, describeLowerThird } = require('../utils/lowerThird');
+
+test('parseLowerThird is opt-in', () => {
+  assert.equal(parseLowerThird({ taskName: 'Brakes' }), null);
+  assert.equal(parseLowerThird({ lowerThird: 'false', taskName: 'Brakes' }), null);
+  assert.notEqual(parseLowerThird({ lowerThird: 'true' }), null);
+});
+
+test('parseLowerThird takes text from the fields, then from taskData', () => {
+  const info = parseLowerThird({
+    lowerThird: 'true',
+    shopName: 'Main St Auto',
+    rating: 'RQRSATTN',
+    taskData: JSON.stringify({ name: 'Front brake pads', roNumber: '1042', vehicle: '2018 Honda Civic', shopName: 'Ignored' })
+  });
+  assert.deepEqual(describeLowerThird(info), {
+    shopName: 'Main St Auto',
+    roNumber: '1042',
+    vehicle: '2018 Honda Civic',
+    taskName: 'Front brake pads',
+    rating: 'RQRSATTN',
+    position: 'bottom'
+  });
+});
+
+test('parseLowerThird checks the styling fields', () => {
+  assert.equal(parseLowerThird({ lowerThird: 'true', lowerThirdPosition: 'top', lowerThirdFontSize: '40' }).fontSize, 40);
+  assert.throws(() => parseLowerThird({ lowerThird: 'true', lowerThirdPosition: 'middle' }), { status: 400, code: 'INVALID_LOWER_THIRD' });
+  assert.throws(() => parseLowerThird({ lowerThird: 'true', lowerThirdFontSize: '200' }), { status: 400, code: 'INVALID_LOWER_THIRD' });
+});
+
+test('lowerThirdFilter escapes text for the filter graph', () => {
+  const filter = lowerThirdFilter(parseLowerThird({
+    lowerThird: 'true',
+    taskName: "Driver's side: 50% worn, [rear]"
+  }));
+  assert.match(filter, /^drawbox=/);
+  assert.ok(filter.includes("Driver\\\\\\'s side\\\\: 50% worn\\, \\[rear\\]"), filter);
+});
+
+test('lowerThirdFilter draws nothing without text and shortens long text', () => {
+  assert.equal(lowerThirdFilter(parseLowerThird({ lowerThird: 'true' })), null);
+
+  const filter = lowerThirdFilter(parseLowerThird({ lowerThird: 'true', taskName: 'x'.repeat(100) }));
+  assert.ok(filter.includes(`${'x'.repeat(59)}…`));
+  assert.ok(!filter.includes('x'.repeat(60)));
+});
+
+test('lowerThirdFilter shows a badge only for known ratings', () => {
+  const rated = lowerThirdFilter(parseLowerThird({ lowerThird: 'true', rating: 'GOOD' }));
+  assert.match(rated, /text=GOOD:.*boxcolor=0x2e9e44/);
+  assert.equal(lowerThirdFilter(parseLowerThird({ lowerThird: 'true', rating: 'SOMETIMES' })), null);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+delete process.env.MERGE_STRATEGY;
+
+const { resolveStrategy, concatProfile, intermediateProfile } = require('../utils/merge');
+const { resolveProfile } = require('../utils/profiles');
+
+test('resolveStrategy accepts the known strategies, defaulting to parallel', () => {
+  assert.equal(resolveStrategy(), 'parallel');
+  assert.equal(resolveStrategy('concat-filter'), 'concat-filter');
+  assert.equal(resolveStrategy('sequential'), 'sequential');
+  assert.throws(() => resolveStrategy('fastest'), { status: 400, code: 'INVALID_MERGE_STRATEGY' });
+});
+
+test('an unknown MERGE_STRATEGY stops the service from starting', () => {
+  const result = spawnSync(process.execPath, ['-e', "require('./utils/merge')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, MERGE_STRATEGY: 'fastest' },
+    encoding: 'utf8'
+  });
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /MERGE_STRATEGY must be one of parallel, concat-filter, sequential/);
+});
+
+const clip = (frameRate) => ({ video: { frameRate } });
+
+test('concatProfile keeps the source frame rate when the clips share one', () => {
+  const profile = resolveProfile('hd720');
+  assert.equal(concatProfile(profile, [clip(30), clip(30), null]), profile);
+});
+
+test('concatProfile joins clips recorded at different rates at the highest', () => {
+  const profile = resolveProfile('vertical');
+  const joined = concatProfile(profile, [clip(29.97), clip(60), clip(24)]);
+  assert.equal(joined.frameRate, 60);
+  assert.equal(joined.name, 'vertical');
+  assert.equal(profile.frameRate, null);
+  // Intermediates normalized at a forced rate are cached separately
+  assert.notEqual(intermediateProfile(joined), intermediateProfile(profile));
+});
+
+test('concatProfile leaves profiles with a frame rate alone', () => {
+  const profile = resolveProfile('sms-480p');
+  assert.equal(concatProfile(profile, [clip(30), clip(60)]), profile);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { jpegOrientation } = require('../utils/photos');
+
+/**
+ * Build the start of a JPEG: SOI, optional APP0, and an APP1 EXIF block whose
+ * first IFD holds one orientation entry
+ */
+function jpeg({ orientation = 6, littleEndian = true, ifdOffset = 8, entries = 1, app0 = false } = {}) {
+  const tiff = Buffer.alloc(22);
+  const write16 = (value, at) => (littleEndian ? tiff.writeUInt16LE(value, at) : tiff.writeUInt16BE(value, at));
+  const write32 = (value, at) => (littleEndian ? tiff.writeUInt32LE(value, at) : tiff.writeUInt32BE(value, at));
+  tiff.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  write16(0x2a, 2);
+  write32(ifdOffset, 4);
+  write16(entries, 8);
+  write16(0x0112, 10); // Orientation
+  write16(3, 12); // SHORT
+  write32(1, 14);
+  write16(orientation, 18);
+
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const app1 = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 0]), exif]);
+  app1.writeUInt16BE(exif.length + 2, 2);
+
+  const jfif = app0 ? [Buffer.from([0xff, 0xe0, 0, 16]), Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')] : [];
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), ...jfif, app1, Buffer.from([0xff, 0xda, 0, 2])]);
+}
+
+test('jpegOrientation reads the orientation tag in either byte order', () => {
+  assert.equal(jpegOrientation(jpeg()), 6);
+  assert.equal(jpegOrientation(jpeg({ littleEndian: false, orientation: 8 })), 8);
+  assert.equal(jpegOrientation(jpeg({ app0: true, orientation: 3 })), 3);
+});
+
+test('jpegOrientation returns 1 without an EXIF block', () => {
+  assert.equal(jpegOrientation(Buffer.from([0xff, 0xd8, 0xff, 0xda, 0, 2])), 1);
+  assert.equal(jpegOrientation(Buffer.alloc(0)), 1);
+  assert.equal(jpegOrientation(Buffer.from('not a jpeg')), 1);
+});
+
+test('jpegOrientation returns 1 for out-of-range orientations', () => {
+  assert.equal(jpegOrientation(jpeg({ orientation: 0 })), 1);
+  assert.equal(jpegOrientation(jpeg({ orientation: 9 })), 1);
+});
+
+test('jpegOrientation returns 1 instead of throwing on truncated or corrupt EXIF', () => {
+  const data = jpeg();
+  for (let length = 0; length < data.length - 4; length++) {
+    assert.equal(jpegOrientation(data.subarray(0, length)), 1, `truncated to ${length} bytes`);
+  }
+  assert.equal(jpegOrientation(jpeg({ ifdOffset: 0xfffffff0 })), 1);
+  assert.equal(jpegOrientation(jpeg({ entries: 500, orientation: 1 })), 1);
+});
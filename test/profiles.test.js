@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.ENCODING_PROFILE;
+delete process.env.FILL_MODE;
+
+const {
+  resolveProfile, scaleFilter, audioFilter, silentAudio, videoCodecArgs, audioCodecArgs, containerArgs
+} = require('../utils/profiles');
+
+test('resolveProfile looks up profiles by name, defaulting to hd720', () => {
+  const profile = resolveProfile();
+  assert.equal(profile.name, 'hd720');
+  assert.equal(profile.width, 1280);
+  assert.equal(profile.height, 720);
+  assert.equal(resolveProfile('sms-480p').name, 'sms-480p');
+  assert.throws(() => resolveProfile('4k'), { status: 400, code: 'INVALID_PROFILE' });
+});
+
+test('videoCodecArgs caps the bitrate only for profiles with a maximum', () => {
+  assert.deepEqual(videoCodecArgs(resolveProfile('hd720')), ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23']);
+  assert.deepEqual(videoCodecArgs(resolveProfile('sms-480p')).slice(-4), ['-maxrate', '700k', '-bufsize', '1400k']);
+});
+
+test('audioCodecArgs and containerArgs follow the profile', () => {
+  assert.deepEqual(audioCodecArgs(resolveProfile('sms-480p')), ['-c:a', 'aac', '-b:a', '64k', '-ar', '44100', '-ac', '1']);
+  assert.deepEqual(containerArgs(resolveProfile('hd720')), ['-movflags', '+faststart']);
+});
+
+test('scaleFilter pads clips to the canvas and sets the profile frame rate', () => {
+  assert.equal(scaleFilter(resolveProfile('hd720')),
+    'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1');
+  assert.match(scaleFilter(resolveProfile('sms-480p')), /^scale=854:480:.*,fps=24$/);
+});
+
+test('resolveProfile checks the fill mode', () => {
+  assert.equal(resolveProfile('hd720').fillMode, 'pad');
+  assert.equal(resolveProfile('hd720', 'blur').fillMode, 'blur');
+  assert.throws(() => resolveProfile('hd720', 'stretch'), { status: 400, code: 'INVALID_FILL_MODE' });
+});
+
+test('scaleFilter fills with a blurred copy whose pads are labelled per clip', () => {
+  const filter = scaleFilter(resolveProfile('vertical', 'blur'), 'c1');
+  assert.match(filter, /^split=2\[c1bg\]\[c1fg\];/);
+  assert.match(filter, /\[c1bg\]scale=90:160:force_original_aspect_ratio=increase,crop=90:160,boxblur/);
+  assert.match(filter, /\[c1blur\]\[c1clip\]overlay=\(W-w\)\/2:\(H-h\)\/2,setsar=1$/);
+  assert.ok(!filter.includes('[fit'));
+});
+
+test('audioFilter normalizes loudness into the profile\'s audio format', () => {
+  assert.equal(audioFilter(resolveProfile('sms-480p')),
+    'loudnorm=I=-16:TP=-1.5:LRA=11,aresample=44100,aformat=sample_rates=44100:channel_layouts=mono');
+  assert.match(audioFilter(resolveProfile('hd1080')), /channel_layouts=stereo$/);
+});
+
+test('silentAudio matches the profile\'s audio format', () => {
+  assert.equal(silentAudio(resolveProfile('hd1080'), 4.5),
+    'anullsrc=channel_layout=stereo:sample_rate=48000,atrim=duration=4.5');
+});
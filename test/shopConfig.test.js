@@ -0,0 +1,78 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-config-test-'));
+const configFile = path.join(assetsDir, 'shops.json');
+process.env.ASSETS_DIR = assetsDir;
+delete process.env.SHOP_CONFIG_FILE;
+
+const { assetPath, getShopConfig, getWatermark } = require('../utils/shopConfig');
+
+fs.writeFileSync(path.join(assetsDir, 'logo.png'), 'png');
+
+after(() => fs.rmSync(assetsDir, { recursive: true, force: true }));
+
+/**
+ * Replace the shop config, with an mtime the module hasn't seen yet
+ */
+let writes = 0;
+function writeConfig(shops) {
+  fs.writeFileSync(configFile, typeof shops === 'string' ? shops : JSON.stringify(shops));
+  const mtime = new Date(Date.now() + ++writes * 1000);
+  fs.utimesSync(configFile, mtime, mtime);
+}
+
+test('assetPath only accepts plain file names', () => {
+  assert.equal(assetPath('logo.png'), path.join(assetsDir, 'logo.png'));
+  for (const name of ['../shops.json', 'nested/logo.png', '.hidden', '', null]) {
+    assert.equal(assetPath(name), null);
+  }
+});
+
+test('getShopConfig re-reads the file when it changes and keeps the last good copy', () => {
+  assert.deepEqual(getShopConfig('12'), {});
+
+  writeConfig({ 12: { fillMode: 'blur' } });
+  assert.deepEqual(getShopConfig('12'), { fillMode: 'blur' });
+  assert.deepEqual(getShopConfig(12), { fillMode: 'blur' });
+  assert.deepEqual(getShopConfig('13'), {});
+
+  writeConfig('{ not json');
+  assert.deepEqual(getShopConfig('12'), { fillMode: 'blur' });
+});
+
+test('getWatermark fills in defaults for a valid logo', () => {
+  writeConfig({ 12: { watermark: { file: 'logo.png', position: 'bottom-left' } } });
+  const watermark = getWatermark('12');
+  assert.equal(watermark.path, path.join(assetsDir, 'logo.png'));
+  assert.equal(watermark.position, 'bottom-left');
+  assert.equal(watermark.scale, 0.15);
+  assert.equal(watermark.opacity, 0.8);
+  assert.equal(watermark.apply, 'both');
+  assert.equal(getWatermark('13'), null);
+});
+
+test('getWatermark ignores invalid settings rather than failing uploads', () => {
+  const invalid = [
+    { file: 'missing.png' },
+    { file: '../logo.png' },
+    { file: 'logo.png', position: 'center' },
+    { file: 'logo.png', apply: 'outro' },
+    { file: 'logo.png', scale: 2 },
+    { file: 'logo.png', opacity: 0 }
+  ];
+  for (const watermark of invalid) {
+    writeConfig({ 12: { watermark } });
+    assert.equal(getWatermark('12'), null, JSON.stringify(watermark));
+  }
+});
+
+test('a watermark\'s version changes with its placement', () => {
+  writeConfig({ 12: { watermark: { file: 'logo.png' } } });
+  const before = getWatermark('12').version;
+  writeConfig({ 12: { watermark: { file: 'logo.png', opacity: 0.5 } } });
+  assert.notEqual(getWatermark('12').version, before);
+});
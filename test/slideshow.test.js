@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSlides } = require('../utils/slideshow');
+
+const photos = (...fields) => Object.fromEntries(fields.map(field => [field, { path: `/tmp/${field}.jpg` }]));
+
+test('parseSlides shows the photos in field order by default', () => {
+  assert.deepEqual(parseSlides({}, photos('photoFile10', 'photoFile2', 'photoFile', 'videoFile')), [
+    { field: 'photoFile', duration: 4, caption: null },
+    { field: 'photoFile2', duration: 4, caption: null },
+    { field: 'photoFile10', duration: 4, caption: null }
+  ]);
+  assert.throws(() => parseSlides({}, photos('videoFile')), { status: 400, code: 'INVALID_SLIDES' });
+});
+
+test('parseSlides follows the slides field, repeating photos if asked', () => {
+  const slides = JSON.stringify([
+    { file: 'photoFile2', duration: 6, caption: '  Front pads at 2mm ' },
+    { file: 'photoFile' },
+    { file: 'photoFile2', duration: '1.5', caption: '' }
+  ]);
+  assert.deepEqual(parseSlides({ slides }, photos('photoFile', 'photoFile2')), [
+    { field: 'photoFile2', duration: 6, caption: 'Front pads at 2mm' },
+    { field: 'photoFile', duration: 4, caption: null },
+    { field: 'photoFile2', duration: 1.5, caption: null }
+  ]);
+});
+
+test('parseSlides rejects malformed slide lists', () => {
+  const files = photos('photoFile', 'photoFile2');
+  const invalid = [
+    'not json',
+    '[]',
+    '{"file":"photoFile"}',
+    JSON.stringify(Array(13).fill({ file: 'photoFile' })),
+    '[{"file":"videoFile"}]',
+    '[{"file":"photoFile3"}]',
+    '[{"file":"photoFile","duration":0.5}]',
+    '[{"file":"photoFile","duration":20}]',
+    '[{"file":"photoFile","caption":42}]'
+  ];
+  for (const slides of invalid) {
+    assert.throws(() => parseSlides({ slides }, files), { status: 400, code: 'INVALID_SLIDES' }, slides);
+  }
+});
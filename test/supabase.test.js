@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.HTTP_MAX_ATTEMPTS = '2';
+process.env.HTTP_RETRY_BASE_MS = '1';
+
+// Set once the server is listening; supabase.js reads the URL when it loads
+let server;
+let respond;
+const lookups = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    lookups.push({ url: new URL(req.url, 'http://localhost'), apikey: req.headers.apikey });
+    respond(req, res);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  process.env.SUPABASE_URL = `http://localhost:${server.address().port}`;
+  process.env.SUPABASE_ANON_KEY = 'anon';
+});
+
+after(() => server.close());
+
+const json = (status, body) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+const lookup = id => require('../utils/supabase').getExplainerVideoUrl(id);
+
+test('getExplainerVideoUrl returns the explainer', async () => {
+  respond = json(200, [{ file_url: 'https://cdn/brakes.mp4', name: 'Brakes' }]);
+  assert.deepEqual(await lookup('7'), { file_url: 'https://cdn/brakes.mp4', name: 'Brakes' });
+
+  const { url, apikey } = lookups.at(-1);
+  assert.equal(url.pathname, '/rest/v1/explainer_videos');
+  assert.equal(url.searchParams.get('id'), 'eq.7');
+  assert.equal(apikey, 'anon');
+});
+
+test('getExplainerVideoUrl returns null only when there is no such explainer', async () => {
+  respond = json(200, []);
+  assert.equal(await lookup('8'), null);
+});
+
+test('getExplainerVideoUrl throws when Supabase fails, after retrying', async () => {
+  lookups.length = 0;
+  respond = json(503, { message: 'down' });
+  await assert.rejects(lookup('9'), (error) => {
+    assert.equal(error.status, 502);
+    assert.equal(error.code, 'UPSTREAM_FAILED');
+    assert.deepEqual(error.extra, { service: 'Supabase', attempts: 2, cause: { status: 503 } });
+    return true;
+  });
+  assert.equal(lookups.length, 2);
+
+  respond = (req, res) => req.socket.destroy();
+  await assert.rejects(lookup('9'), { status: 502, code: 'UPSTREAM_FAILED' });
+
+  respond = (req, res) => res.end('<html>');
+  await assert.rejects(lookup('9'), { status: 502, code: 'UPSTREAM_FAILED' });
+});
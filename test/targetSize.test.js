@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTargetSize, planTargetSize } = require('../utils/targetSize');
+const { resolveProfile } = require('../utils/profiles');
+
+const MB = 1024 * 1024;
+
+test('parseTargetSize reads maxSizeMB as bytes', () => {
+  assert.equal(parseTargetSize({}), null);
+  assert.equal(parseTargetSize({ maxSizeMB: '10' }), 10 * MB);
+  assert.equal(parseTargetSize({ maxSizeMB: '1.5' }), Math.floor(1.5 * MB));
+});
+
+test('parseTargetSize rejects sizes out of range', () => {
+  for (const maxSizeMB of ['abc', '0.5', '3000']) {
+    assert.throws(() => parseTargetSize({ maxSizeMB }), { status: 400, code: 'INVALID_TARGET_SIZE' });
+  }
+});
+
+test('planTargetSize keeps the profile size when the budget allows', () => {
+  assert.deepEqual(planTargetSize(resolveProfile('hd720'), 60, 20 * MB), {
+    targetBytes: 20 * MB,
+    videoBitrate: 2584,
+    audioBitrate: 128,
+    width: 1280,
+    height: 720,
+    reducedResolution: false
+  });
+});
+
+test('planTargetSize lowers the audio bitrate before the resolution', () => {
+  const plan = planTargetSize(resolveProfile('hd720'), 60, 9 * MB);
+  assert.equal(plan.audioBitrate, 64);
+  assert.equal(plan.videoBitrate, 1156);
+  assert.equal(plan.reducedResolution, false);
+});
+
+test('planTargetSize scales down, keeping aspect ratio and orientation', () => {
+  const landscape = planTargetSize(resolveProfile('hd720'), 60, 7 * MB);
+  assert.deepEqual([landscape.width, landscape.height, landscape.reducedResolution], [960, 540, true]);
+  assert.equal(landscape.videoBitrate, 821);
+
+  const portrait = planTargetSize(resolveProfile('vertical'), 60, 7 * MB);
+  assert.deepEqual([portrait.width, portrait.height, portrait.reducedResolution], [540, 960, true]);
+});
+
+test('planTargetSize refuses a target too small for the smallest size', () => {
+  assert.throws(() => planTargetSize(resolveProfile('hd720'), 600, MB), {
+    status: 422,
+    code: 'TARGET_SIZE_TOO_SMALL',
+    message: '1.0 MB is too small for 600.0s of video; at least 14 MB is needed'
+  });
+});
@@ -0,0 +1,98 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// merge.js loads the explainer cache from disk; keep it out of the real one
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-test-'));
+process.env.EXPLAINER_CACHE_DIR = cacheDir;
+delete process.env.SUPABASE_URL;
+
+const { parseTimeline, uploadFields, resolveTimeline } = require('../utils/timeline');
+
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+/**
+ * Assert that parsing the given segments fails with 400 INVALID_TIMELINE
+ */
+function assertInvalid(segments, message) {
+  assert.throws(() => parseTimeline({ segments: JSON.stringify(segments) }), (error) => {
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'INVALID_TIMELINE');
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('parseTimeline builds the two-clip shortcut without segments', () => {
+  assert.deepEqual(parseTimeline({}), [{ source: 'upload', field: 'videoFile', role: 'issue' }]);
+  assert.deepEqual(parseTimeline({ explainerVideoId: 'abc' }), [
+    { source: 'upload', field: 'videoFile', role: 'issue' },
+    { source: 'explainer', id: 'abc', role: 'explainer' }
+  ]);
+});
+
+test('parseTimeline fills in default fields and roles', () => {
+  const timeline = parseTimeline({
+    segments: JSON.stringify([
+      { source: 'asset', name: 'preroll.mp4' },
+      { source: 'upload' },
+      { source: 'upload', field: 'videoFile2' },
+      { source: 'explainer', id: 42 },
+      { source: 'asset', name: 'cta.mp4' }
+    ])
+  });
+
+  assert.deepEqual(timeline, [
+    { source: 'asset', name: 'preroll.mp4', role: 'preroll' },
+    { source: 'upload', field: 'videoFile', role: 'issue' },
+    { source: 'upload', field: 'videoFile2', role: 'issue' },
+    { source: 'explainer', id: '42', role: 'explainer' },
+    { source: 'asset', name: 'cta.mp4', role: 'outro' }
+  ]);
+  assert.deepEqual(uploadFields(timeline), ['videoFile', 'videoFile2']);
+});
+
+test('parseTimeline rejects malformed segment lists', () => {
+  assertInvalid([], /non-empty array/);
+  assertInvalid(Array.from({ length: 11 }, () => ({ source: 'upload' })), /at most 10/);
+  assertInvalid([{ source: 'upload' }, { source: 'youtube' }], /source must be one of/);
+  assertInvalid([{ source: 'upload', role: 'intro' }], /role must be one of/);
+  assertInvalid([{ source: 'upload', field: 'pdfFile' }], /field must be videoFile/);
+  assertInvalid([{ source: 'upload' }, { source: 'explainer' }], /id is required/);
+  assertInvalid([{ source: 'upload' }, { source: 'asset', name: '../secrets.mp4' }], /file name in the assets directory/);
+  assert.throws(() => parseTimeline({ segments: '{' }), { code: 'INVALID_TIMELINE', message: /not valid JSON/ });
+});
+
+test('parseTimeline requires an upload segment', () => {
+  assertInvalid([{ source: 'explainer', id: 'abc' }], /at least one upload segment/);
+  assertInvalid([{ source: 'asset', name: 'preroll.mp4' }, { source: 'explainer', id: 'abc' }], /at least one upload segment/);
+});
+
+test('resolveTimeline refuses a timeline left empty by skipped explainers', async () => {
+  // Supabase isn't configured, so every explainer is missing
+  await assert.rejects(
+    resolveTimeline([{ source: 'explainer', id: 'abc', role: 'explainer' }], {}, { skipMissingExplainers: true }),
+    { status: 422, code: 'EMPTY_TIMELINE' }
+  );
+});
+
+test('resolveTimeline skips missing explainers around an upload', async () => {
+  const timeline = parseTimeline({ explainerVideoId: 'abc' });
+  const files = { videoFile: { path: '/tmp/issue.mp4', media: { duration: 3 } } };
+  const { segments, release } = await resolveTimeline(timeline, files, { skipMissingExplainers: true });
+  release();
+
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].path, '/tmp/issue.mp4');
+  assert.equal(segments[0].label, 'issue');
+});
+
+test('resolveTimeline reports a missing upload and a missing explainer', async () => {
+  await assert.rejects(resolveTimeline(parseTimeline({}), {}), { status: 400, code: 'MISSING_SEGMENT_FILE' });
+  await assert.rejects(
+    resolveTimeline(parseTimeline({ explainerVideoId: 'abc' }), { videoFile: { path: '/tmp/issue.mp4' } }),
+    { status: 404, code: 'EXPLAINER_NOT_FOUND' }
+  );
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTrim, resolveKeepRanges, keptDuration, describeTrim } = require('../utils/trim');
+
+/**
+ * Assert that a call fails with 400 INVALID_TRIM
+ */
+function assertInvalid(fn, message) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'INVALID_TRIM');
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('parseTrim returns null when no trim is requested', () => {
+  assert.equal(parseTrim({}), null);
+  assert.equal(parseTrim({ autoTrim: 'false', trimStart: '' }), null);
+});
+
+test('parseTrim reads trimStart, trimEnd, keepRanges and autoTrim', () => {
+  assert.deepEqual(parseTrim({ trimStart: '1.5', trimEnd: '10' }), { start: 1.5, end: 10, ranges: null, auto: false });
+  assert.deepEqual(parseTrim({ autoTrim: 'true' }), { start: null, end: null, ranges: null, auto: true });
+  assert.deepEqual(parseTrim({ keepRanges: '[{"start": 1, "end": 2.5}, {"start": "4", "end": "6"}]' }), {
+    start: null,
+    end: null,
+    ranges: [{ start: 1, end: 2.5 }, { start: 4, end: 6 }],
+    auto: false
+  });
+});
+
+test('parseTrim rejects unusable values', () => {
+  assertInvalid(() => parseTrim({ trimStart: 'soon' }), /trimStart must be a number/);
+  assertInvalid(() => parseTrim({ trimEnd: '-1' }), /trimEnd must be a number/);
+  assertInvalid(() => parseTrim({ trimStart: '5', trimEnd: '5' }), /trimEnd must be after trimStart/);
+  assertInvalid(() => parseTrim({ keepRanges: '[' }), /not valid JSON/);
+  assertInvalid(() => parseTrim({ keepRanges: '[]' }), /non-empty array/);
+  assertInvalid(() => parseTrim({ keepRanges: '[3]' }), /keepRanges\[0\] must be/);
+  assertInvalid(() => parseTrim({ keepRanges: '[{"start": 2, "end": 1}]' }), /end must be after its start/);
+  assertInvalid(() => parseTrim({ keepRanges: JSON.stringify(Array.from({ length: 21 }, (_, i) => ({ start: i, end: i + 1 }))) }),
+    /at most 20/);
+});
+
+test('resolveKeepRanges returns null when the whole video is kept', () => {
+  assert.equal(resolveKeepRanges(parseTrim({ trimStart: '0' }), 10), null);
+  assert.equal(resolveKeepRanges(parseTrim({ autoTrim: 'true' }), 10), null);
+  // A trimEnd a frame past the probed duration still keeps everything
+  assert.equal(resolveKeepRanges(parseTrim({ trimEnd: '10.03' }), 10), null);
+});
+
+test('resolveKeepRanges turns trimStart and trimEnd into one range', () => {
+  assert.deepEqual(resolveKeepRanges(parseTrim({ trimStart: '2', trimEnd: '8' }), 10), [{ start: 2, end: 8 }]);
+  assert.deepEqual(resolveKeepRanges(parseTrim({ trimStart: '2' }), 10), [{ start: 2, end: 10 }]);
+});
+
+test('resolveKeepRanges sorts and combines overlapping keepRanges', () => {
+  const trim = parseTrim({ keepRanges: JSON.stringify([{ start: 6, end: 9 }, { start: 1, end: 3 }, { start: 2, end: 4 }, { start: 9, end: 10 }]) });
+  assert.deepEqual(resolveKeepRanges(trim, 10), [{ start: 1, end: 4 }, { start: 6, end: 10 }]);
+});
+
+test('resolveKeepRanges checks ranges against the video', () => {
+  assertInvalid(() => resolveKeepRanges(parseTrim({ trimStart: '12' }), 10), /trimStart \(12s\) is beyond the end/);
+  assertInvalid(() => resolveKeepRanges(parseTrim({ trimEnd: '11' }), 10), /trimEnd \(11s\) is beyond the end/);
+  assertInvalid(() => resolveKeepRanges(parseTrim({ keepRanges: '[{"start": 8, "end": 12}]' }), 10), /goes beyond the end/);
+  assertInvalid(() => resolveKeepRanges(parseTrim({ trimStart: '2', keepRanges: '[{"start": 1, "end": 3}]' }), 10),
+    /outside trimStart\/trimEnd/);
+  assertInvalid(() => resolveKeepRanges(parseTrim({ trimStart: '9.8' }), 10), /only be 0\.20s long/);
+});
+
+test('keptDuration and describeTrim summarize the kept ranges', () => {
+  const ranges = [{ start: 1, end: 4 }, { start: 6, end: 10 }];
+  assert.equal(keptDuration(ranges), 7);
+  assert.deepEqual(describeTrim(ranges, 12), { keptRanges: ranges, originalDuration: 12, keptDuration: 7, removedDuration: 5 });
+});
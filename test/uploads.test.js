@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { Readable } = require('stream');
+
+process.env.UPLOAD_MAX_SESSIONS = '4';
+process.env.UPLOAD_QUOTA_MB = '1';
+
+const {
+  parseUploadMetadata,
+  createUpload,
+  getUpload,
+  appendChunk,
+  deleteUpload,
+  claimUploads,
+  restoreUploads
+} = require('../utils/uploads');
+
+// The start of an MP4: an ftyp box with the isom brand
+const MP4 = Buffer.from('\0\0\0\x14ftypisom\0\0\x02\0isom', 'latin1');
+
+const created = [];
+
+/**
+ * Start an upload session, deleted once the tests finish
+ */
+function upload(length, owner) {
+  const session = createUpload(length, { filename: 'clip.mp4' }, owner);
+  created.push(session);
+  return session;
+}
+
+after(() => created.forEach(deleteUpload));
+
+test('parseUploadMetadata decodes tus metadata pairs', () => {
+  const header = `filename ${Buffer.from('clip one.mp4').toString('base64')}, filetype ${Buffer.from('video/mp4').toString('base64')},empty`;
+  assert.deepEqual(parseUploadMetadata(header), { filename: 'clip one.mp4', filetype: 'video/mp4', empty: '' });
+  assert.deepEqual(parseUploadMetadata(undefined), {});
+});
+
+test('createUpload checks Upload-Length', () => {
+  assert.throws(() => createUpload(0), { status: 400, code: 'INVALID_UPLOAD_LENGTH' });
+  assert.throws(() => createUpload(1.5), { status: 400, code: 'INVALID_UPLOAD_LENGTH' });
+  assert.throws(() => createUpload(Number.MAX_SAFE_INTEGER), { status: 413, code: 'UPLOAD_TOO_LARGE' });
+});
+
+test('appendChunk writes at the current offset only', async () => {
+  const session = upload(MP4.length, 'shop-1');
+  const [start, rest] = [MP4.subarray(0, 8), MP4.subarray(8)];
+  assert.equal(await appendChunk(session, 0, Readable.from([start])), 8);
+  await assert.rejects(appendChunk(session, 0, Readable.from([start])), { status: 409, code: 'OFFSET_MISMATCH' });
+  await assert.rejects(appendChunk(session, 8, Readable.from([MP4])), { status: 413, code: 'UPLOAD_TOO_LARGE' });
+  assert.equal(await appendChunk(session, 8, Readable.from([rest])), MP4.length);
+  assert.deepEqual(fs.readFileSync(session.path), MP4);
+  assert.equal(session.format, 'mp4');
+});
+
+test('appendChunk rejects and deletes uploads that are not video once their first bytes are in', async () => {
+  const session = upload(64, 'shop-1');
+  assert.equal(await appendChunk(session, 0, Readable.from([Buffer.from('%PDF-')])), 5);
+  await assert.rejects(appendChunk(session, 5, Readable.from([Buffer.from('1.7 trailing bytes')])),
+    { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: /\(got pdf\)/ });
+  assert.equal(getUpload(session.id), null);
+  assert.equal(fs.existsSync(session.path), false);
+});
+
+test('claimUploads hands over complete uploads of the same key only', async () => {
+  const session = upload(MP4.length, 'shop-1');
+  await appendChunk(session, 0, Readable.from([MP4]));
+  const partial = upload(3, 'shop-1');
+
+  assert.throws(() => claimUploads({ videoFile: session.id }, 'shop-2'), { status: 403, code: 'UPLOAD_FORBIDDEN' });
+  assert.throws(() => claimUploads({ videoFile: session.id }, null), { status: 403, code: 'UPLOAD_FORBIDDEN' });
+  assert.throws(() => claimUploads({ videoFile: partial.id }, 'shop-1'), { status: 409, code: 'UPLOAD_INCOMPLETE' });
+  assert.throws(() => claimUploads({ videoFile: 'missing' }, 'shop-1'), { status: 404, code: 'UPLOAD_NOT_FOUND' });
+
+  const files = claimUploads({ videoFile: session.id }, 'shop-1');
+  assert.equal(files.videoFile.path, session.path);
+  assert.equal(files.videoFile.filename, 'clip.mp4');
+  assert.equal(files.videoFile.format, 'mp4');
+  assert.equal(getUpload(session.id), null);
+
+  restoreUploads(files);
+  assert.equal(getUpload(session.id), session);
+});
+
+test('createUpload limits the sessions and bytes each key has open', () => {
+  const mb = 1024 * 1024;
+  const half = upload(mb / 2, 'shop-3');
+  assert.throws(() => createUpload(mb / 2 + 1, {}, 'shop-3'), { status: 413, code: 'UPLOAD_QUOTA_EXCEEDED' });
+  upload(mb / 2, 'shop-4'); // Other keys have their own quota
+
+  deleteUpload(half);
+  for (let i = 0; i < 4; i++) upload(1, 'shop-3');
+  assert.throws(() => createUpload(1, {}, 'shop-3'), { status: 429, code: 'TOO_MANY_UPLOADS' });
+});
@@ -0,0 +1,280 @@
+/**
+ * API Authentication
+ * Every /api request (except /api/health) must identify itself with an API
+ * key, and may only touch the shops that key is scoped to.
+ *
+ * Keys are read from a JSON file keyed by key ID (API_KEYS_FILE), re-read
+ * when it changes so keys can be rotated without a restart, or from the same
+ * JSON in API_KEYS:
+ * {
+ *   "shop-12-tablet": { "secret": "...", "shops": ["12"] },
+ *   "ops": { "secret": "...", "shops": "*", "admin": true }
+ * }
+ *
+ * A request authenticates either way:
+ * - API key: `Authorization: Bearer <secret>` or `X-API-Key: <secret>`
+ * - Signed request: `X-API-Key-Id: <key ID>`, `X-Timestamp: <unix seconds>`,
+ *   `X-Nonce: <16-128 random letters, digits, - or _>` and
+ *   `X-Signature: <hex HMAC-SHA256 of the string to sign, with the secret>`, where the string
+ *   to sign is `<timestamp>\n<nonce>\n<METHOD>\n<path and query>\n<hex SHA-256 of the body>`.
+ *   Only requests without a body or with a JSON body (hashed as sent) can be signed;
+ *   multipart and upload bodies aren't read before authenticating, so they need the API key.
+ *   Timestamps more than HMAC_MAX_SKEW_SECONDS (default 300) away are refused, and so is a
+ *   nonce the key already used within that window (remembered per process, so replicas
+ *   behind a load balancer each keep their own).
+ *
+ * Failures respond 401 AUTH_REQUIRED, INVALID_API_KEY or INVALID_SIGNATURE, and
+ * 403 SHOP_FORBIDDEN, JOB_FORBIDDEN or ADMIN_REQUIRED. API_AUTH_DISABLED=true turns all of this
+ * off, for local development only.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { HttpError } = require('./errors');
+
+const KEYS_FILE = process.env.API_KEYS_FILE || null;
+const AUTH_DISABLED = process.env.API_AUTH_DISABLED === 'true';
+const MAX_SKEW_MS = (parseInt(process.env.HMAC_MAX_SKEW_SECONDS) || 300) * 1000;
+
+// Paths under /api that need no key (load balancer and orchestrator probes)
+const PUBLIC_PATHS = ['/health'];
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Parsed keys and the mtime of the file they were read from
+let loaded = { mtimeMs: null, keys: {} };
+
+// Nonces of accepted signed requests: "keyId:nonce" -> when its timestamp stops being accepted (ms)
+const seenNonces = new Map();
+const NONCE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a key list, skipping malformed entries
+ * @returns {Object} - keyId -> { id, secret, shops: string[]|'*', admin }
+ */
+function parseKeys(raw, source) {
+  const keys = {};
+  for (const [id, key] of Object.entries(raw || {})) {
+    const shops = key?.shops === '*' ? '*' : Array.isArray(key?.shops) ? key.shops.map(String) : null;
+    if (typeof key?.secret !== 'string' || key.secret.length < 16 || !shops) {
+      console.error(`[auth] Ignoring key ${id} in ${source}: needs a secret of at least 16 characters and shops (a list or "*")`);
+      continue;
+    }
+    keys[id] = { id, secret: key.secret, shops, admin: key.admin === true };
+  }
+  return keys;
+}
+
+/**
+ * Current API keys: from API_KEYS_FILE if set (re-read when it changes), else API_KEYS
+ * @returns {Object} - keyId -> key
+ */
+function loadKeys() {
+  if (!KEYS_FILE) {
+    if (loaded.mtimeMs === null && process.env.API_KEYS) {
+      try {
+        loaded = { mtimeMs: 0, keys: parseKeys(JSON.parse(process.env.API_KEYS), 'API_KEYS') };
+      } catch (e) {
+        console.error('[auth] Ignoring unreadable API_KEYS:', e.message);
+        loaded = { mtimeMs: 0, keys: {} };
+      }
+    }
+    return loaded.keys;
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(KEYS_FILE);
+  } catch (e) {
+    loaded = { mtimeMs: null, keys: {} };
+    return loaded.keys;
+  }
+
+  if (stat.mtimeMs !== loaded.mtimeMs) {
+    try {
+      loaded = { mtimeMs: stat.mtimeMs, keys: parseKeys(JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8')), KEYS_FILE) };
+      console.log(`[auth] Loaded ${Object.keys(loaded.keys).length} API keys from ${KEYS_FILE}`);
+    } catch (e) {
+      // Keep the last good keys rather than locking every client out
+      console.error(`[auth] Ignoring unreadable ${KEYS_FILE}:`, e.message);
+      loaded.mtimeMs = stat.mtimeMs;
+    }
+  }
+
+  return loaded.keys;
+}
+
+/**
+ * Compare secrets in constant time
+ */
+function secretsMatch(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Throw a 401 with the given code
+ */
+function unauthenticated(code, message) {
+  throw new HttpError(401, code, message);
+}
+
+/**
+ * Find the key a request was made with
+ * @param {Object} req - Express request (req.rawBody holds a JSON body as received)
+ * @returns {Object} - The key
+ * @throws {HttpError} - 401 if the request carries no valid credentials
+ */
+function identify(req) {
+  const keys = Object.values(loadKeys());
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+  const secret = bearer || req.get('x-api-key');
+
+  if (secret) {
+    const key = keys.find(candidate => secretsMatch(candidate.secret, secret.trim()));
+    if (!key) unauthenticated('INVALID_API_KEY', 'The API key is not recognized');
+    return key;
+  }
+
+  const keyId = req.get('x-api-key-id');
+  if (!keyId) {
+    unauthenticated('AUTH_REQUIRED', 'Send an API key (Authorization: Bearer or X-API-Key) or a signed request (X-API-Key-Id, X-Timestamp, X-Signature)');
+  }
+
+  const key = keys.find(candidate => candidate.id === keyId);
+  if (!key) unauthenticated('INVALID_API_KEY', `No API key with ID ${keyId}`);
+
+  // A body the signature can't cover could be swapped for any other
+  const hasBody = Number(req.get('content-length')) > 0 || req.get('transfer-encoding') !== undefined;
+  if (hasBody && req.rawBody === undefined) {
+    unauthenticated('INVALID_SIGNATURE', 'Only JSON bodies can be signed; send multipart and upload requests with the API key');
+  }
+
+  const timestamp = req.get('x-timestamp') || '';
+  const nonce = req.get('x-nonce') || '';
+  const signature = req.get('x-signature') || '';
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() - Number(timestamp) * 1000) > MAX_SKEW_MS) {
+    unauthenticated('INVALID_SIGNATURE', `X-Timestamp must be the current time in unix seconds (within ${MAX_SKEW_MS / 1000}s)`);
+  }
+  if (!NONCE_PATTERN.test(nonce)) {
+    unauthenticated('INVALID_SIGNATURE', 'X-Nonce must be 16 to 128 random letters, digits, - or _');
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const expected = crypto.createHmac('sha256', key.secret)
+    .update(`${timestamp}\n${nonce}\n${req.method}\n${req.originalUrl}\n${bodyHash}`)
+    .digest('hex');
+  if (!/^[0-9a-f]{64}$/i.test(signature) || !crypto.timingSafeEqual(Buffer.from(signature.toLowerCase(), 'hex'), Buffer.from(expected, 'hex'))) {
+    unauthenticated('INVALID_SIGNATURE', 'X-Signature does not match the request');
+  }
+
+  const nonceKey = `${key.id}:${nonce}`;
+  if (seenNonces.has(nonceKey)) {
+    unauthenticated('INVALID_SIGNATURE', 'X-Nonce was already used; sign each request with a new one');
+  }
+  seenNonces.set(nonceKey, Number(timestamp) * 1000 + MAX_SKEW_MS);
+  return key;
+}
+
+/**
+ * Forget nonces whose timestamps are too old to be accepted anyway
+ */
+function sweepNonces() {
+  const now = Date.now();
+  for (const [nonceKey, expiresAt] of seenNonces) {
+    if (expiresAt < now) seenNonces.delete(nonceKey);
+  }
+}
+
+setInterval(sweepNonces, NONCE_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Check that the request's key may act for a shop
+ * @param {Object} req - Express request, after authenticate()
+ * @param {string} shopId - TekMetric shop ID the request acts on
+ * @throws {HttpError} - 403 SHOP_FORBIDDEN
+ */
+function authorizeShop(req, shopId) {
+  const key = req.apiKey;
+  if (!key || key.shops === '*' || shopId === undefined || shopId === null || shopId === '') return;
+
+  if (!key.shops.includes(String(shopId))) {
+    throw new HttpError(403, 'SHOP_FORBIDDEN', `API key ${key.id} may not act for shop ${shopId}`, { shopId: String(shopId) });
+  }
+}
+
+/**
+ * Check that the request's key may see a job: the key that created it always
+ * may; any other key only once the job's shop is known, and only if scoped to it
+ * @param {Object} req - Express request, after authenticate()
+ * @param {Object} job - Job from utils/jobs
+ * @throws {HttpError} - 403 JOB_FORBIDDEN or SHOP_FORBIDDEN
+ */
+function authorizeJob(req, job) {
+  const key = req.apiKey;
+  if (!key || job.owner === key.id) return;
+
+  if (!job.meta.shopId) {
+    throw new HttpError(403, 'JOB_FORBIDDEN', `API key ${key.id} may not see job ${job.id} before its shop is known`);
+  }
+  authorizeShop(req, job.meta.shopId);
+}
+
+/**
+ * Send an auth failure
+ */
+function reject(res, error) {
+  if (error.status === 401) res.set('WWW-Authenticate', 'Bearer realm="video-processor"');
+  return res.status(error.status).json(error.toJSON());
+}
+
+/**
+ * Express middleware: authenticate the request and check any shopId in its
+ * query or JSON body. Sets req.apiKey. Multipart routes check their shopId
+ * field once it is parsed.
+ */
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED || PUBLIC_PATHS.includes(req.path)) return next();
+
+  try {
+    req.apiKey = identify(req);
+    authorizeShop(req, req.query.shopId);
+    authorizeShop(req, req.body?.shopId);
+  } catch (error) {
+    if (error instanceof HttpError) return reject(res, error);
+    return next(error);
+  }
+  return next();
+}
+
+/**
+ * Express middleware: only keys with "admin": true may continue
+ */
+function requireAdmin(req, res, next) {
+  if (AUTH_DISABLED || req.apiKey?.admin) return next();
+  return reject(res, new HttpError(403, 'ADMIN_REQUIRED', `API key ${req.apiKey?.id} may not use admin endpoints`));
+}
+
+/**
+ * Log how requests will be authenticated, so a deployment without keys is obvious
+ */
+function logAuthConfig() {
+  if (AUTH_DISABLED) {
+    console.warn('[auth] API_AUTH_DISABLED=true: /api requests are NOT authenticated');
+    return;
+  }
+  const count = Object.keys(loadKeys()).length;
+  if (count === 0) {
+    console.warn('[auth] No API keys configured (API_KEYS_FILE or API_KEYS): every /api request will be refused');
+  } else {
+    console.log(`[auth] ${count} API key(s) configured`);
+  }
+}
+
+module.exports = {
+  authenticate,
+  authorizeShop,
+  authorizeJob,
+  requireAdmin,
+  logAuthConfig
+};
@@ -1,12 +1,20 @@
-const https = require('https');
-const http = require('http');
-const { URL } = require('url');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { request } = require('./httpClient');
+const { HttpError, UpstreamError } = require('./errors');
 
-// In-memory cache for JWT tokens
-const tokenCache = new Map();
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes cache TTL
 const TOKEN_EXPIRY_BUFFER_MS = 5 * 60 * 1000; // 5 minute buffer before actual expiry
 
+// Shops the Auth Hub has no token for: shopId -> { error, expiresAt }
+const missingTokens = new Map();
+const NEGATIVE_CACHE_TTL_MS = (parseInt(process.env.AUTH_HUB_NEGATIVE_TTL_SECONDS) || 60) * 1000;
+
+// Auth Hub requests in progress: shopId -> Promise<string>
+const inFlight = new Map();
+
 /**
  * Checks if a cached token is still valid based on actual Tekmetric expiry.
  * Returns false if token is expired or will expire within the buffer window.
@@ -31,13 +39,233 @@ function isTokenValid(cached) {
   return true;
 }
 
+/**
+ * In-memory token store (the default). Tokens are lost on restart and not
+ * shared between replicas.
+ *
+ * Stores hold cache entries ({ token, cacheExpiresAt, tokenExpiresAt }) by
+ * shopId and implement get(shopId), set(shopId, entry), delete(shopId),
+ * clear() and entries() -> [shopId, entry][]. Entries are returned as stored;
+ * getJWTToken() checks them with isTokenValid().
+ * @returns {Object} - Token store
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    get: shopId => entries.get(shopId),
+    set: (shopId, entry) => { entries.set(shopId, entry); },
+    delete: (shopId) => { entries.delete(shopId); },
+    clear: () => { entries.clear(); },
+    entries: () => [...entries.entries()]
+  };
+}
+
+/**
+ * File-backed token store, encrypted at rest with AES-256-GCM. Survives
+ * restarts, and replicas sharing the file (e.g., on a shared volume) pick up
+ * each other's tokens: the file is re-read whenever it changed on disk.
+ * Expired entries are dropped when the file is written.
+ *
+ * @param {string} filePath - Where to keep the encrypted cache
+ * @param {string} secret - Encryption key (any string; hashed to a 256-bit key)
+ * @returns {Object} - Token store (see createMemoryStore())
+ */
+function createFileStore(filePath, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  let entries = new Map();
+  let loadedMtime = null;
+
+  // Re-read the file if another process (or a restart) changed it
+  function load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      entries = new Map();
+      loadedMtime = null;
+      return;
+    }
+    if (mtime === loadedMtime) return;
+
+    try {
+      const { iv, tag, data } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      entries = new Map(Object.entries(JSON.parse(plain.toString('utf8'))));
+    } catch (error) {
+      console.warn(`[auth-hub] Could not read token cache ${filePath} (wrong TOKEN_CACHE_KEY?), starting empty: ${error.message}`);
+      entries = new Map();
+    }
+    loadedMtime = mtime;
+  }
+
+  // Write atomically so a reader never sees half a file. A failed write only
+  // costs an Auth Hub request later, so it is logged rather than thrown.
+  function save() {
+    for (const [shopId, entry] of entries) {
+      if (!isTokenValid(entry)) entries.delete(shopId);
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(Object.fromEntries(entries)), 'utf8'), cipher.final()]);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }), { mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+      loadedMtime = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      console.warn(`[auth-hub] Could not write token cache ${filePath}: ${error.message}`);
+      fs.unlink(tempPath, () => {});
+    }
+  }
+
+  return {
+    name: 'file',
+    get: (shopId) => { load(); return entries.get(shopId); },
+    set: (shopId, entry) => { load(); entries.set(shopId, entry); save(); },
+    delete: (shopId) => { load(); if (entries.delete(shopId)) save(); },
+    clear: () => { entries = new Map(); save(); },
+    entries: () => { load(); return [...entries.entries()]; }
+  };
+}
+
+/**
+ * Create the token store chosen by TOKEN_CACHE_STORE: memory (default) or
+ * file (TOKEN_CACHE_FILE, encrypted with TOKEN_CACHE_KEY)
+ * @returns {Object} - Token store
+ * @throws {Error} - If the store is unknown, or file is chosen without a key
+ */
+function createStoreFromEnv() {
+  const kind = process.env.TOKEN_CACHE_STORE || 'memory';
+
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'file') {
+    if (!process.env.TOKEN_CACHE_KEY) {
+      throw new Error('TOKEN_CACHE_KEY environment variable is required when TOKEN_CACHE_STORE=file');
+    }
+    const filePath = process.env.TOKEN_CACHE_FILE || path.join(os.tmpdir(), 'auth-hub-tokens.enc');
+    return createFileStore(filePath, process.env.TOKEN_CACHE_KEY);
+  }
+  throw new Error(`TOKEN_CACHE_STORE must be memory or file (got ${kind})`);
+}
+
+// Cache for JWT tokens, by shopId
+let tokenCache = createStoreFromEnv();
+
+/**
+ * Use another token store, e.g. one backed by a shared database
+ * @param {Object} store - Implements the interface described at createMemoryStore()
+ */
+function setTokenStore(store) {
+  tokenCache = store;
+}
+
+/**
+ * Describe the cached tokens, for the admin endpoint. Never includes the tokens.
+ * @returns {Object} - { store, shops: [{ shopId, valid, cacheExpiresAt, tokenExpiresAt }],
+ *   noToken: [{ shopId, retryAt, reason }] }
+ */
+function getTokenCacheStats() {
+  const now = Date.now();
+  return {
+    store: tokenCache.name || 'custom',
+    shops: tokenCache.entries().map(([shopId, entry]) => ({
+      shopId,
+      valid: isTokenValid(entry),
+      cacheExpiresAt: new Date(entry.cacheExpiresAt).toISOString(),
+      tokenExpiresAt: entry.tokenExpiresAt || null
+    })),
+    noToken: [...missingTokens.entries()]
+      .filter(([, missing]) => missing.expiresAt > now)
+      .map(([shopId, missing]) => ({ shopId, retryAt: new Date(missing.expiresAt).toISOString(), reason: missing.error.message }))
+  };
+}
+
+/**
+ * Whether an Auth Hub failure will keep happening for this shop until someone
+ * fixes its setup (no token, rejected shop), as opposed to an outage worth
+ * asking again about straight away
+ * @param {Error} error - Error from fetchToken()
+ * @returns {boolean}
+ */
+function isShopFailure(error) {
+  if (error.code === 'NO_TOKEN') return true;
+  const status = error instanceof UpstreamError ? error.extra.cause.status : null;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * Request a token from the Auth Hub and cache it
+ * @param {string} shopId - The shop ID to get a token for
+ * @returns {Promise<string>} - The JWT token
+ */
+async function fetchToken(shopId) {
+  const authHubUrl = process.env.AUTH_HUB_URL || 'https://wiorzvaptjwasczzahxm.supabase.co/functions/v1';
+  const appKey = process.env.AUTH_HUB_APP_KEY;
+
+  if (!appKey) {
+    throw new Error('AUTH_HUB_APP_KEY environment variable is not set');
+  }
+
+  const url = `${authHubUrl}/token/${encodeURIComponent(shopId)}`;
+
+  const response = await request(url, {
+    service: 'Auth Hub',
+    headers: {
+      'x-app-key': appKey,
+      'Accept': 'application/json'
+    }
+  });
+
+  if (response.status === 404) {
+    throw new HttpError(502, 'NO_TOKEN', `Auth Hub has no token for shop ${shopId}`, { shopId });
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new UpstreamError('Auth Hub', `Auth Hub request failed with status ${response.status}: ${response.body}`, response);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(response.body);
+  } catch (parseError) {
+    throw new Error(`Failed to parse Auth Hub response: ${parseError.message}`);
+  }
+
+  if (!data.jwt_token) {
+    throw new HttpError(502, 'NO_TOKEN', `jwt_token not found in Auth Hub response for shop ${shopId}`, { shopId });
+  }
+
+  // Cache the token with both cache TTL and actual token expiry
+  tokenCache.set(shopId, {
+    token: data.jwt_token,
+    cacheExpiresAt: Date.now() + CACHE_TTL_MS,
+    tokenExpiresAt: data.token_expires_at || null // Actual Tekmetric token expiry
+  });
+
+  return data.jwt_token;
+}
+
 /**
  * Fetches a JWT token from the Auth Hub for a given shop ID.
- * Implements in-memory caching with 5-minute TTL and checks actual token expiry.
+ * Caches tokens in the token store (see createStoreFromEnv()) with 5-minute TTL and checks actual token expiry.
+ * Concurrent calls for a shop share one Auth Hub request, and a shop the Auth
+ * Hub has no token for fails without asking again for AUTH_HUB_NEGATIVE_TTL_SECONDS
+ * (default 60).
  *
  * @param {string} shopId - The shop ID to get a token for
  * @returns {Promise<string>} - The JWT token
- * @throws {Error} - If the request fails or token is not returned
+ * @throws {HttpError} - 502 NO_TOKEN if the Auth Hub has no token for the shop (401 is kept for
+ *   callers of this API failing authentication, see apiAuth)
+ * @throws {UpstreamError} - If the Auth Hub can't be reached or responds with an error (after retries)
  */
 async function getJWTToken(shopId) {
   if (!shopId) {
@@ -55,91 +283,65 @@ async function getJWTToken(shopId) {
     tokenCache.delete(shopId);
   }
 
-  const authHubUrl = process.env.AUTH_HUB_URL || 'https://wiorzvaptjwasczzahxm.supabase.co/functions/v1';
-  const appKey = process.env.AUTH_HUB_APP_KEY;
-
-  if (!appKey) {
-    throw new Error('AUTH_HUB_APP_KEY environment variable is not set');
+  const missing = missingTokens.get(shopId);
+  if (missing && Date.now() < missing.expiresAt) {
+    throw missing.error;
   }
+  missingTokens.delete(shopId);
 
-  const url = `${authHubUrl}/token/${encodeURIComponent(shopId)}`;
-
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-
-    const options = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'GET',
-      headers: {
-        'x-app-key': appKey,
-        'Accept': 'application/json'
-      }
-    };
-
-    const req = protocol.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          if (res.statusCode < 200 || res.statusCode >= 300) {
-            reject(new Error(`Auth Hub request failed with status ${res.statusCode}: ${data}`));
-            return;
-          }
-
-          const response = JSON.parse(data);
-
-          if (!response.jwt_token) {
-            reject(new Error('jwt_token not found in Auth Hub response'));
-            return;
-          }
-
-          // Cache the token with both cache TTL and actual token expiry
-          tokenCache.set(shopId, {
-            token: response.jwt_token,
-            cacheExpiresAt: Date.now() + CACHE_TTL_MS,
-            tokenExpiresAt: response.token_expires_at || null // Actual Tekmetric token expiry
-          });
-
-          resolve(response.jwt_token);
-        } catch (parseError) {
-          reject(new Error(`Failed to parse Auth Hub response: ${parseError.message}`));
+  if (!inFlight.has(shopId)) {
+    const pending = fetchToken(shopId)
+      .catch((error) => {
+        if (isShopFailure(error)) {
+          console.warn(`[auth-hub] No token for shop ${shopId}, not asking again for ${NEGATIVE_CACHE_TTL_MS / 1000}s: ${error.message}`);
+          missingTokens.set(shopId, { error, expiresAt: Date.now() + NEGATIVE_CACHE_TTL_MS });
         }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(new Error(`Auth Hub request failed: ${error.message}`));
-    });
+        throw error;
+      })
+      .finally(() => inFlight.delete(shopId));
+    inFlight.set(shopId, pending);
+  }
 
-    req.setTimeout(30000, () => {
-      req.destroy();
-      reject(new Error('Auth Hub request timed out'));
-    });
+  return inFlight.get(shopId);
+}
 
-    req.end();
-  });
+/**
+ * Replace a token TekMetric rejected (401/403). If another request already
+ * replaced it, that token is used instead of asking the Auth Hub again.
+ *
+ * @param {string} shopId - The shop ID the token belongs to
+ * @param {string} rejectedToken - The token TekMetric rejected
+ * @returns {Promise<string>} - A fresh JWT token
+ */
+async function refreshJWTToken(shopId, rejectedToken) {
+  const cached = tokenCache.get(shopId);
+  if (!cached || cached.token === rejectedToken) {
+    clearCache(shopId);
+  }
+  return getJWTToken(shopId);
 }
 
 /**
  * Clears the token cache. Useful for testing or forcing token refresh.
+ * Also forgets that the Auth Hub had no token for the shop(s).
  * @param {string} [shopId] - Optional shop ID to clear. If not provided, clears all cached tokens.
  */
 function clearCache(shopId) {
   if (shopId) {
     tokenCache.delete(shopId);
+    missingTokens.delete(shopId);
   } else {
     tokenCache.clear();
+    missingTokens.clear();
   }
 }
 
 module.exports = {
   getJWTToken,
-  clearCache
+  refreshJWTToken,
+  clearCache,
+  getTokenCacheStats,
+  setTokenStore,
+  createMemoryStore,
+  createFileStore
 };
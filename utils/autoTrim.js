@@ -0,0 +1,151 @@
+/**
+ * Automatic Dead-Air Trimming
+ * Finds silent, black or frozen stretches at the start and end of the issue
+ * video (the tech fumbling for the phone, the camera pointed at the floor)
+ * with FFmpeg's silencedetect, blackdetect and freezedetect filters, and works
+ * out where the recording really starts and ends. Opt-in with autoTrim=true.
+ *
+ * Tunable from the environment:
+ * - AUTO_TRIM_MAX_FRACTION: Most of the clip auto-trim may remove (default 0.4). If the
+ *   dead air is longer, nothing is cut - the clip is more likely just quiet or dark.
+ * - AUTO_TRIM_PADDING: Seconds kept before and after the detected content (default 0.25)
+ * - AUTO_TRIM_SILENCE_DB: Volume below which audio counts as silence (default -40)
+ */
+
+const { runFFmpeg } = require('./ffmpeg');
+
+const MAX_FRACTION = parseFloat(process.env.AUTO_TRIM_MAX_FRACTION) || 0.4;
+const PADDING_SECONDS = parseFloat(process.env.AUTO_TRIM_PADDING) || 0.25;
+const SILENCE_DB = parseFloat(process.env.AUTO_TRIM_SILENCE_DB) || -40;
+
+const MIN_DEAD_SECONDS = 0.5; // Shorter pauses are part of the recording
+const GAP_SECONDS = 0.1; // Stretches this close together count as one
+
+/**
+ * Round seconds for logs and responses
+ */
+function round(seconds) {
+  return Number(seconds.toFixed(3));
+}
+
+/**
+ * Collect detected stretches from FFmpeg's log. A stretch still open at the
+ * end of the file has no end line and runs to the end.
+ *
+ * @param {string} log - FFmpeg stderr
+ * @param {number} duration - Video duration in seconds
+ * @returns {Object[]} - { type: 'silence'|'black'|'freeze', start, end }
+ */
+function parseDetections(log, duration) {
+  const detections = [];
+
+  for (const match of log.matchAll(/black_start:([\d.]+) black_end:([\d.]+)/g)) {
+    detections.push({ type: 'black', start: parseFloat(match[1]), end: parseFloat(match[2]) });
+  }
+
+  // silencedetect and freezedetect log starts and ends on separate lines
+  const pairs = { silence: /silence_(start|end): (-?[\d.e-]+)/g, freeze: /freezedetect\.freeze_(start|end): ([\d.]+)/g };
+  for (const [type, pattern] of Object.entries(pairs)) {
+    let start = null;
+    for (const match of log.matchAll(pattern)) {
+      if (match[1] === 'start') {
+        start = Math.max(0, parseFloat(match[2]));
+      } else if (start !== null) {
+        detections.push({ type, start, end: parseFloat(match[2]) });
+        start = null;
+      }
+    }
+    if (start !== null) detections.push({ type, start, end: duration });
+  }
+
+  return detections.map(d => ({ type: d.type, start: round(d.start), end: round(Math.min(d.end, duration)) }));
+}
+
+/**
+ * Run the detection filters over a video in one decoding pass
+ *
+ * @param {string} filePath - Local video file
+ * @param {Object} media - Its probeMedia() result
+ * @returns {Promise<Object[]>} - Detected stretches, from parseDetections()
+ */
+async function detectDeadAir(filePath, media) {
+  const args = [
+    '-hide_banner', '-i', filePath,
+    // Detection doesn't need full resolution
+    '-map', '0:v:0', '-vf', `scale=320:-2,blackdetect=d=${MIN_DEAD_SECONDS}:pix_th=0.10,freezedetect=n=-60dB:d=${MIN_DEAD_SECONDS}`
+  ];
+  if (media.hasAudio) {
+    args.push('-map', '0:a:0', '-af', `silencedetect=n=${SILENCE_DB}dB:d=${MIN_DEAD_SECONDS}`);
+  }
+  args.push('-f', 'null', '-');
+
+  // Detections are spread through the whole log, not just its tail
+  const log = await runFFmpeg(args, { duration: media.duration, fullLog: true });
+  return parseDetections(log, media.duration);
+}
+
+/**
+ * Follow back-to-back dead stretches inward from one edge of the window
+ * @returns {{ to: number, reasons: string[] }} - How far the dead air reaches, and what kinds it was
+ */
+function deadAirFrom(detections, from, direction) {
+  let to = from;
+
+  // Each extension can bring a new stretch within reach, so repeat until nothing changes
+  let extended = true;
+  while (extended) {
+    extended = false;
+    for (const d of detections) {
+      const reaches = direction > 0
+        ? d.start <= to + GAP_SECONDS && d.end > to
+        : d.end >= to - GAP_SECONDS && d.start < to;
+      if (reaches) {
+        to = direction > 0 ? d.end : d.start;
+        extended = true;
+      }
+    }
+  }
+
+  // Everything overlapping the dead air explains it, e.g. black and silent at once
+  const [low, high] = direction > 0 ? [from, to] : [to, from];
+  const reasons = new Set(detections.filter(d => d.start < high && d.end > low).map(d => d.type));
+  return { to, reasons: [...reasons] };
+}
+
+/**
+ * Decide how much of a clip's start and end to cut
+ *
+ * @param {Object[]} detections - Result of detectDeadAir()
+ * @param {Object} window - { start, end } part of the clip still in play (after manual trims)
+ * @returns {Object} - { start, end, removed, removedDuration, skipped }: the new window, the cut
+ *   sections { edge, start, end, reasons }, and why nothing was cut if the safeguard kicked in
+ */
+function planAutoTrim(detections, window) {
+  const lead = deadAirFrom(detections, window.start, 1);
+  const trail = deadAirFrom(detections, window.end, -1);
+
+  // Keep a little of the dead air so the cut doesn't clip the first or last word
+  const start = Math.max(window.start, lead.to - PADDING_SECONDS);
+  const end = Math.min(window.end, trail.to + PADDING_SECONDS);
+
+  const removed = [];
+  if (start > window.start) removed.push({ edge: 'start', start: round(window.start), end: round(start), reasons: lead.reasons });
+  if (end < window.end) removed.push({ edge: 'end', start: round(end), end: round(window.end), reasons: trail.reasons });
+  const removedDuration = round(removed.reduce((sum, section) => sum + (section.end - section.start), 0));
+
+  const length = window.end - window.start;
+  const skip = (skipped) => ({ ...window, removed: [], removedDuration: 0, skipped });
+
+  if (end <= start) return skip('The whole clip looks like dead air');
+  if (removedDuration > length * MAX_FRACTION) {
+    return skip(`Detected ${removedDuration}s of dead air in ${round(length)}s, more than the ${Math.round(MAX_FRACTION * 100)}% auto-trim limit`);
+  }
+
+  return { start, end, removed, removedDuration, skipped: null };
+}
+
+module.exports = {
+  parseDetections,
+  detectDeadAir,
+  planAutoTrim
+};
@@ -0,0 +1,229 @@
+/**
+ * Encode Queue
+ * Caps how many FFmpeg processes run at once (FFMPEG_MAX_CONCURRENT, default 2),
+ * so a burst of uploads queues instead of running dozens of libx264 encodes and
+ * running the container out of memory.
+ *
+ * Waiting encodes are queued per shop and started round-robin, so one shop
+ * uploading a whole inspection doesn't hold up every other shop.
+ *
+ * Encoding routes reserve a place when the request arrives (admitEncode), before
+ * the upload is read, and keep it until the request's work is done, including
+ * background work after a 202 (holdEncodeReservation()). At most
+ * FFMPEG_MAX_CONCURRENT + FFMPEG_MAX_QUEUE (default 20) places are handed out;
+ * beyond that requests are refused with 503 ENCODER_BUSY and a Retry-After
+ * estimate. Encodes of a request holding a place always queue, so a request
+ * that was accepted never fails for lack of an encoder.
+ *
+ * The shop is taken from the request context (see trackEncodeRequest()), so
+ * code between the route and runFFmpeg doesn't need to pass it along.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { HttpError } = require('./errors');
+
+const MAX_CONCURRENT = parseInt(process.env.FFMPEG_MAX_CONCURRENT) || 2;
+const MAX_QUEUE = parseInt(process.env.FFMPEG_MAX_QUEUE) || 20;
+const DEFAULT_ENCODE_SECONDS = 30; // Retry-After estimate until encodes have been timed
+const MAX_RETRY_AFTER_SECONDS = 600;
+const UNKNOWN_SHOP = '-';
+
+// { shopId, reservation } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+let active = 0;
+let queued = 0;
+let reserved = 0; // Places held by admitted requests (see admitEncodes())
+// shopId -> waiting encodes (FIFO), and the round-robin order of shops with waiters
+const queues = new Map();
+const shopOrder = [];
+
+const stats = {
+  started: 0,
+  rejected: 0,
+  averageSeconds: null // Moving average of encode durations
+};
+
+/**
+ * Express middleware: run the rest of the request in a context that records
+ * its shop, taken from the query or JSON body (multipart routes add it with
+ * setEncodeShop() once the field is parsed)
+ */
+function trackEncodeRequest(req, res, next) {
+  const shopId = req.query.shopId || req.body?.shopId || null;
+  requestContext.run({ shopId: shopId ? String(shopId) : null, reservation: null }, next);
+}
+
+/**
+ * Record the shop the current request's encodes are for
+ * @param {string} shopId - TekMetric shop ID
+ */
+function setEncodeShop(shopId) {
+  const context = requestContext.getStore();
+  if (context && shopId) context.shopId = String(shopId);
+}
+
+/**
+ * Seconds a refused client should wait: the requests ahead of it, spread over the encoders
+ */
+function retryAfterSeconds() {
+  const perEncode = stats.averageSeconds || DEFAULT_ENCODE_SECONDS;
+  const waiting = Math.max(queued, reserved - MAX_CONCURRENT);
+  const estimate = Math.ceil(perEncode * (waiting + 1) / MAX_CONCURRENT);
+  return Math.min(MAX_RETRY_AFTER_SECONDS, Math.max(1, estimate));
+}
+
+/**
+ * The error for a full queue
+ */
+function busyError() {
+  return new HttpError(503, 'ENCODER_BUSY',
+    `All ${MAX_CONCURRENT} encoders are busy and ${reserved} requests are in progress; try again later`,
+    { retryAfter: retryAfterSeconds(), activeEncodes: active, queuedEncodes: queued, admittedRequests: reserved });
+}
+
+/**
+ * Whether a request needing `places` places would be refused right now
+ */
+function isQueueFull(places = 1) {
+  return reserved + places > MAX_CONCURRENT + MAX_QUEUE;
+}
+
+/**
+ * Start the next waiting encode, taking shops in turn
+ */
+function dispatch() {
+  while (active < MAX_CONCURRENT && shopOrder.length > 0) {
+    const shopId = shopOrder.shift();
+    const waiting = queues.get(shopId);
+    const next = waiting.shift();
+
+    if (waiting.length > 0) shopOrder.push(shopId);
+    else queues.delete(shopId);
+
+    queued--;
+    active++;
+    next();
+  }
+}
+
+/**
+ * Wait for an encoder. Call the returned function when the encode finishes.
+ * @returns {Promise<Function>} - release()
+ * @throws {HttpError} - 503 ENCODER_BUSY if the queue is full and the request holds no place
+ */
+async function acquireEncodeSlot() {
+  const context = requestContext.getStore();
+  const shopId = context?.shopId || UNKNOWN_SHOP;
+
+  if (active >= MAX_CONCURRENT) {
+    if (!context?.reservation && isQueueFull()) {
+      stats.rejected++;
+      throw busyError();
+    }
+
+    if (!queues.has(shopId)) {
+      queues.set(shopId, []);
+      shopOrder.push(shopId);
+    }
+    queued++;
+    console.log(`[encode] Waiting for an encoder (shop ${shopId}, ${queued} queued, ${active} running)`);
+    await new Promise(resolve => queues.get(shopId).push(resolve));
+  } else {
+    active++;
+  }
+
+  stats.started++;
+  const startedAt = Date.now();
+  let released = false;
+
+  return () => {
+    if (released) return;
+    released = true;
+    const seconds = (Date.now() - startedAt) / 1000;
+    stats.averageSeconds = stats.averageSeconds === null ? seconds : stats.averageSeconds * 0.8 + seconds * 0.2;
+    active--;
+    dispatch();
+  };
+}
+
+/**
+ * Express middleware factory: reserve places for a request before its upload
+ * is read, or refuse it with 503 and Retry-After if there are none left. The
+ * places are given back when the response closes, or later if the request
+ * holds on to them (see holdEncodeReservation()).
+ * @param {number} places - Encodes the request may run at once (e.g., a batch's concurrency)
+ * @returns {Function} - Express middleware
+ */
+function admitEncodes(places) {
+  places = Math.min(places, MAX_CONCURRENT + MAX_QUEUE); // Otherwise never admitted
+
+  return (req, res, next) => {
+    const context = requestContext.getStore();
+    if (!context) return next(); // Not behind trackEncodeRequest(): nothing to hold the place
+
+    if (isQueueFull(places)) {
+      stats.rejected++;
+      const error = busyError();
+      console.warn(`[encode] Refusing ${req.method} ${req.originalUrl}: ${error.message}`);
+      res.set('Retry-After', String(error.extra.retryAfter));
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    reserved += places;
+    context.reservation = { places, holds: 0 };
+    res.on('close', holdEncodeReservation());
+    return next();
+  };
+}
+
+// The usual case: one encode at a time
+const admitEncode = admitEncodes(1);
+
+/**
+ * Keep the current request's places past its response, for work that carries
+ * on in the background (async jobs). Call the returned function when that work
+ * is done; the places are freed once every holder has released them.
+ * @returns {Function} - release(), safe to call more than once
+ */
+function holdEncodeReservation() {
+  const reservation = requestContext.getStore()?.reservation;
+  if (!reservation) return () => {};
+
+  reservation.holds++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--reservation.holds === 0) reserved -= reservation.places;
+  };
+}
+
+/**
+ * Get encoder usage, for the health endpoint
+ * @returns {Object} - { maxConcurrent, activeEncodes, queuedEncodes, maxQueue, admittedRequests, queuedByShop,
+ *   started, rejected, averageEncodeSeconds }
+ */
+function getEncodeStats() {
+  return {
+    maxConcurrent: MAX_CONCURRENT,
+    activeEncodes: active,
+    queuedEncodes: queued,
+    maxQueue: MAX_QUEUE,
+    admittedRequests: reserved,
+    queuedByShop: Object.fromEntries([...queues].map(([shopId, waiting]) => [shopId, waiting.length])),
+    started: stats.started,
+    rejected: stats.rejected,
+    averageEncodeSeconds: stats.averageSeconds === null ? null : Math.round(stats.averageSeconds * 10) / 10
+  };
+}
+
+module.exports = {
+  trackEncodeRequest,
+  setEncodeShop,
+  acquireEncodeSlot,
+  admitEncode,
+  admitEncodes,
+  holdEncodeReservation,
+  getEncodeStats
+};
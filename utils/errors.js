@@ -0,0 +1,59 @@
+/**
+ * Error Utilities
+ * Errors that carry an HTTP status and error code for the API response
+ */
+
+/**
+ * Error with an HTTP status and machine-readable error code.
+ * Routes respond with { error: code, details: message } using the status.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code (e.g., 400, 422)
+   * @param {string} code - Error code returned as `error` (e.g., 'NO_VIDEO_STREAM')
+   * @param {string} message - Human-readable details
+   * @param {Object} [extra] - Additional fields merged into the response body
+   */
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+
+  /**
+   * Response body for this error
+   * @returns {Object}
+   */
+  toJSON() {
+    return { error: this.code, details: this.message, ...this.extra };
+  }
+}
+
+/**
+ * A call to another service (TekMetric, Auth Hub, Supabase, S3) that failed,
+ * after any retries. Responds 502 with the service, how many attempts were
+ * made and the final cause: the last status received, or the network error.
+ */
+class UpstreamError extends HttpError {
+  /**
+   * @param {string} service - Service name (e.g., 'TekMetric')
+   * @param {string} message - Human-readable details
+   * @param {Object} [failure] - { attempts, status } for an error response, or { attempts, code } for a network error
+   */
+  constructor(service, message, failure = {}) {
+    const { attempts = 1, status = null, code = null } = failure;
+    super(502, 'UPSTREAM_FAILED', message, {
+      service,
+      attempts,
+      cause: status ? { status } : { code: code || 'UNKNOWN' }
+    });
+    this.name = 'UpstreamError';
+  }
+}
+
+module.exports = {
+  HttpError,
+  UpstreamError
+};
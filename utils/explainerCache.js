@@ -0,0 +1,419 @@
+/**
+ * Explainer Video Cache
+ * Keeps downloaded Supabase explainer videos on local disk so repeat merges
+ * don't re-download them. Entries are revalidated with ETag/Last-Modified,
+ * evicted least-recently-used when the cache exceeds its size limit, and
+ * concurrent requests for the same explainer share a single download.
+ *
+ * Also stores normalized intermediates of each explainer (the output of the
+ * merge normalization pass) keyed by explainer version and encoding profile.
+ *
+ * Each version of an explainer is written to its own file and never changed.
+ * When the origin serves a new version, merges already holding the old one
+ * keep reading it, and its file is deleted once the last of them releases it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { request } = require('./httpClient');
+const { UpstreamError } = require('./errors');
+
+const CACHE_DIR = process.env.EXPLAINER_CACHE_DIR || path.join(os.tmpdir(), 'explainer-cache');
+const MAX_BYTES = (parseInt(process.env.EXPLAINER_CACHE_MAX_MB) || 2048) * 1024 * 1024;
+// Within this window a cached file is used without asking the origin if it changed
+const REVALIDATE_AFTER_MS = (parseInt(process.env.EXPLAINER_CACHE_REVALIDATE_SECONDS) || 300) * 1000;
+
+// key -> { key, kind, explainerId, fileUrl, path, size, etag, lastModified, contentHash, validatedAt, lastUsedAt, refs }
+// kind is 'source' for downloaded explainers or 'intermediate' for normalized ones (which also have profile)
+const entries = new Map();
+// key -> Promise resolving to the entry, so concurrent requests share one download or encode
+const inFlight = new Map();
+// Replaced versions still held by a merge; their files are deleted on the last release
+const retired = new Set();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  revalidated: 0,
+  updated: 0,
+  staleServed: 0,
+  evictions: 0,
+  intermediateHits: 0,
+  intermediateMisses: 0
+};
+
+/**
+ * Download file from URL to local path
+ * Follows redirects and retries transient failures (see httpClient)
+ *
+ * @param {string} fileUrl - URL to download
+ * @param {string} destPath - Local path to write to; may hold a partial file if this rejects
+ * @param {Object} [headers] - Extra request headers (e.g., If-None-Match)
+ * @returns {Promise<{status: number, headers: Object}>} - Resolves with status 200 once the
+ *   file is written, or 304 (nothing written) for a conditional request that matched
+ * @throws {UpstreamError} - On any other status, or if the origin can't be reached
+ */
+async function downloadFile(fileUrl, destPath, headers = {}) {
+  const response = await request(fileUrl, {
+    service: 'Explainer origin',
+    headers,
+    followRedirects: true,
+    download: destPath
+  });
+
+  if (response.status !== 200 && response.status !== 304) {
+    throw new UpstreamError('Explainer origin', `Download failed: ${response.status}`, response);
+  }
+  return { status: response.status, headers: response.headers };
+}
+
+/**
+ * Cache key for an explainer: the same ID with a new file_url is a new entry
+ */
+function cacheKey(explainerId, fileUrl) {
+  return crypto.createHash('sha256').update(`${explainerId}\n${fileUrl}`).digest('hex');
+}
+
+/**
+ * Cache key for a normalized intermediate. Includes the source's version so a
+ * changed explainer file produces a new intermediate, and an unchanged one
+ * re-downloaded from an origin without validators doesn't.
+ */
+function intermediateKey(sourceEntry, profile) {
+  const version = sourceEntry.etag || sourceEntry.lastModified || sourceEntry.contentHash ||
+    `${sourceEntry.size}-${fs.statSync(sourceEntry.path).mtimeMs}`;
+  return crypto.createHash('sha256').update(`${sourceEntry.key}\n${version}\n${profile}`).digest('hex');
+}
+
+/**
+ * SHA-256 of a file's contents, hex
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Persist an entry's metadata next to its video so the cache survives restarts
+ */
+function writeMetadata(entry) {
+  const { refs, ...metadata } = entry;
+  fs.writeFileSync(path.join(CACHE_DIR, `${entry.key}.json`), JSON.stringify(metadata));
+}
+
+/**
+ * Load entries left on disk by a previous run
+ */
+function loadIndex() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+  for (const name of fs.readdirSync(CACHE_DIR)) {
+    const filePath = path.join(CACHE_DIR, name);
+
+    // Leftover partial downloads from a crash
+    if (name.endsWith('.part')) {
+      fs.unlink(filePath, () => {});
+      continue;
+    }
+    if (!name.endsWith('.json')) continue;
+
+    try {
+      const metadata = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (fs.existsSync(metadata.path)) {
+        entries.set(metadata.key, { kind: 'source', ...metadata, refs: 0 });
+      } else {
+        fs.unlinkSync(filePath);
+      }
+    } catch (e) {
+      console.error(`[explainer-cache] Ignoring unreadable metadata ${name}:`, e.message);
+    }
+  }
+
+  // Replaced versions the previous run was still holding when it stopped
+  const current = new Set([...entries.values()].map(entry => entry.path));
+  for (const name of fs.readdirSync(CACHE_DIR)) {
+    const filePath = path.join(CACHE_DIR, name);
+    if (/\.(mp4|ts)$/.test(name) && !current.has(filePath)) fs.unlink(filePath, () => {});
+  }
+
+  if (entries.size > 0) {
+    console.log(`[explainer-cache] Loaded ${entries.size} cached explainers from ${CACHE_DIR}`);
+  }
+}
+
+/**
+ * Total size of all cached files in bytes
+ */
+function totalBytes() {
+  let total = 0;
+  for (const entry of [...entries.values(), ...retired]) total += entry.size;
+  return total;
+}
+
+/**
+ * Delete least-recently-used entries until the cache fits in MAX_BYTES.
+ * Entries currently in use by a merge are never evicted.
+ */
+function evict() {
+  let total = totalBytes();
+  if (total <= MAX_BYTES) return;
+
+  const candidates = [...entries.values()]
+    .filter(entry => entry.refs === 0)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  for (const entry of candidates) {
+    if (total <= MAX_BYTES) break;
+
+    entries.delete(entry.key);
+    total -= entry.size;
+    stats.evictions++;
+    try { fs.unlinkSync(entry.path); } catch (e) {}
+    try { fs.unlinkSync(path.join(CACHE_DIR, `${entry.key}.json`)); } catch (e) {}
+    console.log(`[explainer-cache] Evicted ${entry.kind} for explainer ${entry.explainerId} (${(entry.size / 1024 / 1024).toFixed(2)} MB)`);
+  }
+}
+
+/**
+ * Take a replaced version out of use, deleting its file now or once the
+ * merges holding it release it
+ */
+function retire(entry) {
+  retired.add(entry);
+  if (entry.refs === 0) removeRetired(entry);
+}
+
+/**
+ * Delete the file of a replaced version nobody holds any more
+ */
+function removeRetired(entry) {
+  retired.delete(entry);
+  try { fs.unlinkSync(entry.path); } catch (e) {}
+  console.log(`[explainer-cache] Deleted replaced version of explainer ${entry.explainerId}`);
+}
+
+/**
+ * Download or revalidate an explainer, returning its up-to-date entry
+ */
+async function fetchEntry(key, explainerId, fileUrl) {
+  const existing = entries.get(key);
+
+  // Fresh enough to use without a round trip
+  if (existing && Date.now() - existing.validatedAt < REVALIDATE_AFTER_MS) {
+    stats.hits++;
+    return { entry: existing, status: 'hit' };
+  }
+
+  const headers = {};
+  if (existing?.etag) headers['If-None-Match'] = existing.etag;
+  if (existing?.lastModified) headers['If-Modified-Since'] = existing.lastModified;
+
+  const partPath = path.join(CACHE_DIR, `${key}-${crypto.randomUUID()}.part`);
+  let response;
+
+  try {
+    response = await downloadFile(fileUrl, partPath, headers);
+  } catch (error) {
+    fs.unlink(partPath, () => {});
+    if (!existing) throw error;
+
+    // Origin unreachable - a slightly stale explainer beats a failed merge
+    console.warn(`[explainer-cache] Revalidation failed for explainer ${explainerId}, using cached copy: ${error.message}`);
+    stats.staleServed++;
+    return { entry: existing, status: 'stale' };
+  }
+
+  if (response.status === 304 && existing) {
+    existing.validatedAt = Date.now();
+    writeMetadata(existing);
+    stats.revalidated++;
+    return { entry: existing, status: 'revalidated' };
+  }
+
+  const etag = response.headers.etag || null;
+  const lastModified = response.headers['last-modified'] || null;
+  // Without validators, the contents are the only stable version
+  const contentHash = etag || lastModified ? null : await hashFile(partPath);
+  const version = crypto.createHash('sha256').update(etag || lastModified || contentHash).digest('hex').slice(0, 16);
+  const filePath = path.join(CACHE_DIR, `${key}-${version}.mp4`);
+
+  // The origin sent the version we already have (no validators, or it ignored them)
+  if (existing && existing.path === filePath) {
+    fs.unlink(partPath, () => {});
+    existing.validatedAt = Date.now();
+    writeMetadata(existing);
+    stats.revalidated++;
+    return { entry: existing, status: 'revalidated' };
+  }
+
+  // New or changed file: a new file and entry, so merges holding the old version keep reading it
+  fs.renameSync(partPath, filePath);
+  const entry = {
+    key,
+    kind: 'source',
+    explainerId: String(explainerId),
+    fileUrl,
+    path: filePath,
+    size: fs.statSync(filePath).size,
+    etag,
+    lastModified,
+    contentHash,
+    validatedAt: Date.now(),
+    lastUsedAt: Date.now(),
+    refs: 0
+  };
+  entries.set(key, entry);
+  writeMetadata(entry);
+
+  if (existing) {
+    retire(existing);
+    stats.updated++;
+  } else {
+    stats.misses++;
+  }
+
+  return { entry, status: existing ? 'updated' : 'miss' };
+}
+
+/**
+ * Pin an entry while a caller uses its file and return the caller's handle
+ */
+function retain(entry, status) {
+  entry.refs++;
+  entry.lastUsedAt = Date.now();
+  evict();
+
+  let released = false;
+  return {
+    path: entry.path,
+    size: entry.size,
+    cache: status,
+    entry,
+    release: () => {
+      if (released) return;
+      released = true;
+      entry.refs--;
+      if (entry.refs === 0 && retired.has(entry)) removeRetired(entry);
+      evict();
+    }
+  };
+}
+
+/**
+ * Get a local copy of an explainer video, downloading it if needed.
+ * The returned file is shared - callers must not modify or delete it, and must
+ * call release() when done so the entry can be evicted again.
+ *
+ * @param {string} explainerId - Supabase explainer video ID
+ * @param {string} fileUrl - The explainer's file_url
+ * @returns {Promise<{path: string, size: number, cache: string, entry: Object, release: Function}>}
+ *   cache is 'hit', 'revalidated', 'stale', 'updated' or 'miss'
+ */
+async function acquireExplainer(explainerId, fileUrl) {
+  const key = cacheKey(explainerId, fileUrl);
+
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = fetchEntry(key, explainerId, fileUrl).finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+
+  const { entry, status } = await pending;
+  return retain(entry, status);
+}
+
+/**
+ * Build a normalized intermediate and add it to the cache
+ */
+async function buildIntermediate(key, sourceEntry, profile, build) {
+  const partPath = path.join(CACHE_DIR, `${key}-${crypto.randomUUID()}.part`);
+
+  try {
+    await build(partPath);
+  } catch (error) {
+    fs.unlink(partPath, () => {});
+    throw error;
+  }
+
+  const filePath = path.join(CACHE_DIR, `${key}.ts`);
+  fs.renameSync(partPath, filePath);
+
+  const entry = {
+    key,
+    kind: 'intermediate',
+    explainerId: sourceEntry.explainerId,
+    fileUrl: sourceEntry.fileUrl,
+    profile,
+    path: filePath,
+    size: fs.statSync(filePath).size,
+    validatedAt: Date.now(),
+    lastUsedAt: Date.now(),
+    refs: 0
+  };
+  entries.set(key, entry);
+  writeMetadata(entry);
+  stats.intermediateMisses++;
+
+  return { entry, status: 'miss' };
+}
+
+/**
+ * Get the normalized intermediate of an explainer for an encoding profile,
+ * building it with the given function if it isn't cached. Same sharing and
+ * release() rules as acquireExplainer().
+ *
+ * @param {Object} source - Handle returned by acquireExplainer(), or a local file handle
+ *   with the same shape whose entry has key, explainerId, fileUrl and an etag version
+ * @param {string} profile - Encoding profile identifier
+ * @param {Function} build - async (outputPath) => writes the intermediate to outputPath
+ * @returns {Promise<{path: string, size: number, cache: string, entry: Object, release: Function}>}
+ *   cache is 'hit' or 'miss'
+ */
+async function acquireIntermediate(source, profile, build) {
+  const key = intermediateKey(source.entry, profile);
+
+  const existing = entries.get(key);
+  if (existing) {
+    stats.intermediateHits++;
+    return retain(existing, 'hit');
+  }
+
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = buildIntermediate(key, source.entry, profile, build).finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+
+  const { entry, status } = await pending;
+  return retain(entry, status);
+}
+
+/**
+ * Cache statistics for the health endpoint
+ * @returns {Object}
+ */
+function getCacheStats() {
+  return {
+    dir: CACHE_DIR,
+    entries: entries.size,
+    intermediates: [...entries.values()].filter(entry => entry.kind === 'intermediate').length,
+    bytes: totalBytes(),
+    maxBytes: MAX_BYTES,
+    inFlight: inFlight.size,
+    retiredVersions: retired.size,
+    ...stats
+  };
+}
+
+loadIndex();
+
+module.exports = {
+  downloadFile,
+  acquireExplainer,
+  acquireIntermediate,
+  getCacheStats
+};
@@ -0,0 +1,281 @@
+/**
+ * FFmpeg Utilities
+ * Wrappers for spawning ffmpeg/ffprobe and reading their output
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { HttpError } = require('./errors');
+const { acquireEncodeSlot } = require('./encodeQueue');
+
+const PROBE_TIMEOUT_MS = 30 * 1000;
+const MIN_DURATION_SECONDS = 0.5; // Anything shorter is an accidental tap
+// FFmpeg reports progress every half second or so; silence this long means it's stuck (e.g. a stalled input)
+const STALL_TIMEOUT_MS = (parseInt(process.env.FFMPEG_STALL_SECONDS) || 120) * 1000;
+const MAX_RUN_MS = (parseInt(process.env.FFMPEG_MAX_SECONDS) || 60 * 60) * 1000;
+const LOG_TAIL_CHARS = 64 * 1024; // Of FFmpeg's log kept for errors, unless the caller needs all of it
+
+/**
+ * Convert an FFmpeg timestamp (HH:MM:SS.ms) to seconds
+ * @param {string} timestamp - e.g. '00:01:23.45'
+ * @returns {number} - Seconds
+ */
+function parseTimestamp(timestamp) {
+  const [hours, minutes, seconds] = timestamp.split(':').map(parseFloat);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Run FFmpeg command and return promise
+ * Logs progress during encoding. Waits for a free encoder first (see encodeQueue).
+ * FFmpeg is killed if it reports nothing for FFMPEG_STALL_SECONDS (default 120)
+ * or runs longer than FFMPEG_MAX_SECONDS (default 3600), so a wedged process
+ * can't hold an encoder for good.
+ *
+ * @param {string[]} args - FFmpeg arguments
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Expected output duration in seconds, used to compute percent
+ * @param {Function} [options.onProgress] - Called with { time, percent } as FFmpeg reports progress
+ * @param {Object} [options.clock] - { start(), stop() }, told when FFmpeg starts (after any wait
+ *   for an encoder) and exits, to time the encode itself
+ * @param {boolean} [options.fullLog] - Return all of FFmpeg's log rather than its last 64 KB
+ * @returns {Promise<string>} - FFmpeg's log output (stderr), which analysis filters write their results to
+ * @throws {HttpError} - 503 ENCODER_BUSY if the encode queue is full, 504 ENCODE_TIMEOUT if FFmpeg
+ *   stalled or ran too long
+ */
+async function runFFmpeg(args, options = {}) {
+  const { duration, onProgress, clock, fullLog } = options;
+  const releaseSlot = await acquireEncodeSlot();
+  if (clock) clock.start();
+
+  // 'error' and 'close' may both be emitted
+  let finished = false;
+  const release = () => {
+    if (finished) return;
+    finished = true;
+    releaseSlot();
+    if (clock) clock.stop();
+  };
+
+  return new Promise((resolve, reject) => {
+    console.log(`   Running: ffmpeg ${args.slice(0, 5).join(' ')}...`);
+    const ffmpeg = spawn('ffmpeg', args);
+    let stderr = '';
+    let timeout = null;
+
+    const kill = (error) => {
+      timeout = error;
+      console.error(`[ffmpeg] ${error.message}, killing it`);
+      ffmpeg.kill('SIGKILL');
+    };
+    const stalled = () => kill(new HttpError(504, 'ENCODE_TIMEOUT', `FFmpeg reported no progress for ${STALL_TIMEOUT_MS / 1000}s`));
+    let stallTimer = setTimeout(stalled, STALL_TIMEOUT_MS);
+    const runTimer = setTimeout(() => kill(new HttpError(504, 'ENCODE_TIMEOUT', `FFmpeg ran longer than ${MAX_RUN_MS / 1000}s`)), MAX_RUN_MS);
+    const stopTimers = () => {
+      clearTimeout(stallTimer);
+      clearTimeout(runTimer);
+    };
+
+    ffmpeg.stderr.on('data', (data) => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(stalled, STALL_TIMEOUT_MS);
+
+      stderr += data.toString();
+      if (!fullLog && stderr.length > LOG_TAIL_CHARS * 2) stderr = stderr.slice(-LOG_TAIL_CHARS);
+      const timeMatch = data.toString().match(/time=(\d+:\d+:\d+\.\d+)/);
+      if (timeMatch) {
+        console.log(`   Progress: ${timeMatch[1]}`);
+        if (onProgress) {
+          const time = parseTimestamp(timeMatch[1]);
+          const percent = duration ? Math.min(100, Math.round((time / duration) * 100)) : null;
+          onProgress({ time, percent });
+        }
+      }
+    });
+
+    ffmpeg.on('close', (code) => {
+      stopTimers();
+      release();
+      if (timeout) reject(timeout);
+      else if (code === 0) resolve(fullLog ? stderr : stderr.slice(-LOG_TAIL_CHARS));
+      else reject(new Error(`FFmpeg failed (code ${code}): ${stderr.slice(-200)}`));
+    });
+
+    ffmpeg.on('error', (error) => {
+      stopTimers();
+      release();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Run ffprobe and return its stdout
+ * @param {string[]} args - ffprobe arguments
+ * @returns {Promise<string>} - Rejects if ffprobe exits non-zero or takes longer than 30 seconds
+ */
+function runFFprobe(args) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', args);
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      ffprobe.kill('SIGKILL');
+      reject(new Error('ffprobe timed out'));
+    }, PROBE_TIMEOUT_MS);
+
+    ffprobe.stdout.on('data', (data) => { stdout += data.toString(); });
+    ffprobe.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    ffprobe.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`ffprobe failed (code ${code}): ${stderr.trim().slice(-200)}`));
+    });
+
+    ffprobe.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Get the duration of a media file in seconds using ffprobe
+ * @param {string} filePath - Local path to the media file
+ * @returns {Promise<number|null>} - Duration in seconds, or null if it can't be determined
+ */
+async function probeDuration(filePath) {
+  try {
+    const stdout = await runFFprobe([
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+    const duration = parseFloat(stdout);
+    return Number.isFinite(duration) ? duration : null;
+  } catch (error) {
+    // Progress is best-effort, so a failed probe just means no percentages
+    return null;
+  }
+}
+
+/**
+ * Parse an ffprobe frame rate fraction (e.g. '30000/1001') to frames per second
+ */
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [num, den] = rate.split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
+
+/**
+ * Get rotation in degrees from a video stream's display matrix or legacy rotate tag
+ */
+function getRotation(stream) {
+  const displayMatrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+  const rotation = displayMatrix ? Number(displayMatrix.rotation) : Number(stream.tags?.rotate || 0);
+  // Normalize to 0, 90, 180 or 270
+  return ((Math.round(rotation) % 360) + 360) % 360;
+}
+
+/**
+ * Inspect a media file with ffprobe
+ *
+ * @param {string} filePath - Local path to the media file
+ * @returns {Promise<Object>} - { duration, size, format, bitRate, video, audio, hasAudio }
+ *   video: { codec, width, height, displayWidth, displayHeight, rotation, frameRate } or null
+ *   audio: { codec, sampleRate, channels } or null
+ * @throws {HttpError} - 400 EMPTY_FILE or 422 INVALID_MEDIA if the file can't be read as media
+ */
+async function probeMedia(filePath) {
+  const size = fs.statSync(filePath).size;
+  if (size === 0) {
+    throw new HttpError(400, 'EMPTY_FILE', 'Uploaded file is empty');
+  }
+
+  let probe;
+  try {
+    const stdout = await runFFprobe([
+      '-v', 'error',
+      '-show_format', '-show_streams',
+      '-of', 'json',
+      filePath
+    ]);
+    probe = JSON.parse(stdout);
+  } catch (error) {
+    // ffprobe missing from the container is our problem, not the caller's
+    if (error.code === 'ENOENT') throw error;
+    throw new HttpError(422, 'INVALID_MEDIA', `File could not be read as media: ${error.message}`);
+  }
+
+  const streams = probe.streams || [];
+  // Cover art in audio files shows up as a video stream with attached_pic set
+  const videoStream = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+  const audioStream = streams.find(s => s.codec_type === 'audio');
+  const duration = parseFloat(probe.format?.duration);
+
+  let video = null;
+  if (videoStream) {
+    const rotation = getRotation(videoStream);
+    const swapped = rotation === 90 || rotation === 270;
+    video = {
+      codec: videoStream.codec_name,
+      width: videoStream.width,
+      height: videoStream.height,
+      displayWidth: swapped ? videoStream.height : videoStream.width,
+      displayHeight: swapped ? videoStream.width : videoStream.height,
+      rotation,
+      frameRate: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate)
+    };
+  }
+
+  const audio = audioStream ? {
+    codec: audioStream.codec_name,
+    sampleRate: parseInt(audioStream.sample_rate) || null,
+    channels: audioStream.channels || null
+  } : null;
+
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    size,
+    format: probe.format?.format_name || null,
+    bitRate: parseInt(probe.format?.bit_rate) || null,
+    video,
+    audio,
+    hasAudio: !!audio
+  };
+}
+
+/**
+ * Check that probed media is a usable video for merging/uploading.
+ * Audio is optional: merges give clips without it a silent track.
+ *
+ * @param {Object} media - Result of probeMedia()
+ * @throws {HttpError} - 422 with NO_VIDEO_STREAM, INVALID_MEDIA or INVALID_DURATION
+ */
+function validateVideo(media) {
+  if (!media.video) {
+    throw new HttpError(422, 'NO_VIDEO_STREAM', 'File does not contain a video stream', { media });
+  }
+
+  if (!media.video.width || !media.video.height) {
+    throw new HttpError(422, 'INVALID_MEDIA', 'Video stream has no resolution', { media });
+  }
+
+  if (!media.duration || media.duration < MIN_DURATION_SECONDS) {
+    throw new HttpError(422, 'INVALID_DURATION', `Video is too short or has no duration (${media.duration || 0}s)`, { media });
+  }
+}
+
+module.exports = {
+  parseTimestamp,
+  runFFmpeg,
+  runFFprobe,
+  probeDuration,
+  probeMedia,
+  validateVideo
+};
@@ -0,0 +1,108 @@
+/**
+ * File Type Sniffing
+ * Identifies uploads by their leading "magic" bytes instead of trusting the
+ * filename or Content-Type the client sent.
+ */
+
+const { Transform } = require('stream');
+const { HttpError } = require('./errors');
+
+const SNIFF_BYTES = 16;
+
+// ISO base media (ftyp) brands that are still images, not video
+const IMAGE_BRANDS = ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1', 'avif'];
+// Atoms that can open a QuickTime file written without an ftyp box
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'free', 'wide', 'skip'];
+
+/**
+ * Identify a file from its first bytes
+ * @param {Buffer} head - At least the first SNIFF_BYTES bytes (fewer if the file is shorter)
+ * @returns {{kind: string, format: string}|null} - kind is 'video', 'image' or 'pdf'; null if unrecognized
+ */
+function sniffFileType(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (ascii(0, 5) === '%PDF-') return { kind: 'pdf', format: 'pdf' };
+
+  if (head.readUInt32BE(0) >>> 8 === 0xffd8ff) return { kind: 'image', format: 'jpeg' };
+  if (head.toString('hex', 0, 8) === '89504e470d0a1a0a') return { kind: 'image', format: 'png' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return { kind: 'image', format: 'webp' };
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (IMAGE_BRANDS.includes(brand)) return { kind: 'image', format: brand === 'avif' ? 'avif' : 'heic' };
+    if (brand === 'qt  ') return { kind: 'video', format: 'mov' };
+    if (brand.startsWith('3g')) return { kind: 'video', format: '3gp' };
+    return { kind: 'video', format: 'mp4' };
+  }
+  if (QUICKTIME_ATOMS.includes(ascii(4, 8))) return { kind: 'video', format: 'mov' };
+
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return { kind: 'video', format: 'webm' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return { kind: 'video', format: 'avi' };
+  if (head.readUInt32BE(0) === 0x000001ba) return { kind: 'video', format: 'mpeg' };
+
+  return null;
+}
+
+/**
+ * Check that a file's first bytes are of the expected kind
+ * @param {Buffer} head - The first SNIFF_BYTES bytes (fewer if the file is shorter)
+ * @param {string} kind - 'video', 'image' or 'pdf'
+ * @param {string} field - Form field name, for the error message
+ * @returns {{kind: string, format: string}} - The sniffFileType() result
+ * @throws {HttpError} - 415 UNSUPPORTED_MEDIA_TYPE
+ */
+function checkFileType(head, kind, field) {
+  const type = head.length >= 12 ? sniffFileType(head) : null;
+  if (!type || type.kind !== kind) {
+    throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE',
+      `${field} must be ${kind === 'image' ? 'an' : 'a'} ${kind} file${type ? ` (got ${type.format})` : ''}`);
+  }
+  return type;
+}
+
+/**
+ * Pass-through stream that checks a file's first bytes are of the expected
+ * kind, failing with 415 UNSUPPORTED_MEDIA_TYPE otherwise. Empty files pass
+ * through unchecked, for the caller's own empty-file handling.
+ *
+ * @param {string} kind - 'video', 'image' or 'pdf'
+ * @param {string} field - Form field name, for the error message
+ * @param {Function} [onType] - Called with the sniffFileType() result
+ * @returns {Transform}
+ */
+function expectFileType(kind, field, onType) {
+  let head = Buffer.alloc(0);
+  let checked = false;
+
+  const check = (stream) => {
+    checked = true;
+    let type;
+    try {
+      type = checkFileType(head, kind, field);
+    } catch (error) {
+      return error;
+    }
+    if (onType) onType(type);
+    stream.push(head);
+    return null;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+      head = Buffer.concat([head, chunk]);
+      callback(head.length >= SNIFF_BYTES ? check(this) : null);
+    },
+    flush(callback) {
+      callback(!checked && head.length > 0 ? check(this) : null);
+    }
+  });
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffFileType,
+  checkFileType,
+  expectFileType
+};
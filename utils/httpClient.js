@@ -0,0 +1,205 @@
+/**
+ * HTTP Client
+ * Shared by every outbound call (TekMetric, Auth Hub, Supabase, S3) so a
+ * momentary 502 or dropped connection doesn't throw away a finished encode.
+ *
+ * Each attempt has an inactivity timeout. Network errors and retryable
+ * statuses (408, 429, 500, 502, 503, 504) are retried with exponential backoff
+ * and jitter, waiting as long as a Retry-After header asks (up to 30s; a
+ * longer wait ends the retries). Bodies given as a function are called again
+ * for each attempt, so a streamed file upload is re-read from the start.
+ *
+ * A POST or PUT that lost its connection may have reached the server, so it
+ * is only retried if the connection was never made (refused, DNS) unless the
+ * caller says repeating it is harmless (idempotent: true, e.g. S3 uploads).
+ * Redirects are followed like browsers do: 303, and 301/302 after a POST,
+ * become a GET without the body.
+ *
+ * Tunable from the environment:
+ * - HTTP_MAX_ATTEMPTS: Attempts per call, including the first (default 3)
+ * - HTTP_RETRY_BASE_MS: Backoff before the first retry, doubling after each (default 500)
+ * - HTTP_RETRY_MAX_MS: Longest backoff between attempts (default 10000)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { pipeline } = require('stream/promises');
+const { UpstreamError } = require('./errors');
+
+const MAX_ATTEMPTS = parseInt(process.env.HTTP_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = parseInt(process.env.HTTP_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = parseInt(process.env.HTTP_RETRY_MAX_MS) || 10000;
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const MAX_REDIRECTS = 5;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Connection failures worth another try; anything else (bad URL, TLS errors) fails at once
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+// Of those, the ones that mean nothing was sent
+const CONNECT_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Make one attempt
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+function send(url, { method, headers, body, timeoutMs, download }) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = typeof body === 'function' ? body() : body;
+
+    const req = transport.request(url, { method, headers }, (res) => {
+      const result = { status: res.statusCode, headers: res.headers, body: '' };
+
+      if (download && res.statusCode === 200) {
+        pipeline(res, fs.createWriteStream(download)).then(() => resolve(result), reject);
+        return;
+      }
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { result.body += chunk; });
+      res.on('end', () => resolve(result));
+      res.on('error', reject);
+    });
+
+    // Inactivity timeout: a large upload or download that keeps moving isn't cut off
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(Object.assign(new Error(`No activity for ${timeoutMs / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    req.on('error', (error) => {
+      if (payload && typeof payload.destroy === 'function') payload.destroy();
+      reject(error);
+    });
+
+    if (payload && typeof payload.pipe === 'function') {
+      payload.on('error', error => req.destroy(error));
+      payload.pipe(req);
+    } else {
+      req.end(payload ?? undefined);
+    }
+  });
+}
+
+/**
+ * Milliseconds a Retry-After header (seconds or an HTTP date) asks to wait
+ * @returns {number|null} - null if absent or unreadable
+ */
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, Math.round(ms)) : null;
+}
+
+/**
+ * Backoff before retry number `retry` (1-based): exponential, with half of it random
+ * so callers that failed together don't retry together
+ */
+function backoffMs(retry) {
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (retry - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Whether a redirect turns the request into a body-less GET
+ */
+function redirectsToGet(status, method) {
+  return status === 303 || ((status === 301 || status === 302) && method === 'POST');
+}
+
+/**
+ * Headers without those describing a body
+ */
+function withoutBodyHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !/^content-(type|length)$/i.test(name)));
+}
+
+/**
+ * Make an HTTP request, retrying transient failures
+ *
+ * @param {string|URL} target - Absolute URL
+ * @param {Object} [options]
+ * @param {string} [options.service] - Name for logs and errors (e.g., 'TekMetric')
+ * @param {string} [options.method] - Default GET
+ * @param {Object} [options.headers]
+ * @param {string|Buffer|Function} [options.body] - A function is called for each attempt and
+ *   may return a stream (e.g., a fresh fs.createReadStream of an upload)
+ * @param {number} [options.timeoutMs] - Inactivity timeout per attempt (default 30s)
+ * @param {number} [options.maxAttempts] - Default HTTP_MAX_ATTEMPTS
+ * @param {boolean} [options.idempotent] - Whether the request may be repeated after a dropped
+ *   connection (default: only for GET, HEAD and OPTIONS)
+ * @param {boolean} [options.followRedirects] - Follow Location on 3xx responses
+ * @param {string} [options.download] - Write a 200 response's body to this path instead of returning it
+ * @returns {Promise<{status: number, headers: Object, body: string, attempts: number}>} - The final
+ *   response, whatever its status; callers decide which statuses are errors
+ * @throws {UpstreamError} - If no response was received (network errors, timeouts) after all attempts
+ */
+async function request(target, options = {}) {
+  const {
+    service = 'upstream',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxAttempts = MAX_ATTEMPTS,
+    followRedirects = false,
+    download = null
+  } = options;
+  let { method = 'GET', headers = {}, body = null } = options;
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+  let url = new URL(target);
+  let attempts = 0;
+  let redirects = 0;
+
+  while (true) {
+    attempts++;
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await send(url, { method, headers, body, timeoutMs, download });
+    } catch (error) {
+      failure = error;
+    }
+
+    if (response && followRedirects && REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+      if (++redirects > MAX_REDIRECTS) {
+        throw new UpstreamError(service, `${service} redirected more than ${MAX_REDIRECTS} times`, { attempts, status: response.status });
+      }
+      url = new URL(response.headers.location, url);
+      if (redirectsToGet(response.status, method)) {
+        method = 'GET';
+        headers = withoutBodyHeaders(headers);
+        body = null;
+      }
+      attempts--; // Following a redirect isn't a retry
+      continue;
+    }
+
+    // A request that may have reached the server is only repeated if that's harmless
+    const retryable = failure
+      ? RETRYABLE_CODES.includes(failure.code) && (idempotent || CONNECT_CODES.includes(failure.code))
+      : RETRYABLE_STATUSES.includes(response.status);
+    const requestedWait = response ? retryAfterMs(response.headers['retry-after']) : null;
+    const giveUp = !retryable || attempts >= maxAttempts || requestedWait > MAX_RETRY_AFTER_MS;
+
+    if (giveUp) {
+      if (failure) {
+        throw new UpstreamError(service,
+          `${service} ${method} ${url.pathname} failed after ${attempts} attempt(s): ${failure.message}`,
+          { attempts, code: failure.code });
+      }
+      return { ...response, attempts };
+    }
+
+    const delay = requestedWait ?? backoffMs(attempts);
+    console.warn(`[http] ${service} ${method} ${url.pathname} ${failure ? `failed (${failure.code})` : `returned ${response.status}`}, ` +
+      `retrying in ${delay}ms (attempt ${attempts + 1}/${maxAttempts})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  request
+};
@@ -0,0 +1,176 @@
+/**
+ * Job Tracking Utilities
+ * In-memory registry for long-running video processing jobs so clients can
+ * poll for the outcome instead of holding the HTTP connection open
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory job store
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open progress stream
+
+const JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000; // Check for expired jobs every 5 minutes
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Publish a job event to progress subscribers
+ */
+function emit(job, type, data) {
+  jobEvents.emit(job.id, { type, data });
+}
+
+/**
+ * Create a new job and register it in the store
+ * @param {string} type - Job type (e.g., 'merge-and-upload')
+ * @param {Object} [meta] - Identifying info echoed back on status requests (shopId, taskId, etc.)
+ * @param {Object} [options]
+ * @param {string} [options.requestedId] - Client-generated UUID, so a blocking request can be
+ *   subscribed to before its response arrives. Ignored if invalid or already in use.
+ * @param {string} [options.owner] - ID of the API key that created the job. Only that key
+ *   may see the job before its shop is known (see apiAuth authorizeJob()).
+ * @returns {Object} - The created job
+ */
+function createJob(type, meta = {}, { requestedId, owner = null } = {}) {
+  const useRequestedId = requestedId && UUID_PATTERN.test(requestedId) && !jobs.has(requestedId);
+  const now = new Date().toISOString();
+  const job = {
+    id: useRequestedId ? requestedId : crypto.randomUUID(),
+    type,
+    owner,
+    status: 'pending',
+    stage: null,
+    meta,
+    stages: [],
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  emit(job, 'created', job);
+  return job;
+}
+
+/**
+ * Move a job to a new processing stage, recording when each stage started
+ * @param {Object} job - The job to update
+ * @param {string} stage - Stage name (e.g., 'encoding', 'uploading')
+ */
+function setStage(job, stage) {
+  const now = new Date().toISOString();
+
+  // Close out the previous stage
+  const previous = job.stages[job.stages.length - 1];
+  if (previous && !previous.finishedAt) previous.finishedAt = now;
+
+  job.status = 'running';
+  job.stage = stage;
+  job.stages.push({ stage, startedAt: now, finishedAt: null });
+  job.progress = null;
+  job.updatedAt = now;
+
+  emit(job, 'stage', { stage, startedAt: now });
+}
+
+/**
+ * Record progress within the current stage
+ * @param {Object} job - The job to update
+ * @param {Object} progress - Stage-specific progress, e.g. { pass, passes, percent }
+ *   while encoding or { bytesSent, totalBytes, percent } while uploading
+ */
+function reportProgress(job, progress) {
+  job.progress = { stage: job.stage, ...progress };
+  emit(job, 'progress', job.progress);
+}
+
+/**
+ * Finish a job, successfully or not
+ */
+function finishJob(job, status, fields) {
+  const now = new Date().toISOString();
+
+  const previous = job.stages[job.stages.length - 1];
+  if (previous && !previous.finishedAt) previous.finishedAt = now;
+
+  Object.assign(job, fields);
+  job.status = status;
+  job.updatedAt = now;
+  job.finishedAt = now;
+
+  emit(job, 'done', { status, result: job.result, error: job.error });
+}
+
+/**
+ * Mark a job as succeeded
+ * @param {Object} job - The job to update
+ * @param {Object} result - Final result payload returned to pollers
+ */
+function completeJob(job, result) {
+  finishJob(job, 'succeeded', { result });
+}
+
+/**
+ * Mark a job as failed
+ * @param {Object} job - The job to update
+ * @param {Error} error - The error that ended the job
+ */
+function failJob(job, error) {
+  finishJob(job, 'failed', {
+    // HttpErrors add their response fields (e.g., an upstream service, attempts and cause)
+    error: { message: error.message, code: error.code || null, stage: job.stage, ...error.extra }
+  });
+}
+
+/**
+ * Look up a job by ID
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} - The job, or null if unknown or expired
+ */
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Listen for events on a job. The job does not need to exist yet, so a
+ * client can subscribe to a requested ID before its upload starts; the
+ * listener must check who created it (job.owner) when it appears.
+ * @param {string} jobId - The job ID
+ * @param {Function} listener - Called with { type, data } for 'created', 'stage', 'progress' and 'done' events
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Remove finished jobs older than the TTL
+ */
+function sweepJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(sweepJobs, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  createJob,
+  setStage,
+  reportProgress,
+  completeJob,
+  failJob,
+  getJob,
+  subscribe
+};
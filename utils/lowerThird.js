@@ -0,0 +1,173 @@
+/**
+ * Lower-Third Overlay
+ * Builds the FFmpeg drawtext filter that burns shop, RO, vehicle, task and a
+ * rating badge into the bottom (or top) of the issue video, so customers
+ * watching in TekMetric know which car and concern they are looking at.
+ *
+ * Styling defaults come from the environment:
+ * - LOWER_THIRD_FONT_FILE: TrueType font file (default: fontconfig 'Sans')
+ * - LOWER_THIRD_FONT_SIZE: Size of the main line in pixels at 720p (default 30)
+ * - LOWER_THIRD_POSITION: 'bottom' (default) or 'top'
+ */
+
+const { HttpError } = require('./errors');
+
+const POSITIONS = ['bottom', 'top'];
+const DEFAULT_FONT_SIZE = parseInt(process.env.LOWER_THIRD_FONT_SIZE) || 30;
+const DEFAULT_POSITION = process.env.LOWER_THIRD_POSITION || 'bottom';
+const FONT_FILE = process.env.LOWER_THIRD_FONT_FILE || null;
+const MAX_TEXT_LENGTH = 60;
+
+// Badge colors match the traffic-light ratings shown in TekMetric
+const RATING_BADGES = {
+  GOOD: { label: 'GOOD', color: '0x2e9e44', fontColor: 'white' },
+  MAYRQRATTN: { label: 'MAY REQUIRE ATTENTION', color: '0xf2c40f', fontColor: 'black' },
+  RQRSATTN: { label: 'REQUIRES ATTENTION', color: '0xd32f2f', fontColor: 'white' }
+};
+
+/**
+ * Escape text for a drawtext option inside a -vf/-filter_complex graph.
+ * Values are escaped once for the option parser and again for the graph parser.
+ */
+function escapeText(text) {
+  const option = text.replace(/[\\':]/g, '\\$&');
+  return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Shorten text that would run off the edge of the frame
+ */
+function truncate(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Parse a boolean form field ('true', '1', 'yes')
+ */
+function isEnabled(value) {
+  return ['true', '1', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Collect lower-third content and styling from /merge-and-upload fields.
+ * The overlay is opt-in with lowerThird=true.
+ *
+ * Content comes from shopName, roNumber, vehicle, taskName and rating, falling
+ * back to the same keys (and name for the task) in the taskData JSON.
+ *
+ * @param {Object} fields - Parsed multipart fields
+ * @returns {Object|null} - { shopName, roNumber, vehicle, taskName, rating, position, fontSize },
+ *   or null if the overlay wasn't requested
+ * @throws {HttpError} - 400 INVALID_LOWER_THIRD for a bad position or font size
+ */
+function parseLowerThird(fields) {
+  if (!isEnabled(fields.lowerThird)) return null;
+
+  let task = {};
+  try {
+    task = fields.taskData ? JSON.parse(fields.taskData) : {};
+  } catch (e) {
+    // taskData is optional context here; /merge-and-upload rejects bad JSON itself
+  }
+
+  const position = fields.lowerThirdPosition || DEFAULT_POSITION;
+  if (!POSITIONS.includes(position)) {
+    throw new HttpError(400, 'INVALID_LOWER_THIRD', `lowerThirdPosition must be one of: ${POSITIONS.join(', ')}`);
+  }
+
+  const fontSize = fields.lowerThirdFontSize ? parseInt(fields.lowerThirdFontSize) : DEFAULT_FONT_SIZE;
+  if (!Number.isInteger(fontSize) || fontSize < 12 || fontSize > 72) {
+    throw new HttpError(400, 'INVALID_LOWER_THIRD', 'lowerThirdFontSize must be between 12 and 72');
+  }
+
+  return {
+    shopName: fields.shopName || task.shopName || null,
+    roNumber: fields.roNumber || task.roNumber || null,
+    vehicle: fields.vehicle || task.vehicle || null,
+    taskName: fields.taskName || task.name || null,
+    rating: fields.rating || task.rating || null,
+    position,
+    fontSize
+  };
+}
+
+/**
+ * Build the video filter chain for a lower-third. Positions are expressions of
+ * the frame size, so it can follow any scale filter.
+ *
+ * @param {Object} info - Result of parseLowerThird(), possibly with roNumber/vehicle filled in
+ * @param {number} [frameSize] - Output's shorter side; font sizes are for 720 and scale with it
+ * @returns {string|null} - Comma-separated drawbox/drawtext filters, or null if there is nothing to show
+ */
+function lowerThirdFilter(info, frameSize = 720) {
+  const headline = [info.shopName, info.roNumber && `RO #${info.roNumber}`].filter(Boolean).join('  ·  ');
+  const detail = [info.vehicle, info.taskName].filter(Boolean).join('  —  ');
+  const badge = RATING_BADGES[info.rating];
+
+  if (!headline && !detail && !badge) return null;
+
+  const large = Math.round((info.fontSize * frameSize) / 720);
+  const small = Math.round(large * 0.7);
+  const padding = Math.round(large * 0.5);
+  const barHeight = padding * 3 + small + large;
+  const top = info.position === 'top';
+  // drawbox calls the frame height ih (its own h is the box height); drawtext calls it h
+  const boxTop = top ? '0' : `ih-${barHeight}`;
+  const barTop = top ? '0' : `(h-${barHeight})`;
+  const font = FONT_FILE ? `fontfile=${escapeText(FONT_FILE)}` : 'font=Sans';
+
+  const drawText = (text, options) =>
+    `drawtext=${font}:expansion=none:text=${escapeText(truncate(text))}:${options}`;
+
+  const filters = [
+    `drawbox=x=0:y=${boxTop}:w=iw:h=${barHeight}:color=black@0.6:t=fill`
+  ];
+
+  if (headline) {
+    filters.push(drawText(headline, `fontsize=${small}:fontcolor=white@0.85:x=${padding * 2}:y=${barTop}+${padding}`));
+  }
+  if (detail) {
+    filters.push(drawText(detail, `fontsize=${large}:fontcolor=white:x=${padding * 2}:y=${barTop}+${padding * 2 + small}`));
+  }
+  if (badge) {
+    filters.push(drawText(badge.label,
+      `fontsize=${small}:fontcolor=${badge.fontColor}:box=1:boxcolor=${badge.color}:boxborderw=${padding}` +
+      `:x=w-tw-${padding * 3}:y=${barTop}+(${barHeight}-th)/2`));
+  }
+
+  return filters.join(',');
+}
+
+/**
+ * Build a drawtext filter for a caption centered near the bottom of the
+ * frame on a translucent box (photo slideshow captions)
+ *
+ * @param {string} text - Caption text
+ * @param {number} [frameSize] - Output's shorter side; the font size scales with it
+ * @returns {string}
+ */
+function captionFilter(text, frameSize = 720) {
+  const size = Math.round((DEFAULT_FONT_SIZE * frameSize) / 720);
+  const padding = Math.round(size * 0.4);
+  const font = FONT_FILE ? `fontfile=${escapeText(FONT_FILE)}` : 'font=Sans';
+
+  return `drawtext=${font}:expansion=none:text=${escapeText(truncate(text))}:fontsize=${size}:fontcolor=white` +
+    `:box=1:boxcolor=black@0.6:boxborderw=${padding}:x=(w-tw)/2:y=h-th-${padding * 4}`;
+}
+
+/**
+ * Summary of what was burned in, for API responses
+ */
+function describeLowerThird(info) {
+  if (!info) return null;
+  const { shopName, roNumber, vehicle, taskName, rating, position } = info;
+  return { shopName, roNumber, vehicle, taskName, rating: RATING_BADGES[rating] ? rating : null, position };
+}
+
+module.exports = {
+  RATING_BADGES,
+  parseLowerThird,
+  lowerThirdFilter,
+  captionFilter,
+  describeLowerThird
+};
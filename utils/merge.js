@@ -0,0 +1,577 @@
+/**
+ * Video Merge Utilities
+ * FFmpeg pipeline that merges a timeline of clips (pre-roll, issue videos,
+ * explainers, outro) into one video.
+ *
+ * Strategies:
+ * - parallel: normalize all clips to MPEG-TS concurrently (reusing cached
+ *   explainer/asset intermediates), then stream-copy the concat. Default.
+ * - concat-filter: one FFmpeg invocation using the concat filter; every frame
+ *   is encoded exactly once and no intermediates are written.
+ * - sequential: the original 3-pass merge (normalize, normalize, re-encode concat).
+ *
+ * Profiles without a frame rate keep the source's, but clips joined from
+ * intermediates (parallel, sequential) must share one, or the concat plays
+ * each at its own rate; clips recorded at different rates are all converted
+ * to the highest of them (see concatProfile()).
+ *
+ * With a target file size, the merged video is then re-encoded in two passes
+ * to fit (see targetSize.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runFFmpeg, probeMedia } = require('./ffmpeg');
+const { acquireExplainer, acquireIntermediate } = require('./explainerCache');
+const { HttpError } = require('./errors');
+const { keptDuration } = require('./trim');
+const { planTargetSize, encodeToTargetSize, describeTargetSize } = require('./targetSize');
+const {
+  resolveProfile, scaleFilter, audioFilter, silentAudio, videoCodecArgs, audioCodecArgs, containerArgs
+} = require('./profiles');
+
+const MERGE_STRATEGIES = ['parallel', 'concat-filter', 'sequential'];
+const DEFAULT_STRATEGY = process.env.MERGE_STRATEGY || 'parallel';
+
+if (!MERGE_STRATEGIES.includes(DEFAULT_STRATEGY)) {
+  throw new Error(`MERGE_STRATEGY must be one of ${MERGE_STRATEGIES.join(', ')} (got ${DEFAULT_STRATEGY})`);
+}
+
+const WATERMARK_MARGIN = 24; // Pixels between a logo watermark and the frame edges (at 1280 wide)
+
+// strategy -> { merges, totalMs, lastMs, minMs, maxMs } encode time of completed merges
+const timings = {};
+
+/**
+ * Check a requested merge strategy, falling back to the default
+ * @param {string} [strategy] - Requested strategy
+ * @returns {string} - A valid strategy
+ * @throws {HttpError} - 400 INVALID_MERGE_STRATEGY for unknown values
+ */
+function resolveStrategy(strategy) {
+  if (!strategy) return DEFAULT_STRATEGY;
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new HttpError(400, 'INVALID_MERGE_STRATEGY', `mergeStrategy must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * FFmpeg output arguments for a profile's concat intermediate format (MPEG-TS)
+ */
+function intermediateArgs(profile) {
+  return [
+    ...videoCodecArgs(profile),
+    ...audioCodecArgs(profile),
+    '-bsf:v', 'h264_mp4toannexb',
+    '-f', 'mpegts'
+  ];
+}
+
+/**
+ * Identifies a profile's normalization settings, so cached intermediates are
+ * rebuilt when they change
+ * @param {Object} profile - Encoding profile from resolveProfile()
+ * @returns {string} - e.g. 'hd720-3f9a0c2b71de'
+ */
+function intermediateProfile(profile) {
+  const settings = [scaleFilter(profile), audioFilter(profile), ...intermediateArgs(profile)].join(' ');
+  return `${profile.name}-${crypto.createHash('sha256').update(settings).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Filter graph that keeps only the given time ranges of a video or audio
+ * stream, joined back to back. Writes the result to [outLabel].
+ *
+ * @param {string} input - Input pad, e.g. '[0:v]'
+ * @param {Object[]} ranges - Sorted { start, end } ranges in seconds
+ * @param {string} outLabel - Output pad name
+ * @param {string} type - 'video' or 'audio'
+ */
+function keepRangesGraph(input, ranges, outLabel, type) {
+  const [trim, setpts, split] = type === 'audio' ? ['atrim', 'asetpts', 'asplit'] : ['trim', 'setpts', 'split'];
+  const cut = (range) => `${trim}=start=${range.start}:end=${range.end},${setpts}=PTS-STARTPTS`;
+  if (ranges.length === 1) return `${input}${cut(ranges[0])}[${outLabel}]`;
+
+  const parts = ranges.map((range, k) => `${outLabel}${k}`);
+  return `${input}${split}=${ranges.length}${parts.map(part => `[${part}in]`).join('')};` +
+    ranges.map((range, k) => `[${parts[k]}in]${cut(range)}[${parts[k]}]`).join(';') + ';' +
+    `${parts.map(part => `[${part}]`).join('')}concat=n=${ranges.length}:v=${type === 'audio' ? '0:a=1' : '1:a=0'}[${outLabel}]`;
+}
+
+/**
+ * Input pad for one of a clip's streams, cut down to its keep ranges if it has
+ * any. Returns the filter graph that does the cutting (or '') and the pad it
+ * writes to.
+ */
+function clipInput(inputIndex, outLabel, decoration, type) {
+  const input = `[${inputIndex}:${type === 'audio' ? 'a' : 'v'}]`;
+  if (!decoration.keep) return { graph: '', pad: input };
+  return { graph: `${keepRangesGraph(input, decoration.keep, `${outLabel}cut`, type)};`, pad: `[${outLabel}cut]` };
+}
+
+/**
+ * Filter graph that cuts a clip to its keep ranges and scales it onto the
+ * profile's canvas, then applies its extra filters and logo watermark. Writes
+ * the result to [outLabel].
+ *
+ * @param {Object} profile - Encoding profile
+ * @param {number} inputIndex - FFmpeg input of the clip
+ * @param {string} outLabel - Output pad name
+ * @param {Object} decoration - { keep, videoFilter, watermark } (all optional)
+ * @param {number} [watermarkIndex] - FFmpeg input of the watermark image
+ */
+function videoGraph(profile, inputIndex, outLabel, decoration, watermarkIndex) {
+  const { videoFilter, watermark } = decoration;
+  const input = clipInput(inputIndex, outLabel, decoration, 'video');
+  const base = `${input.graph}${input.pad}${scaleFilter(profile, `${outLabel}fit`)}${videoFilter ? `,${videoFilter}` : ''}`;
+  if (!watermark) return `${base}[${outLabel}]`;
+
+  const width = Math.round((profile.width * watermark.scale) / 2) * 2;
+  const margin = Math.round((WATERMARK_MARGIN * profile.width) / 1280);
+  const x = watermark.position.endsWith('left') ? margin : `W-w-${margin}`;
+  const y = watermark.position.startsWith('top') ? margin : `H-h-${margin}`;
+
+  return `${base}[${outLabel}base];` +
+    `[${watermarkIndex}:v]scale=${width}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[${outLabel}logo];` +
+    `[${outLabel}base][${outLabel}logo]overlay=${x}:${y}[${outLabel}]`;
+}
+
+/**
+ * Filter graph for a clip's audio: cut to its keep ranges and loudness-normalized
+ * to the profile, or a silent track as long as the clip if it has no audio or
+ * is muted. Writes the result to [outLabel].
+ *
+ * @param {Object} profile - Encoding profile
+ * @param {number} inputIndex - FFmpeg input of the clip
+ * @param {string} outLabel - Output pad name
+ * @param {Object} decoration - { keep, silent, duration } (all optional; duration is after cutting)
+ */
+function audioGraph(profile, inputIndex, outLabel, decoration) {
+  if (decoration.silent) {
+    if (!decoration.duration) throw new Error('Cannot add a silent track to a clip of unknown duration');
+    return `${silentAudio(profile, decoration.duration)}[${outLabel}]`;
+  }
+  const input = clipInput(inputIndex, outLabel, decoration, 'audio');
+  return `${input.graph}${input.pad}${audioFilter(profile)}[${outLabel}]`;
+}
+
+/**
+ * Normalize a clip to the intermediate format used for concatenation
+ * @param {string} inputPath - Source video
+ * @param {string} outputPath - Destination .ts file
+ * @param {Object} profile - Encoding profile from resolveProfile()
+ * @param {Object} [runOptions] - Passed to runFFmpeg (duration, onProgress, clock)
+ * @param {Object} [decoration] - Per-clip additions
+ * @param {Object[]} [decoration.keep] - Time ranges { start, end } to keep, in order; the rest is cut
+ * @param {string} [decoration.videoFilter] - Extra filters after scaling (e.g., a lower-third)
+ * @param {Object} [decoration.watermark] - Logo from getWatermark(): { path, position, scale, opacity }
+ * @param {boolean} [decoration.silent] - Replace the clip's audio with silence (requires duration)
+ * @param {number} [decoration.duration] - Clip length in seconds, after cutting
+ */
+function normalizeVideo(inputPath, outputPath, profile, runOptions, decoration = {}) {
+  const inputs = ['-i', inputPath];
+  if (decoration.watermark) inputs.push('-i', decoration.watermark.path);
+
+  return runFFmpeg([
+    '-y', ...inputs,
+    '-filter_complex', `${videoGraph(profile, 0, 'v', decoration, 1)};${audioGraph(profile, 0, 'a', decoration)}`,
+    '-map', '[v]', '-map', '[a]',
+    ...intermediateArgs(profile),
+    outputPath
+  ], runOptions);
+}
+
+/**
+ * Time during which at least one of a merge's FFmpeg processes is running.
+ * Waits for an encoder, probing and cache lookups don't count, so strategies
+ * are compared on their encoding alone; parallel encodes count once.
+ * @returns {Object} - { start(), stop() } for runFFmpeg's clock option, and elapsedMs()
+ */
+function createEncodeClock() {
+  let running = 0;
+  let since = 0;
+  let totalMs = 0;
+  return {
+    start: () => {
+      if (running++ === 0) since = Date.now();
+    },
+    stop: () => {
+      if (--running === 0) totalMs += Date.now() - since;
+    },
+    elapsedMs: () => totalMs + (running > 0 ? Date.now() - since : 0)
+  };
+}
+
+/**
+ * Record a merge's encode time for its strategy
+ */
+function recordTiming(strategy, durationMs) {
+  const t = timings[strategy] || (timings[strategy] = { merges: 0, totalMs: 0, lastMs: 0, minMs: null, maxMs: 0 });
+  t.merges++;
+  t.totalMs += durationMs;
+  t.lastMs = durationMs;
+  t.minMs = t.minMs === null ? durationMs : Math.min(t.minMs, durationMs);
+  t.maxMs = Math.max(t.maxMs, durationMs);
+}
+
+/**
+ * Temp path for a segment's intermediate
+ */
+function tempSegmentPath(mergeId, index) {
+  return path.join(os.tmpdir(), `segment-${mergeId}-${index}.ts`);
+}
+
+/**
+ * Get a segment's normalized intermediate: the cached one if the segment has
+ * one, otherwise normalize it into a temp file
+ */
+async function normalizeSegment(segment, tempPath, profile, runOptions) {
+  // Cached intermediates can carry a shop watermark but not per-video filters or cuts
+  if (segment.getNormalized && !segment.videoFilter && !segment.keep) {
+    return segment.getNormalized(profile, runOptions, segment);
+  }
+  await normalizeVideo(segment.path, tempPath, profile, runOptions, segment);
+  return tempPath;
+}
+
+/**
+ * Merge in a single FFmpeg pass using the concat filter
+ */
+async function mergeWithConcatFilter(segments, outputPath, profile, passOptions, durations) {
+  const inputs = segments.flatMap(segment => ['-i', segment.path]);
+
+  // Watermark images are extra inputs after the clips
+  const filters = segments.map((segment, i) => {
+    let watermarkIndex;
+    if (segment.watermark) {
+      watermarkIndex = inputs.length / 2;
+      inputs.push('-i', segment.watermark.path);
+    }
+    return `${videoGraph(profile, i, `v${i}`, segment, watermarkIndex)};${audioGraph(profile, i, `a${i}`, segment)};`;
+  });
+  const concatInputs = segments.map((segment, i) => `[v${i}][a${i}]`).join('');
+
+  console.log('   Step 1/1: Scaling and concatenating in one pass...');
+  await runFFmpeg([
+    '-y', ...inputs,
+    '-filter_complex',
+    `${filters.join('')}${concatInputs}concat=n=${segments.length}:v=1:a=1[v][a]`,
+    '-map', '[v]', '-map', '[a]',
+    ...videoCodecArgs(profile),
+    ...audioCodecArgs(profile),
+    ...containerArgs(profile),
+    outputPath
+  ], passOptions(1, 'concat-filter', durations.total));
+}
+
+/**
+ * Merge by normalizing all segments concurrently, then stream-copying the concat
+ */
+async function mergeInParallel(segments, outputPath, profile, passOptions, durations) {
+  const mergeId = crypto.randomUUID();
+  const tempPaths = segments.map((segment, i) => tempSegmentPath(mergeId, i));
+
+  try {
+    console.log(`   Step 1/2: Converting ${segments.length} segments in parallel...`);
+    const intermediates = await Promise.all(segments.map((segment, i) =>
+      normalizeSegment(segment, tempPaths[i], profile, passOptions(1, segment.label, durations.segments[i]))
+    ));
+
+    // All intermediates share codecs and parameters, so no re-encode is needed
+    console.log('   Step 2/2: Concatenating (stream copy)...');
+    await runFFmpeg([
+      '-y',
+      '-i', `concat:${intermediates.join('|')}`,
+      '-c', 'copy',
+      '-bsf:a', 'aac_adtstoasc',
+      ...containerArgs(profile),
+      outputPath
+    ], passOptions(2, 'concat', durations.total));
+
+  } finally {
+    // Cleanup temp files (cached intermediates are shared, so leave them)
+    for (const tempPath of tempPaths) {
+      try { fs.unlinkSync(tempPath); } catch(e) {}
+    }
+  }
+}
+
+/**
+ * Merge with FFmpeg one segment at a time (the original multi-pass merge)
+ * Passes 1..N: Normalize each segment to intermediate format (MPEG-TS)
+ * Final pass: Concatenate the normalized segments, re-encoding
+ */
+async function mergeSequentially(segments, outputPath, profile, passOptions, durations) {
+  const mergeId = crypto.randomUUID();
+  const tempPaths = segments.map((segment, i) => tempSegmentPath(mergeId, i));
+  const passes = segments.length + 1;
+
+  try {
+    const intermediates = [];
+    for (let i = 0; i < segments.length; i++) {
+      console.log(`   Step ${i + 1}/${passes}: Converting ${segments[i].label} video...`);
+      intermediates.push(await normalizeSegment(segments[i], tempPaths[i], profile, passOptions(i + 1, segments[i].label, durations.segments[i])));
+    }
+
+    console.log(`   Step ${passes}/${passes}: Concatenating...`);
+    await runFFmpeg([
+      '-y',
+      '-i', `concat:${intermediates.join('|')}`,
+      ...videoCodecArgs(profile),
+      ...audioCodecArgs(profile),
+      ...containerArgs(profile),
+      outputPath
+    ], passOptions(passes, 'concat', durations.total));
+
+  } finally {
+    // Cleanup temp files (cached intermediates are shared, so leave them)
+    for (const tempPath of tempPaths) {
+      try { fs.unlinkSync(tempPath); } catch(e) {}
+    }
+  }
+}
+
+/**
+ * The profile to normalize clips with before joining their intermediates:
+ * unchanged if it sets a frame rate or the clips share one, otherwise with
+ * the highest of their rates
+ *
+ * @param {Object} profile - Encoding profile from resolveProfile()
+ * @param {Array<Object|null>} media - probeMedia() results of the clips (null if unknown)
+ * @returns {Object}
+ */
+function concatProfile(profile, media) {
+  if (profile.frameRate) return profile;
+
+  const rates = new Set(media.map(clip => clip?.video?.frameRate).filter(Boolean));
+  if (rates.size <= 1) return profile;
+
+  const frameRate = Math.max(...rates);
+  console.log(`   Clips recorded at ${[...rates].join(', ')} fps; joining at ${frameRate} fps`);
+  return { ...profile, frameRate };
+}
+
+/**
+ * Merge an ordered timeline of video segments into one video
+ *
+ * Every clip's audio is loudness-normalized; clips without an audio stream
+ * (or with mute set) get a silent track so the concat stays in sync.
+ *
+ * @param {Object[]} segments - Clips in playback order, each { path, label, media, getNormalized, keep, videoFilter, watermark, mute }
+ *   - path: local video file
+ *   - label: name used in logs and progress events (e.g., 'issue', 'explainer', 'preroll')
+ *   - media: optional probeMedia() result, probed here if missing
+ *   - getNormalized: optional async (profile, runOptions, decoration) => path of a cached intermediate
+ *     for this clip, used instead of normalizing it by strategies that concat intermediates
+ *   - keep: optional { start, end } time ranges (seconds) to keep from this clip, from resolveKeepRanges()
+ *   - videoFilter: optional filters applied to this clip after scaling (e.g., a lower-third)
+ *   - watermark: optional logo from getWatermark() overlaid on this clip
+ *   - mute: optional, replace this clip's audio with silence (e.g., shop noise in the tech's recording)
+ * @param {string} outputPath - Destination .mp4
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - 'parallel', 'concat-filter' or 'sequential' (default MERGE_STRATEGY env or 'parallel')
+ * @param {Object} [options.profile] - Encoding profile from resolveProfile() (default ENCODING_PROFILE env or hd720)
+ * @param {Function} [options.onProgress] - Called with { pass, passes, label, percent } as each pass encodes.
+ *   percent is null when ffprobe can't determine the input duration.
+ * @param {number} [options.targetSize] - Maximum output size in bytes, from parseTargetSize()
+ * @returns {Promise<{outputPath: string, strategy: string, profile: string, durationMs: number, targetSize: Object|null}>}
+ *   durationMs is the time spent encoding (see createEncodeClock()); targetSize is
+ *   describeTargetSize()'s summary when options.targetSize was given
+ * @throws {HttpError} - 422 TARGET_SIZE_TOO_SMALL before encoding if the target can't be met
+ */
+async function mergeVideos(segments, outputPath, options = {}) {
+  const { onProgress, targetSize } = options;
+  const strategy = resolveStrategy(options.strategy);
+  const profile = options.profile || resolveProfile();
+  const mergePasses = { 'parallel': 2, 'concat-filter': 1, 'sequential': segments.length + 1 }[strategy];
+  const passes = targetSize ? mergePasses + 2 : mergePasses;
+  const clock = createEncodeClock();
+
+  console.log(`[video] Starting FFmpeg merge of ${segments.length} segments (${strategy}, ${profile.name})...`);
+
+  // Durations drive progress percentages and the length of synthesized silent tracks
+  const media = await Promise.all(segments.map(segment => segment.media || probeMedia(segment.path).catch(() => null)));
+  const clips = segments.map((segment, i) => ({
+    ...segment,
+    duration: segment.keep ? keptDuration(segment.keep) : (media[i]?.duration || null),
+    silent: !!segment.mute || (media[i] ? !media[i].hasAudio : false)
+  }));
+
+  for (const clip of clips) {
+    console.log(`   ${clip.label}: ${clip.path}${clip.silent ? (clip.mute ? ' (muted)' : ' (no audio, adding silence)') : ''}`);
+  }
+
+  const segmentDurations = clips.map(clip => clip.duration);
+  const durations = {
+    segments: segmentDurations,
+    total: segmentDurations.every(Boolean) ? segmentDurations.reduce((sum, d) => sum + d, 0) : null
+  };
+
+  // Plan the size before encoding anything, so an impossible target fails fast
+  let sizePlan = null;
+  if (targetSize) {
+    if (!durations.total) throw new Error('Cannot encode to a target size without the timeline duration');
+    sizePlan = planTargetSize(profile, durations.total, targetSize);
+    console.log(`   Target size: ${(targetSize / 1024 / 1024).toFixed(1)} MB -> ${sizePlan.videoBitrate}k video ` +
+      `at ${sizePlan.width}x${sizePlan.height}, ${sizePlan.audioBitrate}k audio`);
+  }
+
+  // Build runFFmpeg options that report progress for one pass
+  const passOptions = (pass, label, duration) => ({
+    duration,
+    clock,
+    onProgress: onProgress && (({ percent }) => onProgress({ pass, passes, label, percent }))
+  });
+
+  // With a target size the merge is a master for the two-pass encode
+  const mergedPath = sizePlan ? `${outputPath}.master.mp4` : outputPath;
+  let sizeResult = null;
+
+  try {
+    if (strategy === 'concat-filter') {
+      await mergeWithConcatFilter(clips, mergedPath, profile, passOptions, durations);
+    } else if (strategy === 'parallel') {
+      await mergeInParallel(clips, mergedPath, concatProfile(profile, media), passOptions, durations);
+    } else {
+      await mergeSequentially(clips, mergedPath, concatProfile(profile, media), passOptions, durations);
+    }
+
+    if (sizePlan) {
+      // A merge that already fits is better quality than squeezing it again
+      const twoPass = fs.statSync(mergedPath).size > targetSize;
+      if (twoPass) {
+        console.log(`   Step ${mergePasses + 1}/${passes}: Two-pass encode to target size...`);
+        await encodeToTargetSize(mergedPath, outputPath, profile, sizePlan,
+          (pass) => passOptions(mergePasses + pass, `target-size-${pass}`, durations.total));
+      } else {
+        fs.renameSync(mergedPath, outputPath);
+      }
+      sizeResult = describeTargetSize(sizePlan, profile, outputPath, durations.total, twoPass);
+    }
+  } finally {
+    if (sizePlan) {
+      try { fs.unlinkSync(mergedPath); } catch (e) {}
+    }
+  }
+
+  const durationMs = clock.elapsedMs();
+  recordTiming(strategy, durationMs);
+
+  console.log(`[video] FFmpeg merge complete! (${strategy}, ${(durationMs / 1000).toFixed(1)}s encoding)`);
+  return { outputPath, strategy, profile: profile.name, durationMs, targetSize: sizeResult };
+}
+
+/**
+ * Wrap a cached source so its normalized intermediate is fetched or built on
+ * demand via getNormalized(profile, runOptions, decoration), which mergeVideos()
+ * calls for the segment. decoration may carry a watermark and silent/duration.
+ */
+function withIntermediate(source, label) {
+  // cache profile -> intermediate handle; each encoding profile, watermark and silent variant is its own render
+  const intermediates = new Map();
+
+  const prepared = {
+    path: source.path,
+    size: source.size,
+    cache: source.cache,
+    intermediateCache: null,
+
+    getNormalized: async (profile = resolveProfile(), runOptions, decoration = {}) => {
+      const { watermark, silent, duration } = decoration;
+      let cacheProfile = intermediateProfile(profile);
+      if (watermark) cacheProfile += `-wm-${crypto.createHash('sha256').update(watermark.version).digest('hex').slice(0, 12)}`;
+      if (silent) cacheProfile += '-silent';
+
+      let intermediate = intermediates.get(cacheProfile);
+      if (!intermediate) {
+        intermediate = await acquireIntermediate(source, cacheProfile, (outputPath) => {
+          console.log(`[video] Normalizing ${label} for profile ${cacheProfile}...`);
+          return normalizeVideo(source.path, outputPath, profile, runOptions, { watermark, silent, duration });
+        });
+        intermediates.set(cacheProfile, intermediate);
+        prepared.intermediateCache = intermediate.cache;
+      }
+      return intermediate.path;
+    },
+
+    release: () => {
+      for (const intermediate of intermediates.values()) intermediate.release();
+      source.release();
+    }
+  };
+
+  return prepared;
+}
+
+/**
+ * Get an explainer from the cache, downloading it if needed. Its normalized
+ * intermediate is fetched or built on demand via getNormalized().
+ *
+ * @param {string} explainerId - Supabase explainer video ID
+ * @param {string} fileUrl - The explainer's file_url
+ * @returns {Promise<Object>} - { path, size, cache, intermediateCache, getNormalized, release }
+ *   intermediateCache is null until getNormalized() has run, then 'hit' or 'miss'.
+ *   Call release() once the merge is done.
+ */
+async function prepareExplainer(explainerId, fileUrl) {
+  const source = await acquireExplainer(explainerId, fileUrl);
+  return withIntermediate(source, `explainer ${explainerId}`);
+}
+
+/**
+ * Prepare a local asset (e.g. a shop pre-roll) for merging. Its normalized
+ * intermediate is cached like an explainer's, keyed by path, size and mtime.
+ *
+ * @param {string} assetPath - Absolute path to the asset
+ * @returns {Object} - Same shape as prepareExplainer(), with cache 'local'
+ */
+function prepareAsset(assetPath) {
+  const stat = fs.statSync(assetPath);
+  const source = {
+    path: assetPath,
+    size: stat.size,
+    cache: 'local',
+    entry: {
+      key: crypto.createHash('sha256').update(`asset\n${assetPath}`).digest('hex'),
+      explainerId: `asset:${path.basename(assetPath)}`,
+      fileUrl: `file://${assetPath}`,
+      etag: `${stat.size}-${stat.mtimeMs}`,
+      size: stat.size
+    },
+    release: () => {}
+  };
+  return withIntermediate(source, `asset ${path.basename(assetPath)}`);
+}
+
+/**
+ * Merge encode-time statistics per strategy for the health endpoint
+ * @returns {Object} - { defaultStrategy, strategies: { [strategy]: { merges, avgMs, lastMs, minMs, maxMs } } }
+ */
+function getMergeStats() {
+  const strategies = {};
+  for (const [strategy, t] of Object.entries(timings)) {
+    strategies[strategy] = {
+      merges: t.merges,
+      avgMs: Math.round(t.totalMs / t.merges),
+      lastMs: t.lastMs,
+      minMs: t.minMs,
+      maxMs: t.maxMs
+    };
+  }
+  return { defaultStrategy: DEFAULT_STRATEGY, strategies };
+}
+
+module.exports = {
+  MERGE_STRATEGIES,
+  intermediateProfile,
+  concatProfile,
+  resolveStrategy,
+  normalizeVideo,
+  mergeVideos,
+  prepareExplainer,
+  prepareAsset,
+  getMergeStats
+};
@@ -0,0 +1,162 @@
+/**
+ * Photo Normalization
+ * Turns a tech's still photo (JPEG, PNG, HEIC...) into a JPEG ready to attach
+ * to an inspection task: upright, no larger than PHOTO_MAX_DIMENSION pixels
+ * on its longest side (default 2048), and without EXIF metadata such as the
+ * GPS position of the shop or the tech's phone details. Uses FFmpeg, so no
+ * image libraries are needed in the container; HEIC needs FFmpeg 6.1 or later
+ * (the Dockerfile installs 7.1).
+ */
+
+const fs = require('fs');
+const { runFFmpeg, probeMedia } = require('./ffmpeg');
+const { HttpError } = require('./errors');
+
+// Photos arrive in multipart fields photoFile, photoFile2, photoFile3...
+const PHOTO_FIELD_PATTERN = /^photoFile\d*$/;
+
+const MAX_DIMENSION = parseInt(process.env.PHOTO_MAX_DIMENSION) || 2048;
+const JPEG_QUALITY = 3; // FFmpeg's mjpeg scale, 2 (best) to 31
+const EXIF_SCAN_BYTES = 128 * 1024; // The EXIF block sits at the start of a JPEG
+
+// EXIF orientation -> filters that turn the stored pixels upright
+const ORIENTATION_FILTERS = {
+  2: 'hflip',
+  3: 'hflip,vflip',
+  4: 'vflip',
+  5: 'transpose=cclock_flip',
+  6: 'transpose=clock',
+  7: 'transpose=clock_flip',
+  8: 'transpose=cclock'
+};
+
+/**
+ * Find the EXIF orientation tag in the start of a JPEG. Every offset is
+ * checked against the data, so a truncated or corrupt EXIF block reads as 1.
+ * @param {Buffer} data - The first bytes of the file (the EXIF block sits near the start)
+ * @returns {number} - 1 (as stored) to 8; 1 if there is no readable orientation tag
+ */
+function jpegOrientation(data) {
+  const length = data.length;
+  const fits = (at, bytes) => at >= 0 && at + bytes <= length;
+
+  // Walk the segments after the SOI marker until the image data starts
+  let offset = 2;
+  while (fits(offset, 4) && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const size = data.readUInt16BE(offset + 2);
+    if (marker === 0xda) break;
+
+    if (marker === 0xe1 && fits(offset, 10) && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const tiff = offset + 10;
+      if (!fits(tiff, 8)) return 1;
+      const littleEndian = data.toString('latin1', tiff, tiff + 2) === 'II';
+      const read16 = (at) => (littleEndian ? data.readUInt16LE(at) : data.readUInt16BE(at));
+      const read32 = (at) => (littleEndian ? data.readUInt32LE(at) : data.readUInt32BE(at));
+
+      const ifd = tiff + read32(tiff + 4);
+      if (!fits(ifd, 2)) return 1;
+      const entries = read16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (!fits(entry, 12)) break;
+        if (read16(entry) === 0x0112) {
+          const orientation = read16(entry + 8);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + size;
+  }
+  return 1;
+}
+
+/**
+ * Read the EXIF orientation tag of a JPEG
+ * @param {string} filePath - Local JPEG file
+ * @returns {number} - 1 (as stored) to 8; 1 if the file has no orientation tag
+ */
+function readJpegOrientation(filePath) {
+  const buffer = Buffer.alloc(EXIF_SCAN_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  let length;
+  try {
+    length = fs.readSync(fd, buffer, 0, EXIF_SCAN_BYTES, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return jpegOrientation(buffer.subarray(0, length));
+}
+
+/**
+ * Convert a photo to an upright, downsized JPEG without metadata
+ *
+ * @param {string} inputPath - The uploaded photo
+ * @param {string} outputPath - Destination .jpg
+ * @param {string} format - Format sniffed from the upload (jpeg, png, heic...)
+ * @returns {Promise<Object>} - { originalFormat, originalWidth, originalHeight, orientation, width, height, bytes, resized }
+ * @throws {HttpError} - 400 EMPTY_FILE, 422 INVALID_IMAGE if FFmpeg can't read the photo,
+ *   503 ENCODER_BUSY (see encodeQueue)
+ */
+async function normalizePhoto(inputPath, outputPath, format) {
+  let original;
+  try {
+    original = await probeMedia(inputPath);
+  } catch (error) {
+    if (error.code !== 'INVALID_MEDIA') throw error;
+    throw new HttpError(422, 'INVALID_IMAGE', `The ${format} file could not be read: ${error.message}`);
+  }
+  if (!original.video?.width || !original.video?.height) {
+    throw new HttpError(422, 'INVALID_IMAGE', `The ${format} file has no readable image`);
+  }
+
+  const inputArgs = [];
+  const filters = [];
+  let orientation = 1;
+
+  // FFmpeg versions differ on whether they apply a JPEG's EXIF orientation,
+  // so do it explicitly. Other formats keep FFmpeg's own handling (HEIC rotation boxes).
+  if (format === 'jpeg') {
+    orientation = readJpegOrientation(inputPath);
+    inputArgs.push('-noautorotate');
+    if (ORIENTATION_FILTERS[orientation]) filters.push(ORIENTATION_FILTERS[orientation]);
+  }
+  filters.push(`scale=w='min(iw,${MAX_DIMENSION})':h='min(ih,${MAX_DIMENSION})':force_original_aspect_ratio=decrease`);
+
+  try {
+    await runFFmpeg([
+      '-y', ...inputArgs, '-i', inputPath,
+      '-vf', filters.join(','),
+      '-frames:v', '1',
+      '-map_metadata', '-1', // The re-encoded JPEG carries no EXIF, GPS or comments
+      '-pix_fmt', 'yuvj420p',
+      '-q:v', String(JPEG_QUALITY),
+      '-f', 'image2',
+      outputPath
+    ]);
+  } catch (error) {
+    // A busy encoder (503) or missing FFmpeg isn't the photo's fault
+    if (error instanceof HttpError || error.code === 'ENOENT') throw error;
+    throw new HttpError(422, 'INVALID_IMAGE', `The ${format} image could not be converted: ${error.message}`);
+  }
+
+  const converted = await probeMedia(outputPath);
+  const { width, height } = converted.video;
+  return {
+    originalFormat: format,
+    originalWidth: original.video.width,
+    originalHeight: original.video.height,
+    orientation,
+    width,
+    height,
+    bytes: converted.size,
+    resized: Math.max(width, height) < Math.max(original.video.width, original.video.height)
+  };
+}
+
+module.exports = {
+  PHOTO_FIELD_PATTERN,
+  jpegOrientation,
+  normalizePhoto
+};
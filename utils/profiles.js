@@ -0,0 +1,207 @@
+/**
+ * Encoding Profiles
+ * Named output settings for merged videos: resolution, frame rate, video
+ * quality, audio and container flags. Chosen per request with the `profile`
+ * field, per shop with `encodingProfile` in the shop config, or globally with
+ * ENCODING_PROFILE (default hd720).
+ *
+ * A resolved profile also carries the fill mode used to fit clips whose aspect
+ * ratio differs from the canvas (e.g. portrait phone video in a 16:9 output):
+ * - pad: scale to fit and add black bars (the original behavior)
+ * - blur: scale to fit over a blurred, zoomed copy of the clip
+ *
+ * audio.loudness is the EBU R128 integrated loudness target (LUFS) every clip
+ * is normalized to, so explainers and phone recordings play at the same level.
+ */
+
+const { HttpError } = require('./errors');
+
+const ENCODING_PROFILES = {
+  // The original merge output
+  hd720: {
+    width: 1280,
+    height: 720,
+    frameRate: null, // Keep the source frame rate
+    video: { preset: 'fast', crf: 23, maxBitrate: null },
+    audio: { bitrate: '128k', sampleRate: 44100, channels: 2, loudness: -16 },
+    movflags: '+faststart'
+  },
+  hd1080: {
+    width: 1920,
+    height: 1080,
+    frameRate: 30,
+    video: { preset: 'fast', crf: 22, maxBitrate: null },
+    audio: { bitrate: '160k', sampleRate: 48000, channels: 2, loudness: -16 },
+    movflags: '+faststart'
+  },
+  // Small enough to text to a customer
+  'sms-480p': {
+    width: 854,
+    height: 480,
+    frameRate: 24,
+    video: { preset: 'veryfast', crf: 28, maxBitrate: '700k' },
+    audio: { bitrate: '64k', sampleRate: 44100, channels: 1, loudness: -16 },
+    movflags: '+faststart'
+  },
+  // For timelines recorded entirely in portrait
+  vertical: {
+    width: 720,
+    height: 1280,
+    frameRate: null,
+    video: { preset: 'fast', crf: 23, maxBitrate: null },
+    audio: { bitrate: '128k', sampleRate: 44100, channels: 2, loudness: -16 },
+    movflags: '+faststart'
+  },
+  // High quality copy for records, not for streaming
+  archive: {
+    width: 1920,
+    height: 1080,
+    frameRate: null,
+    video: { preset: 'slow', crf: 18, maxBitrate: null },
+    audio: { bitrate: '192k', sampleRate: 48000, channels: 2, loudness: -16 },
+    movflags: '+faststart'
+  }
+};
+
+const FILL_MODES = ['pad', 'blur'];
+const DEFAULT_PROFILE = process.env.ENCODING_PROFILE || 'hd720';
+const DEFAULT_FILL_MODE = process.env.FILL_MODE || 'pad';
+
+/**
+ * Look up an encoding profile by name, falling back to the default
+ * @param {string} [name] - Requested profile name
+ * @param {string} [fillMode] - 'pad' or 'blur' (default FILL_MODE env or pad)
+ * @returns {Object} - The profile, with its name and fillMode
+ * @throws {HttpError} - 400 INVALID_PROFILE or INVALID_FILL_MODE for unknown names
+ */
+function resolveProfile(name, fillMode) {
+  const profileName = name || DEFAULT_PROFILE;
+  const profile = ENCODING_PROFILES[profileName];
+  if (!profile) {
+    throw new HttpError(400, 'INVALID_PROFILE', `profile must be one of: ${Object.keys(ENCODING_PROFILES).join(', ')}`);
+  }
+
+  const mode = fillMode || DEFAULT_FILL_MODE;
+  if (!FILL_MODES.includes(mode)) {
+    throw new HttpError(400, 'INVALID_FILL_MODE', `fillMode must be one of: ${FILL_MODES.join(', ')}`);
+  }
+
+  return { name: profileName, ...profile, fillMode: mode };
+}
+
+/**
+ * Round down to an even number of pixels, as yuv420p requires
+ */
+function even(pixels) {
+  return Math.max(2, Math.floor(pixels / 2) * 2);
+}
+
+/**
+ * Video filter that fits a clip into the profile's output canvas using its
+ * fill mode. FFmpeg applies rotation metadata before filtering, so clips are
+ * fitted in the orientation they were recorded in.
+ *
+ * The blur fill is a small filter graph; its internal pads are prefixed with
+ * `label` so several can share one -filter_complex.
+ *
+ * @param {Object} profile - Resolved profile
+ * @param {string} [label] - Unique pad prefix (default 'fit')
+ * @returns {string}
+ */
+function scaleFilter(profile, label = 'fit') {
+  const { width, height, frameRate } = profile;
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  let filter;
+
+  if (profile.fillMode === 'blur') {
+    // Blurring a small copy and scaling it up is much cheaper than blurring at full size
+    const smallWidth = even(width / 8);
+    const smallHeight = even(height / 8);
+    filter = `split=2[${label}bg][${label}fg];` +
+      `[${label}bg]scale=${smallWidth}:${smallHeight}:force_original_aspect_ratio=increase,crop=${smallWidth}:${smallHeight},` +
+      `boxblur=4:2,scale=${width}:${height},setsar=1[${label}blur];` +
+      `[${label}fg]${fit},setsar=1[${label}clip];` +
+      `[${label}blur][${label}clip]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+  } else {
+    filter = `${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+  }
+
+  return frameRate ? `${filter},fps=${frameRate}` : filter;
+}
+
+/**
+ * FFmpeg channel layout name for a profile's audio
+ */
+function channelLayout(profile) {
+  return profile.audio.channels === 1 ? 'mono' : 'stereo';
+}
+
+/**
+ * Audio filter that normalizes a clip's loudness (EBU R128, single pass) and
+ * converts it to the profile's sample rate and channel layout
+ */
+function audioFilter(profile) {
+  const { sampleRate, loudness } = profile.audio;
+  const format = `aresample=${sampleRate},aformat=sample_rates=${sampleRate}:channel_layouts=${channelLayout(profile)}`;
+  return loudness ? `loudnorm=I=${loudness}:TP=-1.5:LRA=11,${format}` : format;
+}
+
+/**
+ * Audio source filter producing silence in the profile's format
+ * @param {Object} profile - Resolved profile
+ * @param {number} duration - Length in seconds
+ */
+function silentAudio(profile, duration) {
+  return `anullsrc=channel_layout=${channelLayout(profile)}:sample_rate=${profile.audio.sampleRate},atrim=duration=${duration}`;
+}
+
+/**
+ * FFmpeg H.264 encoder arguments for a profile
+ */
+function videoCodecArgs(profile) {
+  const { preset, crf, maxBitrate } = profile.video;
+  const args = ['-c:v', 'libx264', '-preset', preset, '-crf', String(crf)];
+  // Cap peaks so the file size stays predictable; the buffer is two seconds at the cap
+  if (maxBitrate) args.push('-maxrate', maxBitrate, '-bufsize', `${parseInt(maxBitrate) * 2}k`);
+  return args;
+}
+
+/**
+ * FFmpeg AAC encoder arguments for a profile
+ */
+function audioCodecArgs(profile) {
+  const { bitrate, sampleRate, channels } = profile.audio;
+  return ['-c:a', 'aac', '-b:a', bitrate, '-ar', String(sampleRate), '-ac', String(channels)];
+}
+
+/**
+ * FFmpeg MP4 container arguments for a profile
+ */
+function containerArgs(profile) {
+  return profile.movflags ? ['-movflags', profile.movflags] : [];
+}
+
+/**
+ * Summary of a profile for API responses
+ */
+function describeProfile(profile) {
+  const { name, width, height, frameRate, fillMode, video, audio } = profile;
+  return {
+    name, width, height, frameRate, fillMode,
+    crf: video.crf, maxBitrate: video.maxBitrate, audioBitrate: audio.bitrate, loudness: audio.loudness
+  };
+}
+
+module.exports = {
+  ENCODING_PROFILES,
+  FILL_MODES,
+  DEFAULT_PROFILE,
+  resolveProfile,
+  scaleFilter,
+  audioFilter,
+  silentAudio,
+  videoCodecArgs,
+  audioCodecArgs,
+  containerArgs,
+  describeProfile
+};
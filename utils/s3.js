@@ -3,46 +3,37 @@
  * Provides functions for uploading files to S3 using presigned URLs
  */
 
-const https = require('https');
 const fs = require('fs');
+const { Transform } = require('stream');
+const { request } = require('./httpClient');
+const { UpstreamError } = require('./errors');
 
 /**
  * Upload file to S3 via PUT request using presigned URL
  * @param {string} presignedUrl - The presigned S3 URL for PUT upload
  * @param {string} filePath - Local path to the file to upload
  * @param {string} contentType - MIME type of the file (e.g., 'video/mp4')
- * @returns {Promise<{success: boolean}>} - Resolves on success, rejects on failure
+ * @returns {Promise<{success: boolean, attempts: number}>} - Resolves on success
+ * @throws {UpstreamError} - If S3 rejects the upload or can't be reached (after retries)
  */
-function uploadToS3(presignedUrl, filePath, contentType) {
-  return new Promise((resolve, reject) => {
-    const fileSize = fs.statSync(filePath).size;
-    const fileStream = fs.createReadStream(filePath);
-    const urlObj = new URL(presignedUrl);
-
-    console.log(`[S3] Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB via PUT...`);
-
-    const req = https.request({
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname + urlObj.search,
-      method: 'PUT',
-      headers: { 'Content-Type': contentType, 'Content-Length': fileSize }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          console.log('[S3] PUT upload complete!');
-          resolve({ success: true });
-        } else {
-          reject(new Error(`S3 PUT upload failed: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+async function uploadToS3(presignedUrl, filePath, contentType) {
+  const fileSize = fs.statSync(filePath).size;
+
+  console.log(`[S3] Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB via PUT...`);
 
-    req.on('error', reject);
-    fileStream.pipe(req);
+  const response = await request(presignedUrl, {
+    service: 'S3',
+    method: 'PUT',
+    idempotent: true, // The same object written again
+    headers: { 'Content-Type': contentType, 'Content-Length': fileSize },
+    body: () => fs.createReadStream(filePath) // Re-read from the start on each attempt
   });
+
+  if (response.status !== 200) {
+    throw new UpstreamError('S3', `S3 PUT upload failed: ${response.status} - ${response.body}`, response);
+  }
+  console.log('[S3] PUT upload complete!');
+  return { success: true, attempts: response.attempts };
 }
 
 /**
@@ -52,74 +43,77 @@ function uploadToS3(presignedUrl, filePath, contentType) {
  * @param {string} s3Key - The S3 object key (path/filename in bucket)
  * @param {string} filePath - Local path to the file to upload
  * @param {string} contentType - MIME type of the file (e.g., 'video/mp4')
- * @returns {Promise<{success: boolean}>} - Resolves on success, rejects on failure
+ * @param {Function} [onProgress] - Called with { bytesSent, totalBytes, percent } as the body
+ *   is written; starts again from 0 if the upload is retried
+ * @returns {Promise<{success: boolean, attempts: number}>} - Resolves on success
+ * @throws {UpstreamError} - If S3 rejects the upload or can't be reached (after retries)
  */
-function uploadToS3Form(s3Url, s3Fields, s3Key, filePath, contentType) {
-  return new Promise((resolve, reject) => {
-    const fileSize = fs.statSync(filePath).size;
-    const boundary = `----FormBoundary${Date.now()}`;
-    const urlObj = new URL(s3Url);
-
-    console.log(`[S3] Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB via POST...`);
-
-    // Build multipart form data manually
-    let formParts = [];
-
-    // Add all S3 signature fields first
-    for (const [key, value] of Object.entries(s3Fields)) {
-      formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`);
-    }
-
-    // Add key
-    formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="key"\r\n\r\n${s3Key}\r\n`);
-
-    // Add content-type
-    formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="Content-Type"\r\n\r\n${contentType}\r\n`);
-
-    // File header (file content added separately)
-    const fileHeader = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="video.mp4"\r\nContent-Type: ${contentType}\r\n\r\n`;
-    const fileFooter = `\r\n--${boundary}--\r\n`;
-
-    const preFileBuffer = Buffer.from(formParts.join('') + fileHeader);
-    const postFileBuffer = Buffer.from(fileFooter);
-    const totalLength = preFileBuffer.length + fileSize + postFileBuffer.length;
-
-    const req = https.request({
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': totalLength
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 204 || res.statusCode === 200 || res.statusCode === 201) {
-          console.log('[S3] POST upload complete!');
-          resolve({ success: true });
-        } else {
-          reject(new Error(`S3 POST upload failed: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+async function uploadToS3Form(s3Url, s3Fields, s3Key, filePath, contentType, onProgress) {
+  const fileSize = fs.statSync(filePath).size;
+  const boundary = `----FormBoundary${Date.now()}`;
 
-    req.on('error', reject);
+  console.log(`[S3] Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB via POST...`);
 
-    // Write form data before file
-    req.write(preFileBuffer);
+  // Build multipart form data manually
+  let formParts = [];
 
-    // Stream file content
+  // Add all S3 signature fields first
+  for (const [key, value] of Object.entries(s3Fields)) {
+    formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`);
+  }
+
+  // Add key
+  formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="key"\r\n\r\n${s3Key}\r\n`);
+
+  // Add content-type
+  formParts.push(`--${boundary}\r\nContent-Disposition: form-data; name="Content-Type"\r\n\r\n${contentType}\r\n`);
+
+  // File header (file content added separately)
+  const fileHeader = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="video.mp4"\r\nContent-Type: ${contentType}\r\n\r\n`;
+  const fileFooter = `\r\n--${boundary}--\r\n`;
+
+  const preFileBuffer = Buffer.from(formParts.join('') + fileHeader);
+  const postFileBuffer = Buffer.from(fileFooter);
+  const totalLength = preFileBuffer.length + fileSize + postFileBuffer.length;
+
+  // A fresh body for each attempt: form data, the file streamed from disk, closing boundary
+  const body = () => {
     const fileStream = fs.createReadStream(filePath);
-    fileStream.on('data', chunk => req.write(chunk));
-    fileStream.on('end', () => {
-      req.write(postFileBuffer);
-      req.end();
+    let bytesSent = 0;
+    const form = new Transform({
+      transform(chunk, encoding, callback) {
+        bytesSent += chunk.length;
+        if (onProgress) {
+          onProgress({ bytesSent, totalBytes: totalLength, percent: Math.round((bytesSent / totalLength) * 100) });
+        }
+        callback(null, chunk);
+      }
     });
-    fileStream.on('error', reject);
+    form.on('close', () => fileStream.destroy());
+    fileStream.on('error', error => form.destroy(error));
+    fileStream.on('end', () => form.end(postFileBuffer));
+
+    form.write(preFileBuffer);
+    fileStream.pipe(form, { end: false });
+    return form;
+  };
+
+  const response = await request(s3Url, {
+    service: 'S3',
+    method: 'POST',
+    idempotent: true, // The same object written again
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': totalLength
+    },
+    body
   });
+
+  if (![200, 201, 204].includes(response.status)) {
+    throw new UpstreamError('S3', `S3 POST upload failed: ${response.status} - ${response.body}`, response);
+  }
+  console.log('[S3] POST upload complete!');
+  return { success: true, attempts: response.attempts };
 }
 
 module.exports = {
@@ -0,0 +1,123 @@
+/**
+ * Per-Shop Configuration
+ * Branding and encoding settings for the shops served by this deployment,
+ * read from a JSON file keyed by shopId (SHOP_CONFIG_FILE, default
+ * <ASSETS_DIR>/shops.json). The file is re-read when it changes, so shops can
+ * be added without a restart. Shops missing from the file get the defaults.
+ *
+ * Example:
+ * {
+ *   "12": {
+ *     "encodingProfile": "sms-480p",
+ *     "fillMode": "blur",
+ *     "watermark": { "file": "shop-12-logo.png", "position": "top-right", "scale": 0.15, "opacity": 0.8, "apply": "both" }
+ *   }
+ * }
+ *
+ * Files referenced by the config are names inside ASSETS_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSETS_DIR = process.env.ASSETS_DIR || path.join(__dirname, '..', 'assets');
+const CONFIG_FILE = process.env.SHOP_CONFIG_FILE || path.join(ASSETS_DIR, 'shops.json');
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const WATERMARK_TARGETS = ['issue', 'explainer', 'both'];
+const WATERMARK_DEFAULTS = { position: 'top-right', scale: 0.15, opacity: 0.8, apply: 'both' };
+
+// Parsed config and the mtime it was read at
+let loaded = { mtimeMs: null, shops: {} };
+
+/**
+ * Path of a named file in the assets directory, or null if the name is not a
+ * plain file name (no directories or dotfiles)
+ */
+function assetPath(name) {
+  if (!name || typeof name !== 'string' || name !== path.basename(name) || name.startsWith('.')) return null;
+  return path.join(ASSETS_DIR, name);
+}
+
+/**
+ * Read the config file if it changed since the last read
+ */
+function loadConfig() {
+  let stat;
+  try {
+    stat = fs.statSync(CONFIG_FILE);
+  } catch (e) {
+    loaded = { mtimeMs: null, shops: {} };
+    return loaded.shops;
+  }
+
+  if (stat.mtimeMs !== loaded.mtimeMs) {
+    try {
+      loaded = { mtimeMs: stat.mtimeMs, shops: JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) };
+      console.log(`[shop-config] Loaded ${Object.keys(loaded.shops).length} shops from ${CONFIG_FILE}`);
+    } catch (e) {
+      // Keep serving the last good config rather than dropping every shop's branding
+      console.error(`[shop-config] Ignoring unreadable ${CONFIG_FILE}:`, e.message);
+      loaded.mtimeMs = stat.mtimeMs;
+    }
+  }
+
+  return loaded.shops;
+}
+
+/**
+ * Get a shop's configuration
+ * @param {string} shopId - TekMetric shop ID
+ * @returns {Object} - The shop's config object, or {} if it has none
+ */
+function getShopConfig(shopId) {
+  if (!shopId) return {};
+  return loadConfig()[String(shopId)] || {};
+}
+
+/**
+ * Get a shop's logo watermark settings
+ *
+ * @param {string} shopId - TekMetric shop ID
+ * @returns {Object|null} - { file, path, position, scale, opacity, apply, version }, or null if the
+ *   shop has no watermark or its config is invalid (logged, so a typo doesn't fail uploads)
+ */
+function getWatermark(shopId) {
+  const config = getShopConfig(shopId).watermark;
+  if (!config) return null;
+
+  const watermark = { ...WATERMARK_DEFAULTS, ...config };
+  const filePath = assetPath(watermark.file);
+
+  let problem = null;
+  if (!filePath) problem = 'file must be a file name in the assets directory';
+  else if (!fs.existsSync(filePath)) problem = `${watermark.file} not found in ${ASSETS_DIR}`;
+  else if (!WATERMARK_POSITIONS.includes(watermark.position)) problem = `position must be one of: ${WATERMARK_POSITIONS.join(', ')}`;
+  else if (!WATERMARK_TARGETS.includes(watermark.apply)) problem = `apply must be one of: ${WATERMARK_TARGETS.join(', ')}`;
+  else if (!(watermark.scale > 0 && watermark.scale <= 1)) problem = 'scale must be between 0 and 1';
+  else if (!(watermark.opacity > 0 && watermark.opacity <= 1)) problem = 'opacity must be between 0 and 1';
+
+  if (problem) {
+    console.error(`[shop-config] Watermark for shop ${shopId} ignored: ${problem}`);
+    return null;
+  }
+
+  const stat = fs.statSync(filePath);
+  return {
+    file: watermark.file,
+    path: filePath,
+    position: watermark.position,
+    scale: watermark.scale,
+    opacity: watermark.opacity,
+    apply: watermark.apply,
+    // Changes whenever the logo or its placement does, so cached renders are rebuilt
+    version: [watermark.file, stat.size, stat.mtimeMs, watermark.position, watermark.scale, watermark.opacity].join(':')
+  };
+}
+
+module.exports = {
+  ASSETS_DIR,
+  assetPath,
+  getShopConfig,
+  getWatermark
+};
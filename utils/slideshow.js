@@ -0,0 +1,141 @@
+/**
+ * Photo Slideshows
+ * Renders an ordered list of photos into a video clip with a slow Ken Burns
+ * pan or zoom on each photo and optional captions, for findings where the
+ * tech only took photos. The clip then goes through the normal merge
+ * (explainer, lower-third, watermark) as the issue video.
+ */
+
+const { runFFmpeg } = require('./ffmpeg');
+const { HttpError } = require('./errors');
+const { scaleFilter, videoCodecArgs, containerArgs } = require('./profiles');
+const { captionFilter } = require('./lowerThird');
+const { PHOTO_FIELD_PATTERN } = require('./photos');
+
+const MAX_SLIDES = 12;
+const DEFAULT_SLIDE_SECONDS = 4;
+const MIN_SLIDE_SECONDS = 1;
+const MAX_SLIDE_SECONDS = 15;
+const DEFAULT_FRAME_RATE = 30; // For profiles that keep the source frame rate
+const ZOOM = 0.15; // How much closer the end of a slide is than its start
+const OVERSAMPLE = 2; // zoompan moves in whole pixels; working at twice the size hides the jitter
+
+/**
+ * Throw a 400 for a malformed slide list
+ */
+function invalid(message) {
+  throw new HttpError(400, 'INVALID_SLIDES', message);
+}
+
+/**
+ * Parse the slide list from form fields. Uses the `slides` JSON field if
+ * present, otherwise shows photoFile, photoFile2... in order for the default
+ * duration each.
+ *
+ * @param {Object} fields - Parsed multipart fields
+ * @param {Object} files - Parsed multipart files
+ * @returns {Object[]} - { field, duration, caption } in playback order
+ * @throws {HttpError} - 400 INVALID_SLIDES
+ */
+function parseSlides(fields, files) {
+  const photoFields = Object.keys(files).filter(field => PHOTO_FIELD_PATTERN.test(field));
+
+  if (!fields.slides) {
+    const number = (field) => parseInt(field.slice('photoFile'.length)) || 1;
+    const ordered = photoFields.sort((a, b) => number(a) - number(b));
+    if (ordered.length === 0) invalid('At least one photoFile is required');
+    return ordered.map(field => ({ field, duration: DEFAULT_SLIDE_SECONDS, caption: null }));
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fields.slides);
+  } catch (e) {
+    invalid(`slides is not valid JSON: ${e.message}`);
+  }
+
+  if (!Array.isArray(raw) || raw.length === 0) invalid('slides must be a non-empty array');
+  if (raw.length > MAX_SLIDES) invalid(`slides may contain at most ${MAX_SLIDES} entries`);
+
+  return raw.map((slide, i) => {
+    if (!slide || typeof slide.file !== 'string' || !PHOTO_FIELD_PATTERN.test(slide.file)) {
+      invalid(`slides[${i}].file must be a photoFile or photoFile<N> field`);
+    }
+    if (!files[slide.file]) invalid(`slides[${i}].file: no photo uploaded as ${slide.file}`);
+
+    const duration = slide.duration === undefined ? DEFAULT_SLIDE_SECONDS : Number(slide.duration);
+    if (!Number.isFinite(duration) || duration < MIN_SLIDE_SECONDS || duration > MAX_SLIDE_SECONDS) {
+      invalid(`slides[${i}].duration must be between ${MIN_SLIDE_SECONDS} and ${MAX_SLIDE_SECONDS} seconds`);
+    }
+    if (slide.caption !== undefined && slide.caption !== null && typeof slide.caption !== 'string') {
+      invalid(`slides[${i}].caption must be text`);
+    }
+
+    return { field: slide.file, duration, caption: slide.caption?.trim() || null };
+  });
+}
+
+/**
+ * zoompan expressions for a slide's movement. Slides cycle through zooming
+ * in, panning, zooming out and panning back so consecutive photos don't all
+ * move the same way.
+ */
+function motion(index, frames) {
+  const progress = `on/${Math.max(1, frames - 1)}`;
+  const centerX = '(iw-iw/zoom)/2';
+  const centerY = '(ih-ih/zoom)/2';
+
+  switch (index % 4) {
+    case 0: return { z: `1+${ZOOM}*${progress}`, x: centerX, y: centerY };
+    case 1: return { z: `${1 + ZOOM}`, x: `(iw-iw/zoom)*${progress}`, y: centerY };
+    case 2: return { z: `${1 + ZOOM}-${ZOOM}*${progress}`, x: centerX, y: centerY };
+    default: return { z: `${1 + ZOOM}`, x: `(iw-iw/zoom)*(1-${progress})`, y: centerY };
+  }
+}
+
+/**
+ * Render photos into a silent video clip at the profile's size
+ *
+ * @param {Object[]} slides - { path, duration, caption }: upright photos (see normalizePhoto()) in order
+ * @param {string} outputPath - Destination .mp4
+ * @param {Object} profile - Encoding profile; its fill mode fits photos of another shape
+ * @param {Object} [runOptions] - Passed to runFFmpeg (onProgress)
+ * @returns {Promise<number>} - Duration of the clip in seconds
+ */
+async function renderSlideshow(slides, outputPath, profile, runOptions = {}) {
+  const { width, height } = profile;
+  const frameRate = profile.frameRate || DEFAULT_FRAME_RATE;
+  // Fit each photo onto a canvas larger than the output, for zoompan to move across
+  const canvas = { ...profile, width: width * OVERSAMPLE, height: height * OVERSAMPLE, frameRate: null };
+
+  const graphs = slides.map((slide, i) => {
+    const frames = Math.round(slide.duration * frameRate);
+    const { z, x, y } = motion(i, frames);
+    const caption = slide.caption ? `,${captionFilter(slide.caption, Math.min(width, height))}` : '';
+
+    return `[${i}:v]${scaleFilter(canvas, `s${i}fit`)},` +
+      `zoompan=z='${z}':x='${x}':y='${y}':d=${frames}:s=${width}x${height}:fps=${frameRate}` +
+      `${caption},setsar=1,format=yuv420p[s${i}]`;
+  });
+  const concat = `${slides.map((slide, i) => `[s${i}]`).join('')}concat=n=${slides.length}:v=1:a=0[v]`;
+
+  const duration = slides.reduce((sum, slide) => sum + Math.round(slide.duration * frameRate) / frameRate, 0);
+  console.log(`[slideshow] Rendering ${slides.length} photo(s) (${duration.toFixed(1)}s, ${width}x${height})...`);
+
+  await runFFmpeg([
+    '-y', ...slides.flatMap(slide => ['-i', slide.path]),
+    '-filter_complex', `${graphs.join(';')};${concat}`,
+    '-map', '[v]',
+    ...videoCodecArgs(profile),
+    '-pix_fmt', 'yuv420p',
+    ...containerArgs(profile),
+    outputPath
+  ], { ...runOptions, duration });
+
+  return duration;
+}
+
+module.exports = {
+  parseSlides,
+  renderSlideshow
+};
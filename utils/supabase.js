@@ -0,0 +1,53 @@
+/**
+ * Supabase Utilities
+ * Lookups against the Supabase REST API (explainer video catalog)
+ */
+
+const { request } = require('./httpClient');
+const { UpstreamError } = require('./errors');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+/**
+ * Get explainer video URL from Supabase
+ * @param {string} explainerId - Supabase explainer video ID
+ * @returns {Promise<{file_url: string, name: string}|null>} - null if there is no such explainer
+ *   (or Supabase isn't configured)
+ * @throws {UpstreamError} - If Supabase can't be reached or answers with an error (after retries),
+ *   so an outage isn't mistaken for a missing explainer
+ */
+async function getExplainerVideoUrl(explainerId) {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    console.log('[video] Supabase not configured');
+    return null;
+  }
+
+  const url = new URL('/rest/v1/explainer_videos', SUPABASE_URL);
+  url.searchParams.set('id', `eq.${explainerId}`);
+  url.searchParams.set('select', 'file_url,name');
+
+  const response = await request(url, {
+    service: 'Supabase',
+    headers: {
+      'apikey': SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  if (response.status !== 200) {
+    throw new UpstreamError('Supabase', `Explainer lookup failed (${response.status}): ${response.body.slice(0, 200)}`, response);
+  }
+
+  let videos;
+  try {
+    videos = JSON.parse(response.body);
+  } catch (e) {
+    throw new UpstreamError('Supabase', `Explainer lookup returned invalid JSON: ${e.message}`, response);
+  }
+  return Array.isArray(videos) && videos.length > 0 ? videos[0] : null;
+}
+
+module.exports = {
+  getExplainerVideoUrl
+};
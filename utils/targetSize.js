@@ -0,0 +1,162 @@
+/**
+ * Target File Size Encoding
+ * Two-pass encode of a merged video to fit under a maximum file size (e.g. for
+ * texting the link to customers on slow connections). The video bitrate is
+ * worked out from the timeline's total duration; when that bitrate would look
+ * too blocky at the profile's resolution, the output is scaled down to the
+ * largest size that still looks acceptable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runFFmpeg } = require('./ffmpeg');
+const { HttpError } = require('./errors');
+const { containerArgs } = require('./profiles');
+
+const MIN_TARGET_MB = 1;
+const MAX_TARGET_MB = 2048;
+const CONTAINER_OVERHEAD = 0.03; // MP4 headers and indexes, as a share of the file
+const MIN_BITS_PER_PIXEL = 0.04; // Below this H.264 turns to mush
+const FALLBACK_HEIGHTS = [1080, 720, 540, 480, 360, 240]; // Shorter side of each fallback size
+const LOW_AUDIO_BITRATE = 64; // kbps, when the budget is tight
+
+/**
+ * Parse the maxSizeMB form field
+ * @param {Object} fields - Parsed multipart fields
+ * @returns {number|null} - Target size in bytes, or null if not requested
+ * @throws {HttpError} - 400 INVALID_TARGET_SIZE
+ */
+function parseTargetSize(fields) {
+  if (!fields.maxSizeMB) return null;
+
+  const megabytes = Number(fields.maxSizeMB);
+  if (!Number.isFinite(megabytes) || megabytes < MIN_TARGET_MB || megabytes > MAX_TARGET_MB) {
+    throw new HttpError(400, 'INVALID_TARGET_SIZE', `maxSizeMB must be a number between ${MIN_TARGET_MB} and ${MAX_TARGET_MB}`);
+  }
+  return Math.floor(megabytes * 1024 * 1024);
+}
+
+/**
+ * Lowest video bitrate (kbps) that looks acceptable at a frame size
+ */
+function minVideoBitrate(width, height, frameRate) {
+  return Math.ceil((width * height * frameRate * MIN_BITS_PER_PIXEL) / 1000);
+}
+
+/**
+ * Work out bitrates and output size for a target file size
+ *
+ * @param {Object} profile - Encoding profile of the merge
+ * @param {number} duration - Total output duration in seconds
+ * @param {number} targetBytes - Maximum file size
+ * @returns {Object} - { targetBytes, videoBitrate, audioBitrate (kbps), width, height, reducedResolution }
+ * @throws {HttpError} - 422 TARGET_SIZE_TOO_SMALL if even the smallest size would be unwatchable
+ */
+function planTargetSize(profile, duration, targetBytes) {
+  const totalKbps = ((targetBytes * 8) / duration / 1000) * (1 - CONTAINER_OVERHEAD);
+  const profileAudio = parseInt(profile.audio.bitrate);
+  const frameRate = profile.frameRate || 30;
+  const landscape = profile.width >= profile.height;
+  const shortSide = Math.min(profile.width, profile.height);
+
+  // Sizes to try, largest first, keeping the profile's aspect ratio and orientation
+  const sizes = [shortSide, ...FALLBACK_HEIGHTS.filter(h => h < shortSide)].map((side) => {
+    const longSide = Math.round((side * Math.max(profile.width, profile.height)) / shortSide / 2) * 2;
+    return landscape ? { width: longSide, height: side } : { width: side, height: longSide };
+  });
+
+  for (const size of sizes) {
+    // Give up some audio quality before giving up resolution
+    for (const audioBitrate of [...new Set([profileAudio, Math.min(profileAudio, LOW_AUDIO_BITRATE)])]) {
+      const videoBitrate = Math.floor(totalKbps - audioBitrate);
+      if (videoBitrate >= minVideoBitrate(size.width, size.height, frameRate)) {
+        return {
+          targetBytes,
+          videoBitrate,
+          audioBitrate,
+          width: size.width,
+          height: size.height,
+          reducedResolution: size.width !== profile.width
+        };
+      }
+    }
+  }
+
+  const smallest = sizes[sizes.length - 1];
+  const minKbps = minVideoBitrate(smallest.width, smallest.height, frameRate) + LOW_AUDIO_BITRATE;
+  const minMB = (minKbps * 1000 * duration) / 8 / (1 - CONTAINER_OVERHEAD) / 1024 / 1024;
+  throw new HttpError(422, 'TARGET_SIZE_TOO_SMALL',
+    `${(targetBytes / 1024 / 1024).toFixed(1)} MB is too small for ${duration.toFixed(1)}s of video; at least ${Math.ceil(minMB)} MB is needed`);
+}
+
+/**
+ * Encode a video in two passes at the planned bitrates and size
+ *
+ * @param {string} inputPath - Merged video at the profile's settings
+ * @param {string} outputPath - Destination .mp4
+ * @param {Object} profile - Encoding profile of the merge
+ * @param {Object} plan - Result of planTargetSize()
+ * @param {Function} passOptions - (pass) => runFFmpeg options for pass 1 or 2
+ */
+async function encodeToTargetSize(inputPath, outputPath, profile, plan, passOptions) {
+  const logPrefix = path.join(os.tmpdir(), `x264-${crypto.randomUUID()}`);
+  const scale = plan.reducedResolution ? ['-vf', `scale=${plan.width}:${plan.height}`] : [];
+  const videoArgs = [
+    ...scale,
+    '-c:v', 'libx264', '-preset', profile.video.preset,
+    '-b:v', `${plan.videoBitrate}k`,
+    '-passlogfile', logPrefix
+  ];
+
+  try {
+    // Pass 1 uses the same muxer as pass 2 so both see the same frames; the null
+    // muxer handles timestamps differently and x264 rejects the stats as incomplete
+    await runFFmpeg(['-y', '-i', inputPath, ...videoArgs, '-pass', '1', '-an', '-f', 'mp4', os.devNull], passOptions(1));
+    await runFFmpeg([
+      '-y', '-i', inputPath, ...videoArgs, '-pass', '2',
+      '-c:a', 'aac', '-b:a', `${plan.audioBitrate}k`,
+      ...containerArgs(profile),
+      outputPath
+    ], passOptions(2));
+  } finally {
+    // x264 writes <prefix>-0.log and <prefix>-0.log.mbtree
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(path.basename(logPrefix))) {
+        try { fs.unlinkSync(path.join(os.tmpdir(), name)); } catch (e) {}
+      }
+    }
+  }
+}
+
+/**
+ * Summary of a target-size encode for API responses
+ * @param {Object} plan - Result of planTargetSize()
+ * @param {Object} profile - Encoding profile of the merge
+ * @param {string} outputPath - The final file
+ * @param {number} duration - Output duration in seconds
+ * @param {boolean} twoPass - Whether the two-pass encode ran (false if the merge already fit)
+ */
+function describeTargetSize(plan, profile, outputPath, duration, twoPass) {
+  const bytes = fs.statSync(outputPath).size;
+  return {
+    targetBytes: plan.targetBytes,
+    bytes,
+    bitrate: Math.round((bytes * 8) / duration / 1000),
+    videoBitrate: twoPass ? plan.videoBitrate : null,
+    audioBitrate: twoPass ? plan.audioBitrate : parseInt(profile.audio.bitrate),
+    width: twoPass ? plan.width : profile.width,
+    height: twoPass ? plan.height : profile.height,
+    reducedResolution: twoPass && plan.reducedResolution,
+    twoPass,
+    withinTarget: bytes <= plan.targetBytes
+  };
+}
+
+module.exports = {
+  parseTargetSize,
+  planTargetSize,
+  encodeToTargetSize,
+  describeTargetSize
+};
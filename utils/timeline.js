@@ -0,0 +1,207 @@
+/**
+ * Timeline Utilities
+ * Parses the ordered segment list sent to /merge-and-upload and /merge-only
+ * and resolves each segment to a local file ready for mergeVideos()
+ *
+ * A segment is one of:
+ * - { source: 'upload', field: 'videoFile2' } - a file from the multipart form
+ * - { source: 'explainer', id: '<uuid>' } - a Supabase explainer video
+ * - { source: 'asset', name: 'shop-12-preroll.mp4' } - a file in ASSETS_DIR
+ * each with an optional role: preroll, issue, explainer or outro
+ */
+
+const fs = require('fs');
+const { HttpError } = require('./errors');
+const { getExplainerVideoUrl } = require('./supabase');
+const { prepareExplainer, prepareAsset } = require('./merge');
+const { assetPath } = require('./shopConfig');
+
+const SEGMENT_SOURCES = ['upload', 'explainer', 'asset'];
+const SEGMENT_ROLES = ['preroll', 'issue', 'explainer', 'outro'];
+const MAX_SEGMENTS = 10;
+
+// Upload segments reference multipart file fields videoFile, videoFile2, videoFile3...
+const UPLOAD_FIELD_PATTERN = /^videoFile\d*$/;
+
+/**
+ * Throw a 400 for a malformed timeline
+ */
+function invalid(message) {
+  throw new HttpError(400, 'INVALID_TIMELINE', message);
+}
+
+/**
+ * Parse and validate the timeline from form fields.
+ * Uses the `segments` JSON field if present, otherwise builds the two-clip
+ * shortcut from videoFile and explainerVideoId.
+ *
+ * @param {Object} fields - Parsed multipart fields
+ * @returns {Object[]} - Segment specs: { source, role, field | id | name }, with at least one upload
+ * @throws {HttpError} - 400 INVALID_TIMELINE
+ */
+function parseTimeline(fields) {
+  if (!fields.segments) {
+    const specs = [{ source: 'upload', field: 'videoFile', role: 'issue' }];
+    if (fields.explainerVideoId) {
+      specs.push({ source: 'explainer', id: fields.explainerVideoId, role: 'explainer' });
+    }
+    return specs;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fields.segments);
+  } catch (e) {
+    invalid(`segments is not valid JSON: ${e.message}`);
+  }
+
+  if (!Array.isArray(raw) || raw.length === 0) invalid('segments must be a non-empty array');
+  if (raw.length > MAX_SEGMENTS) invalid(`segments may contain at most ${MAX_SEGMENTS} entries`);
+
+  let seenIssue = false;
+
+  const specs = raw.map((segment, i) => {
+    if (!segment || !SEGMENT_SOURCES.includes(segment.source)) {
+      invalid(`segments[${i}].source must be one of: ${SEGMENT_SOURCES.join(', ')}`);
+    }
+    if (segment.role && !SEGMENT_ROLES.includes(segment.role)) {
+      invalid(`segments[${i}].role must be one of: ${SEGMENT_ROLES.join(', ')}`);
+    }
+
+    let spec;
+    if (segment.source === 'upload') {
+      const field = segment.field || 'videoFile';
+      if (!UPLOAD_FIELD_PATTERN.test(field)) invalid(`segments[${i}].field must be videoFile or videoFile<N>`);
+      spec = { source: 'upload', field, role: segment.role || 'issue' };
+    } else if (segment.source === 'explainer') {
+      if (!segment.id) invalid(`segments[${i}].id is required for explainer segments`);
+      spec = { source: 'explainer', id: String(segment.id), role: segment.role || 'explainer' };
+    } else {
+      // Asset names are plain file names inside ASSETS_DIR - no paths
+      if (!assetPath(segment.name)) {
+        invalid(`segments[${i}].name must be a file name in the assets directory`);
+      }
+      // Branding before the tech's recording is a pre-roll, after it an outro
+      spec = { source: 'asset', name: segment.name, role: segment.role || (seenIssue ? 'outro' : 'preroll') };
+    }
+
+    if (spec.role === 'issue') seenIssue = true;
+    return spec;
+  });
+
+  if (!specs.some(spec => spec.source === 'upload')) {
+    invalid('segments must include at least one upload segment (the tech\'s recording)');
+  }
+  return specs;
+}
+
+/**
+ * Multipart file fields referenced by upload segments
+ * @param {Object[]} specs - Result of parseTimeline()
+ * @returns {string[]} - Unique field names
+ */
+function uploadFields(specs) {
+  return [...new Set(specs.filter(spec => spec.source === 'upload').map(spec => spec.field))];
+}
+
+/**
+ * Resolve segment specs to local files: look up and download explainers,
+ * locate assets and match uploads to their files.
+ *
+ * @param {Object[]} specs - Result of parseTimeline()
+ * @param {Object} files - Uploaded files keyed by field name (from parseMultipart)
+ * @param {Object} [options]
+ * @param {boolean} [options.skipMissingExplainers] - Drop explainer segments that aren't found
+ *   instead of failing (the original /merge-and-upload behavior). A Supabase outage still fails.
+ * @returns {Promise<{segments: Object[], release: Function}>} - segments are specs plus
+ *   { path, label, media } for uploads or { path, label, getNormalized, prepared } for cached
+ *   explainers and assets. Call release() once the merge is done.
+ * @throws {HttpError} - 400 MISSING_SEGMENT_FILE, 404 EXPLAINER_NOT_FOUND or ASSET_NOT_FOUND,
+ *   422 EMPTY_TIMELINE if skipping explainers leaves nothing, 502 UPSTREAM_FAILED if Supabase
+ *   or the explainer's origin can't be reached
+ */
+async function resolveTimeline(specs, files, options = {}) {
+  const segments = [];
+  const prepared = [];
+  const release = () => prepared.forEach(p => p.release());
+  const roleCounts = {};
+
+  try {
+    for (const spec of specs) {
+      let resolved;
+
+      if (spec.source === 'upload') {
+        const file = files[spec.field];
+        if (!file) {
+          throw new HttpError(400, 'MISSING_SEGMENT_FILE', `No file uploaded for segment field ${spec.field}`);
+        }
+        resolved = { path: file.path, media: file.media };
+
+      } else if (spec.source === 'explainer') {
+        const explainer = await getExplainerVideoUrl(spec.id);
+        if (!explainer || !explainer.file_url) {
+          if (options.skipMissingExplainers) {
+            console.log(`[video] Explainer ${spec.id} not found, skipping segment`);
+            continue;
+          }
+          throw new HttpError(404, 'EXPLAINER_NOT_FOUND', `Explainer video ${spec.id} not found`);
+        }
+
+        console.log(`   Explainer: ${explainer.name}`);
+        const explainerFile = await prepareExplainer(spec.id, explainer.file_url);
+        prepared.push(explainerFile);
+        console.log(`   Explainer cache ${explainerFile.cache}: ${(explainerFile.size / 1024 / 1024).toFixed(2)} MB`);
+        resolved = { path: explainerFile.path, getNormalized: explainerFile.getNormalized, prepared: explainerFile };
+
+      } else {
+        const filePath = assetPath(spec.name);
+        if (!fs.existsSync(filePath)) {
+          throw new HttpError(404, 'ASSET_NOT_FOUND', `Asset ${spec.name} not found`);
+        }
+        const assetFile = prepareAsset(filePath);
+        prepared.push(assetFile);
+        resolved = { path: assetFile.path, getNormalized: assetFile.getNormalized, prepared: assetFile };
+      }
+
+      // Unique label per segment for logs and progress events: issue, issue-2, ...
+      roleCounts[spec.role] = (roleCounts[spec.role] || 0) + 1;
+      const label = roleCounts[spec.role] > 1 ? `${spec.role}-${roleCounts[spec.role]}` : spec.role;
+
+      segments.push({ ...spec, ...resolved, label });
+    }
+
+    if (segments.length === 0) {
+      throw new HttpError(422, 'EMPTY_TIMELINE', 'No segments are left to merge once missing explainers are skipped');
+    }
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  return { segments, release };
+}
+
+/**
+ * Summary of resolved segments for API responses
+ * @param {Object[]} segments - Resolved segments from resolveTimeline()
+ * @returns {Object[]}
+ */
+function describeTimeline(segments) {
+  return segments.map(segment => ({
+    source: segment.source,
+    role: segment.role,
+    ...(segment.field && { field: segment.field }),
+    ...(segment.id && { id: segment.id }),
+    ...(segment.name && { name: segment.name }),
+    ...(segment.prepared && { cache: segment.prepared.cache }),
+    ...(segment.prepared?.intermediateCache && { intermediateCache: segment.prepared.intermediateCache })
+  }));
+}
+
+module.exports = {
+  UPLOAD_FIELD_PATTERN,
+  parseTimeline,
+  uploadFields,
+  resolveTimeline,
+  describeTimeline
+};
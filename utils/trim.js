@@ -0,0 +1,157 @@
+/**
+ * Issue Video Trimming
+ * Parses the trim fields sent to /merge-and-upload and /merge-only and turns
+ * them into the sections of the issue video (videoFile) to keep, checked
+ * against its probed duration. mergeVideos() cuts the sections out while
+ * normalizing the clip.
+ *
+ * Fields, in seconds from the start of the recording (decimals allowed):
+ * - trimStart: drop everything before this point
+ * - trimEnd: drop everything after this point
+ * - keepRanges: JSON array of sections to keep, e.g. [{ "start": 1.5, "end": 6 }, { "start": 9, "end": 14.2 }].
+ *   Overlapping sections are combined; they must lie between trimStart and trimEnd.
+ * - autoTrim: 'true' to also cut dead air from the start and end (see autoTrim.js)
+ */
+
+const { HttpError } = require('./errors');
+
+const MAX_RANGES = 20;
+const MIN_KEPT_SECONDS = 0.5; // Same floor as validateVideo() applies to uploads
+const DURATION_SLACK_SECONDS = 0.05; // Container and stream durations differ by a frame or so
+
+/**
+ * Throw a 400 for an unusable trim
+ */
+function invalid(message) {
+  throw new HttpError(400, 'INVALID_TRIM', message);
+}
+
+/**
+ * Parse a non-negative number of seconds from a form field or JSON value
+ */
+function parseSeconds(value, name) {
+  const seconds = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? Number(value) : NaN);
+  if (!Number.isFinite(seconds) || seconds < 0) invalid(`${name} must be a number of seconds`);
+  return seconds;
+}
+
+/**
+ * Collect trim settings from form fields. Only the shape is checked here;
+ * resolveKeepRanges() checks them against the video once it is probed.
+ *
+ * @param {Object} fields - Parsed multipart fields
+ * @returns {Object|null} - { start, end, ranges, auto } (start/end/ranges null if not given),
+ *   or null if no trim was requested
+ * @throws {HttpError} - 400 INVALID_TRIM
+ */
+function parseTrim(fields) {
+  const auto = fields.autoTrim === 'true';
+  if (!fields.trimStart && !fields.trimEnd && !fields.keepRanges && !auto) return null;
+
+  const trim = {
+    start: fields.trimStart ? parseSeconds(fields.trimStart, 'trimStart') : null,
+    end: fields.trimEnd ? parseSeconds(fields.trimEnd, 'trimEnd') : null,
+    ranges: null,
+    auto
+  };
+
+  if (trim.start !== null && trim.end !== null && trim.end <= trim.start) {
+    invalid('trimEnd must be after trimStart');
+  }
+
+  if (fields.keepRanges) {
+    let raw;
+    try {
+      raw = JSON.parse(fields.keepRanges);
+    } catch (e) {
+      invalid(`keepRanges is not valid JSON: ${e.message}`);
+    }
+
+    if (!Array.isArray(raw) || raw.length === 0) invalid('keepRanges must be a non-empty array of { start, end }');
+    if (raw.length > MAX_RANGES) invalid(`keepRanges may contain at most ${MAX_RANGES} entries`);
+
+    trim.ranges = raw.map((range, i) => {
+      if (!range || typeof range !== 'object') invalid(`keepRanges[${i}] must be { start, end }`);
+      const start = parseSeconds(range.start, `keepRanges[${i}].start`);
+      const end = parseSeconds(range.end, `keepRanges[${i}].end`);
+      if (end <= start) invalid(`keepRanges[${i}].end must be after its start`);
+      return { start, end };
+    });
+  }
+
+  return trim;
+}
+
+/**
+ * Work out the sections of a video to keep
+ *
+ * @param {Object} trim - Result of parseTrim()
+ * @param {number} duration - The video's duration from ffprobe, in seconds
+ * @returns {Object[]|null} - Sorted, non-overlapping { start, end } ranges, or null if the
+ *   whole video is kept
+ * @throws {HttpError} - 400 INVALID_TRIM for ranges beyond the video or that keep too little
+ */
+function resolveKeepRanges(trim, duration) {
+  const limit = duration + DURATION_SLACK_SECONDS;
+  const windowStart = trim.start ?? 0;
+  const windowEnd = trim.end ?? duration;
+
+  if (windowStart >= duration) invalid(`trimStart (${windowStart}s) is beyond the end of the video (${duration}s)`);
+  if (windowEnd > limit) invalid(`trimEnd (${windowEnd}s) is beyond the end of the video (${duration}s)`);
+
+  const requested = trim.ranges || [{ start: windowStart, end: windowEnd }];
+  requested.forEach((range, i) => {
+    if (range.end > limit) {
+      invalid(`keepRanges[${i}] (${range.start}s-${range.end}s) goes beyond the end of the video (${duration}s)`);
+    }
+    if (range.start < windowStart || range.end > windowEnd) {
+      invalid(`keepRanges[${i}] (${range.start}s-${range.end}s) is outside trimStart/trimEnd`);
+    }
+  });
+
+  // Sort and combine overlapping or touching sections
+  const ranges = [];
+  for (const range of [...requested].sort((a, b) => a.start - b.start)) {
+    const last = ranges[ranges.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.min(Math.max(last.end, range.end), duration);
+    } else {
+      ranges.push({ start: range.start, end: Math.min(range.end, duration) });
+    }
+  }
+
+  const kept = keptDuration(ranges);
+  if (kept < MIN_KEPT_SECONDS) invalid(`Trimmed video would only be ${kept.toFixed(2)}s long`);
+
+  const wholeVideo = ranges.length === 1 && ranges[0].start === 0 && ranges[0].end >= duration - DURATION_SLACK_SECONDS;
+  return wholeVideo ? null : ranges;
+}
+
+/**
+ * Total length of a list of ranges, in seconds
+ */
+function keptDuration(ranges) {
+  return ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+}
+
+/**
+ * Summary of a trim for API responses
+ * @param {Object[]} ranges - Result of resolveKeepRanges()
+ * @param {number} duration - Original duration in seconds
+ */
+function describeTrim(ranges, duration) {
+  const kept = keptDuration(ranges);
+  return {
+    keptRanges: ranges,
+    originalDuration: duration,
+    keptDuration: Number(kept.toFixed(3)),
+    removedDuration: Number((duration - kept).toFixed(3))
+  };
+}
+
+module.exports = {
+  parseTrim,
+  resolveKeepRanges,
+  keptDuration,
+  describeTrim
+};
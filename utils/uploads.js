@@ -0,0 +1,303 @@
+/**
+ * Resumable Upload Sessions
+ * Server side of the resumable upload endpoints: a recording is sent in chunks
+ * to a session file in the temp dir, so a dropped connection resumes from the
+ * last byte received instead of starting over. Follows tus 1.0 (core protocol
+ * plus the creation, expiration and termination extensions), so tus clients
+ * work as-is.
+ *
+ * Sessions live in memory; ones not touched within UPLOAD_SESSION_TTL_MINUTES
+ * (default 6 hours) are deleted along with their files. Each belongs to the
+ * API key that created it, and no other key may resume, delete or process it.
+ * A key may hold at most UPLOAD_MAX_SESSIONS open sessions (default 10),
+ * declaring at most UPLOAD_QUOTA_MB between them (default 4096), so one
+ * client can't fill the temp dir with sessions it never finishes.
+ *
+ * Uploads are recordings: once its first bytes are in, a session is sniffed
+ * like a multipart videoFile and deleted if it holds anything else.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+const { SNIFF_BYTES, checkFileType } = require('./fileType');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB) || 2048) * 1024 * 1024;
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_MINUTES) || 6 * 60) * 60 * 1000;
+const MAX_SESSIONS_PER_OWNER = parseInt(process.env.UPLOAD_MAX_SESSIONS) || 10;
+const QUOTA_BYTES = (parseInt(process.env.UPLOAD_QUOTA_MB) || 4096) * 1024 * 1024;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000; // Check for expired sessions every 5 minutes
+
+// upload ID -> session
+const sessions = new Map();
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated "key base64value" pairs
+ * @param {string} [header]
+ * @returns {Object} - Decoded values by key
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * Push a session's expiry back after activity
+ */
+function touch(session) {
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+}
+
+/**
+ * Open sessions of an API key, expired ones not yet swept excluded
+ * @returns {Object[]}
+ */
+function ownerSessions(owner) {
+  const now = Date.now();
+  return [...sessions.values()].filter(session => session.owner === owner && session.expiresAt >= now);
+}
+
+/**
+ * Start an upload session
+ * @param {number} length - Total size of the file in bytes (Upload-Length)
+ * @param {Object} [metadata] - From parseUploadMetadata(); filename and filetype are used
+ * @param {string|null} [owner] - ID of the API key creating the upload (null with auth disabled)
+ * @returns {Object} - The session: { id, owner, path, length, offset, metadata, format, expiresAt }
+ * @throws {HttpError} - 400 INVALID_UPLOAD_LENGTH, 413 UPLOAD_TOO_LARGE or UPLOAD_QUOTA_EXCEEDED,
+ *   429 TOO_MANY_UPLOADS
+ */
+function createUpload(length, metadata = {}, owner = null) {
+  if (!Number.isSafeInteger(length) || length <= 0) {
+    throw new HttpError(400, 'INVALID_UPLOAD_LENGTH', 'Upload-Length must be a positive number of bytes');
+  }
+  if (length > MAX_UPLOAD_BYTES) {
+    throw new HttpError(413, 'UPLOAD_TOO_LARGE', `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes`);
+  }
+
+  const open = ownerSessions(owner);
+  if (open.length >= MAX_SESSIONS_PER_OWNER) {
+    throw new HttpError(429, 'TOO_MANY_UPLOADS',
+      `At most ${MAX_SESSIONS_PER_OWNER} uploads may be open at once; finish or delete one first`);
+  }
+  const declared = open.reduce((total, session) => total + session.length, 0);
+  if (declared + length > QUOTA_BYTES) {
+    throw new HttpError(413, 'UPLOAD_QUOTA_EXCEEDED',
+      `Open uploads may total at most ${QUOTA_BYTES} bytes; ${declared} are already declared`);
+  }
+
+  const id = crypto.randomUUID();
+  const session = {
+    id,
+    owner,
+    path: path.join(os.tmpdir(), `resumable-${id}`),
+    length,
+    offset: 0,
+    metadata,
+    format: null,
+    busy: false,
+    createdAt: Date.now(),
+    expiresAt: null
+  };
+  fs.writeFileSync(session.path, '');
+  touch(session);
+
+  sessions.set(id, session);
+  console.log(`[uploads] Session ${id} created for ${(length / 1024 / 1024).toFixed(2)} MB (${metadata.filename || 'unnamed'})`);
+  return session;
+}
+
+/**
+ * Look up an upload session
+ * @returns {Object|null} - The session, or null if unknown, expired or already claimed
+ */
+function getUpload(id) {
+  const session = sessions.get(id);
+  if (!session || session.expiresAt < Date.now()) return null;
+  return session;
+}
+
+/**
+ * Check that an upload belongs to the API key acting on it
+ * @param {Object} session - From getUpload()
+ * @param {string|null} owner - ID of the API key making the request (null with auth disabled)
+ * @throws {HttpError} - 403 UPLOAD_FORBIDDEN
+ */
+function authorizeUpload(session, owner) {
+  if (session.owner !== owner) {
+    throw new HttpError(403, 'UPLOAD_FORBIDDEN', `Upload ${session.id} was started with another API key`);
+  }
+}
+
+/**
+ * Identify an upload from its first bytes once they are in, the way
+ * multipart videoFile uploads are checked
+ * @param {Object} session - From getUpload()
+ * @throws {HttpError} - 415 UNSUPPORTED_MEDIA_TYPE if it isn't a video (the session is deleted)
+ */
+function checkUploadType(session) {
+  const needed = Math.min(SNIFF_BYTES, session.length);
+  if (session.format || session.offset < needed) return;
+
+  const head = Buffer.alloc(needed);
+  const fd = fs.openSync(session.path, 'r');
+  try {
+    fs.readSync(fd, head, 0, needed, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    session.format = checkFileType(head, 'video', `Upload ${session.id}`).format;
+  } catch (error) {
+    deleteUpload(session);
+    throw error;
+  }
+}
+
+/**
+ * Append a chunk to an upload. Whatever reaches the disk counts, so if the
+ * connection drops mid-chunk the client resumes from the new offset.
+ *
+ * @param {Object} session - From getUpload()
+ * @param {number} offset - Upload-Offset the client is writing at
+ * @param {stream.Readable} body - The request body
+ * @returns {Promise<number>} - The new offset
+ * @throws {HttpError} - 409 OFFSET_MISMATCH or UPLOAD_BUSY, 413 UPLOAD_TOO_LARGE,
+ *   415 UNSUPPORTED_MEDIA_TYPE (see checkUploadType())
+ */
+async function appendChunk(session, offset, body) {
+  if (session.busy) {
+    throw new HttpError(409, 'UPLOAD_BUSY', 'Another chunk is being written to this upload');
+  }
+  if (offset !== session.offset) {
+    throw new HttpError(409, 'OFFSET_MISMATCH', `Upload-Offset ${offset} does not match the current offset ${session.offset}`, {
+      offset: session.offset
+    });
+  }
+
+  let received = offset;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > session.length) {
+        callback(new HttpError(413, 'UPLOAD_TOO_LARGE', `Chunk goes past the Upload-Length of ${session.length} bytes`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+
+  session.busy = true;
+  try {
+    await pipeline(body, limit, fs.createWriteStream(session.path, { flags: 'a' }));
+  } finally {
+    session.offset = fs.statSync(session.path).size;
+    session.busy = false;
+    touch(session);
+  }
+  checkUploadType(session);
+  return session.offset;
+}
+
+/**
+ * Delete an upload session and its file
+ */
+function deleteUpload(session) {
+  sessions.delete(session.id);
+  try { fs.unlinkSync(session.path); } catch (e) {}
+}
+
+/**
+ * Take completed uploads out of the session store so their files can be
+ * processed like multipart uploads. The caller then owns the files; give
+ * them back with restoreUploads() if processing is rejected before it starts.
+ *
+ * @param {Object} uploads - Upload IDs keyed by form field, e.g. { videoFile: '<id>' }
+ * @param {string|null} owner - ID of the API key making the request (see authorizeUpload())
+ * @returns {Object} - Files keyed by field, shaped like parseMultipart()'s: { path, filename, mimeType, format, uploadId }
+ * @throws {HttpError} - 403 UPLOAD_FORBIDDEN, 404 UPLOAD_NOT_FOUND, 409 UPLOAD_INCOMPLETE or UPLOAD_BUSY,
+ *   415 UNSUPPORTED_MEDIA_TYPE
+ */
+function claimUploads(uploads, owner) {
+  const claimed = Object.entries(uploads).map(([field, id]) => {
+    const session = getUpload(id);
+    if (!session) throw new HttpError(404, 'UPLOAD_NOT_FOUND', `Upload ${id} for ${field} not found or expired`);
+    authorizeUpload(session, owner);
+    if (session.busy) throw new HttpError(409, 'UPLOAD_BUSY', `Upload ${id} for ${field} is still receiving a chunk`);
+    if (session.offset < session.length) {
+      throw new HttpError(409, 'UPLOAD_INCOMPLETE', `Upload ${id} for ${field} has ${session.offset} of ${session.length} bytes`, {
+        offset: session.offset,
+        length: session.length
+      });
+    }
+    // Normally done as the first chunk arrived; this covers a chunk whose connection dropped
+    checkUploadType(session);
+    return [field, session];
+  });
+
+  const files = {};
+  for (const [field, session] of claimed) {
+    sessions.delete(session.id);
+    files[field] = {
+      path: session.path,
+      filename: session.metadata.filename || `${field}.mp4`,
+      mimeType: session.metadata.filetype || 'video/mp4',
+      format: session.format,
+      uploadId: session.id,
+      session
+    };
+  }
+  return files;
+}
+
+/**
+ * Return claimed uploads to the session store
+ * @param {Object} files - Result of claimUploads()
+ */
+function restoreUploads(files) {
+  for (const file of Object.values(files)) {
+    touch(file.session);
+    sessions.set(file.session.id, file.session);
+  }
+}
+
+/**
+ * Delete sessions that haven't been touched within the TTL
+ */
+function sweepUploads() {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    if (session.expiresAt < now && !session.busy) {
+      console.log(`[uploads] Session ${session.id} expired at ${session.offset}/${session.length} bytes`);
+      deleteUpload(session);
+    }
+  }
+}
+
+setInterval(sweepUploads, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  MAX_UPLOAD_BYTES,
+  parseUploadMetadata,
+  createUpload,
+  getUpload,
+  authorizeUpload,
+  appendChunk,
+  deleteUpload,
+  claimUploads,
+  restoreUploads
+};